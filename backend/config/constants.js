@@ -4,8 +4,10 @@ export const DEFAULT_API_BASE_URL = 'https://openrouter.ai/api/v1';
 export const DEFAULT_CONTEXT_LENGTH = 200000;
 export const DEFAULT_MODEL = 'anthropic/claude-3.5-sonnet';
 
-// Token estimation: 1 token ≈ 4 characters
+// Token estimation when no tokenizer is known for the model: 1 token ≈ 4 characters
 export const CHARS_PER_TOKEN = 4;
+// Claude counts are approximated as cl100k counts times this ratio
+export const CLAUDE_TOKEN_RATIO = 1.2;
 
 // Use 50% of context for input, leaving room for prompt + response
 export const CONTEXT_INPUT_RATIO = 0.5;
@@ -13,14 +15,45 @@ export const CONTEXT_INPUT_RATIO = 0.5;
 // Chunk sizing: use 80% of safe context for each chunk
 export const CHUNK_FILL_RATIO = 0.8;
 
+// Share of a profile prompt's input given to passages that mention the character when the book was chunked
+export const PASSAGE_CONTEXT_SHARE = 0.6;
+
 // AI request limits
 export const MAX_RESPONSE_TOKENS = 8000; // minimum floor; actual limit is calculated dynamically
 export const MAX_CONTINUATION_ATTEMPTS = 2;
 export const MAX_CHARACTER_RETRIES = 2;
+// Follow-up requests asking the model to fix a response that fails its JSON Schema
+export const MAX_SCHEMA_REPAIR_ATTEMPTS = 2;
 export const MAX_PARALLEL_CHARACTER_CALLS = 3;
-export const AI_REQUEST_TIMEOUT_MS = 300000; // 5 minutes
+// Chunk notes requested at once for a book too long for the context window
+export const MAX_PARALLEL_SUMMARY_CALLS = 4;
+export const AI_IDLE_TIMEOUT_MS = 300000; // abort a streamed completion after 5 minutes without data
+export const STREAM_PROGRESS_INTERVAL_MS = 1000;
+// Transient failures (429, 5xx, timeouts, dropped connections) are retried with jittered exponential backoff
+export const AI_MAX_RETRIES = 4;
+export const AI_RETRY_BASE_DELAY_MS = 2000;
+export const AI_RETRY_MAX_DELAY_MS = 60000; // a longer Retry-After fails the request instead
+// Models tried in turn when a step fails with the selected one
+export const MAX_FALLBACK_MODELS = 5;
+
+// Progress events (SSE)
+export const PROGRESS_HEARTBEAT_MS = 15000;
+export const PROGRESS_RETRY_MS = 2000;
 export const CONNECTION_TEST_TIMEOUT_MS = 15000;
 
 // File upload limits
 export const MAX_FILE_SIZE_BYTES = 50 * 1024 * 1024; // 50MB
-export const SUPPORTED_EXTENSIONS = ['.epub', '.mobi'];
+export const MAX_SERIES_VOLUMES = 10;
+
+export const MOBI_EXTENSIONS = ['.mobi', '.azw', '.azw3'];
+export const SUPPORTED_EXTENSIONS = ['.epub', ...MOBI_EXTENSIONS, '.pdf', '.txt', '.md', '.markdown', '.docx', '.fb2'];
+
+// Background jobs
+export const MAX_CONCURRENT_JOBS = 1;
+
+// Cost estimates before a run (per request, in tokens)
+export const PROMPT_OVERHEAD_TOKENS = 1000; // instructions wrapped around the book text
+export const ESTIMATED_SUMMARY_TOKENS = 1500;
+export const ESTIMATED_EXTRACTION_TOKENS = 3000;
+export const ESTIMATED_CHARACTER_TOKENS = 2500;
+export const ESTIMATED_CHARACTER_COUNT = 8;
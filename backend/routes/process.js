@@ -2,34 +2,66 @@ import express from 'express';
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs/promises';
-import { fileURLToPath } from 'url';
 import { parseEpub, extractEpubCover } from '../services/fileParser.js';
+import { processBookFile, readBookMetadata, summarizeBookMetadata, validateMetadataFile } from '../services/bookProcessor.js';
+import { createJobQueue } from '../services/jobQueue.js';
+import { createResponseCache } from '../services/responseCache.js';
+import { getTokenizer } from '../services/tokenizer.js';
+import { createUsageTracker, estimateSelection, getCostModel } from '../services/usageTracker.js';
 import { analyzeBook, getAvailableModels, testConnection } from '../services/aiService.js';
+import { parseFallbackModels } from '../services/modelChain.js';
+import { getProvider } from '../services/providers/index.js';
+import { selectBodyChapters } from '../services/matterClassifier.js';
 import { generateCharacterCards, generateLorebook } from '../services/cardGenerator.js';
-import { updateProgress, getProgress, clearProgress } from '../utils/progressTracker.js';
+import { buildGroundingReport } from '../services/groundingReport.js';
+import { mergeVolumeAnalysis, buildSeriesMetadata } from '../services/seriesMerger.js';
+import { updateProgress, finishProgress, getProgress, subscribeProgress, clearProgress } from '../utils/progressTracker.js';
+import { registerCancellation, cancelSession, releaseCancellation, isCancelledError } from '../utils/cancellation.js';
 import logger from '../utils/logger.js';
 import {
-  DEFAULT_API_BASE_URL,
   DEFAULT_CONTEXT_LENGTH,
   MAX_FILE_SIZE_BYTES,
+  MAX_SERIES_VOLUMES,
   SUPPORTED_EXTENSIONS,
   CONTEXT_INPUT_RATIO,
   CHUNK_FILL_RATIO,
-  CHARS_PER_TOKEN,
+  PROGRESS_HEARTBEAT_MS,
+  PROGRESS_RETRY_MS,
 } from '../config/constants.js';
 
 // ---------------------------------------------------------------------------
 // Helpers
 // ---------------------------------------------------------------------------
 
+/**
+ * Input budget of the analysis prompts and the size of the chunks a book is
+ * split into when it does not fit, for a model's context length.
+ */
+function inputLimits(contextLength) {
+  const contextSize = parseInt(contextLength) || DEFAULT_CONTEXT_LENGTH;
+  const maxTokensForInput = Math.floor(contextSize * CONTEXT_INPUT_RATIO);
+  return { contextLength: contextSize, maxTokensForInput, tokensPerChunk: Math.floor(maxTokensForInput * CHUNK_FILL_RATIO) };
+}
+
 function validateFileExtension(filename) {
   const ext = path.extname(filename).toLowerCase();
   if (!SUPPORTED_EXTENSIONS.includes(ext)) {
-    return `Only ${SUPPORTED_EXTENSIONS.join(' and ')} files are supported`;
+    return `Only ${SUPPORTED_EXTENSIONS.join(', ')} files are supported`;
   }
   return null;
 }
 
+/**
+ * Sidecar for a series volume: the `.opf` with the same base name as the book
+ * ("Title - Author.opf" next to "Title - Author.epub"), else the one at the
+ * same upload position when one was sent per book.
+ */
+function findVolumeSidecar(file, index, files, sidecars = []) {
+  const stem = path.parse(file.originalname).name.toLowerCase();
+  return sidecars.find(f => path.parse(f.originalname).name.toLowerCase() === stem)
+    || (sidecars.length === files.length ? sidecars[index] : null);
+}
+
 async function cleanupFiles(...filePaths) {
   for (const p of filePaths) {
     if (!p) continue;
@@ -74,6 +106,39 @@ async function cleanupRequestUploads(req) {
   await cleanupFiles(...getUploadedPaths(req));
 }
 
+/**
+ * Job fields returned to the client (no file paths).
+ */
+function describeJob(job) {
+  const { id, status, fileName, createdAt, updatedAt, completedAt, attempts, error } = job;
+  return { id, status, fileName, createdAt, updatedAt, completedAt, attempts, error };
+}
+
+/**
+ * Record how a run ended: 'cancelled' for a cancelled run, else 'error'.
+ */
+function finishWithError(sessionId, error) {
+  if (isCancelledError(error)) {
+    finishProgress(sessionId, 'cancelled', 'Processing cancelled');
+  } else {
+    finishProgress(sessionId, 'error', error.message || 'An error occurred during processing');
+  }
+}
+
+/**
+ * Abort a run when its client disconnects before the response is sent, so a
+ * closed tab stops making paid API calls.
+ * @returns {AbortSignal}
+ */
+function cancelOnDisconnect(sessionId, res) {
+  const controller = registerCancellation(sessionId);
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+    releaseCancellation(sessionId);
+  });
+  return controller.signal;
+}
+
 function generateSessionId() {
   return `session_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
 }
@@ -92,18 +157,46 @@ export function createProcessRouter(uploadsPath) {
 
   const upload = multer({ storage, limits: { fileSize: MAX_FILE_SIZE_BYTES } });
 
+  // AI responses reused across runs (see responseCache.js)
+  const responseCache = createResponseCache(path.join(uploadsPath, 'cache'));
+
+  // Background jobs run the /file pipeline with their progress session = job id
+  const jobQueue = createJobQueue({
+    jobsDir: path.join(uploadsPath, 'jobs'),
+    runJob: async (job, { apiKey, providerKeys, checkpoint, signal }) => {
+      try {
+        updateProgress(job.id, `Starting job for ${job.fileName}...`, { phase: 'parse' });
+        const result = await processBookFile({
+          ...job.input,
+          options: { ...job.options, apiKey, providerKeys },
+          sessionId: job.id,
+          checkpoint,
+          cache: responseCache,
+          signal,
+        });
+        finishProgress(job.id, 'complete', 'Complete!');
+        return result;
+      } catch (error) {
+        finishWithError(job.id, error);
+        throw error;
+      }
+    },
+  });
+  jobQueue.recover().catch(error => logger.warn('Could not recover jobs:', error.message));
+
   // GET /models
   router.get('/models', async (req, res) => {
     try {
       const apiKey = req.headers['x-api-key'];
-      const apiBaseUrl = req.headers['x-api-base-url'] || DEFAULT_API_BASE_URL;
+      const provider = getProvider(req.headers['x-provider']);
+      const apiBaseUrl = req.headers['x-api-base-url'] || provider.defaultBaseUrl;
       if (!apiKey) return res.status(400).json({ error: 'API key is required' });
 
-      const models = await getAvailableModels(apiKey, apiBaseUrl);
+      const models = await getAvailableModels(apiKey, apiBaseUrl, provider.id);
       res.json({ models });
     } catch (error) {
       logger.error('Error fetching models:', error.message);
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
     }
   });
 
@@ -114,76 +207,97 @@ export function createProcessRouter(uploadsPath) {
       if (!apiKey) return res.status(400).json({ success: false, error: 'API key is required' });
       if (!apiBaseUrl) return res.status(400).json({ success: false, error: 'API base URL is required' });
 
-      const result = await testConnection(apiBaseUrl, apiKey);
+      const result = await testConnection(apiBaseUrl, apiKey, getProvider(req.body.provider).id);
       res.json(result);
     } catch (error) {
       logger.error('Error testing connection:', error.message);
-      res.status(500).json({ success: false, error: error.message });
+      res.status(error.status || 500).json({ success: false, error: error.message });
     }
   });
 
   // POST /preview — parse-only stats (no AI cost)
-  router.post('/preview', upload.single('file'), async (req, res) => {
+  router.post('/preview', upload.fields([
+    { name: 'file', maxCount: 1 },
+    { name: 'metadataFile', maxCount: 1 },
+  ]), async (req, res) => {
     try {
-      const file = req.file;
-      if (!file) return res.status(400).json({ error: 'No file uploaded' });
+      const file = req.files?.file?.[0];
+      if (!file) {
+        await cleanupRequestUploads(req);
+        return res.status(400).json({ error: 'No file uploaded' });
+      }
 
-      const extError = validateFileExtension(file.originalname);
+      const extError = validateFileExtension(file.originalname) || validateMetadataFile(req.files?.metadataFile?.[0]);
       if (extError) {
-        await cleanupFiles(file.path);
+        await cleanupRequestUploads(req);
         return res.status(400).json({ error: extError });
       }
 
       const epubData = await parseEpub(file.path);
-      const contextLength = parseInt(req.body.contextLength) || DEFAULT_CONTEXT_LENGTH;
-
-      const safeContextSize = Math.floor(contextLength * CONTEXT_INPUT_RATIO);
-      const maxCharsForInput = safeContextSize * CHARS_PER_TOKEN;
-      const charsPerChunk = Math.floor(safeContextSize * CHUNK_FILL_RATIO) * CHARS_PER_TOKEN;
-
-      const textLength = epubData.text.length;
-      const estimatedTokens = Math.ceil(textLength / CHARS_PER_TOKEN);
-      const chapterCount = epubData.chapters?.length || 1;
-      const fitsInContext = textLength <= maxCharsForInput;
-
-      let estimatedChunks = 1;
-      if (!fitsInContext) {
-        let currentSize = 0;
-        estimatedChunks = 1;
-        for (const ch of (epubData.chapters || [])) {
-          const chLen = ch.text.length + (ch.title ? ch.title.length + 10 : 0);
-          if (chLen > charsPerChunk) {
-            if (currentSize > 0) estimatedChunks++;
-            estimatedChunks += Math.ceil(chLen / charsPerChunk);
-            currentSize = 0;
-          } else if (currentSize + chLen > charsPerChunk) {
-            estimatedChunks++;
-            currentSize = chLen;
-          } else {
-            currentSize += chLen;
-          }
-        }
-      }
-
-      const totalRequests = fitsInContext ? 1 : estimatedChunks + 1;
+      const bookMetadata = await readBookMetadata(epubData, req.files?.metadataFile?.[0]);
+      const { contextLength, maxTokensForInput, tokensPerChunk } = inputLimits(req.body.contextLength);
+      const tokenizer = await getTokenizer(req.body.model);
+      const chapterTokens = new Map((epubData.chapters || []).map(ch => [ch, tokenizer.count(ch.text)]));
+
+      const includeFrontBackMatter = req.body.includeFrontBackMatter === 'true';
+      const { included: chapters, excluded } = selectBodyChapters(epubData.chapters, includeFrontBackMatter);
+      const textLength = excluded.length
+        ? chapters.map(ch => ch.text).join('\n\n').length
+        : epubData.text.length;
+      const chapterCount = chapters?.length || 1;
+      const costModel = getCostModel(req.body.pricing);
+      const estimate = estimateSelection(
+        chapters?.length ? chapters.map(ch => chapterTokens.get(ch)) : [tokenizer.count(epubData.text)],
+        { maxTokensForInput, tokensPerChunk },
+        costModel,
+      );
 
-      await cleanupFiles(file.path);
+      await cleanupRequestUploads(req);
 
       res.json({
         fileName: file.originalname,
+        bookMetadata: summarizeBookMetadata(bookMetadata),
         textLength,
-        estimatedTokens,
         chapterCount,
-        fitsInContext,
-        estimatedChunks: fitsInContext ? 0 : estimatedChunks,
-        totalRequests,
+        ...estimate,
         contextLength,
+        maxTokensForInput,
+        tokensPerChunk,
+        tokenizer: { name: tokenizer.name, exact: tokenizer.exact },
+        costModel,
+        chapters: (epubData.chapters || []).map((ch, index) => ({
+          index,
+          title: ch.title,
+          level: ch.level || 0,
+          parents: ch.parents || [],
+          matter: ch.matter,
+          length: ch.text.length,
+          tokens: chapterTokens.get(ch),
+        })),
+        excludedChapters: excluded.map(ch => ({
+          title: ch.title,
+          matter: ch.matter,
+          reason: ch.matterReason,
+          length: ch.text.length,
+        })),
+        toc: epubData.toc?.length
+          ? epubData.toc
+          : (epubData.chapters || []).map(ch => ({ title: ch.title, level: ch.level || 0 })),
       });
     } catch (error) {
       logger.error('Error previewing file:', error.message);
-      if (req.file) await cleanupFiles(req.file.path);
-      res.status(500).json({ error: error.message });
+      await cleanupRequestUploads(req);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  // POST /estimate — requests, tokens and cost for a selection of the previewed chapters
+  router.post('/estimate', (req, res) => {
+    const { chapterTokens, contextLength, pricing } = req.body || {};
+    if (!Array.isArray(chapterTokens) || chapterTokens.some(tokens => !Number.isFinite(tokens) || tokens < 0)) {
+      return res.status(400).json({ error: 'chapterTokens must be an array of token counts' });
     }
+    res.json(estimateSelection(chapterTokens, inputLimits(contextLength), getCostModel(pricing)));
   });
 
   // GET /progress/:sessionId
@@ -192,20 +306,98 @@ export function createProcessRouter(uploadsPath) {
     res.json(progress || { message: 'No progress available', timestamp: Date.now() });
   });
 
+  // GET /progress/:sessionId/events — Server-Sent Events with replay
+  // (EventSource resends the last seen id as Last-Event-ID when it reconnects)
+  router.get('/progress/:sessionId/events', (req, res) => {
+    const afterId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId) || 0;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.write(`retry: ${PROGRESS_RETRY_MS}\n\n`);
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), PROGRESS_HEARTBEAT_MS);
+    let unsubscribe = () => {};
+    const close = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    };
+
+    unsubscribe = subscribeProgress(req.params.sessionId, afterId, (event) => {
+      if (event) {
+        res.write(`id: ${event.id}\nevent: progress\ndata: ${JSON.stringify(event)}\n\n`);
+        return;
+      }
+      res.write('event: end\ndata: {}\n\n');
+      close();
+      res.end();
+    });
+
+    req.on('close', close);
+  });
+
   // POST /file — full EPUB processing pipeline
   router.post('/file', upload.fields([
     { name: 'file', maxCount: 1 },
     { name: 'coverImage', maxCount: 1 },
+    { name: 'metadataFile', maxCount: 1 },
   ]), async (req, res) => {
     const sessionId = req.body.sessionId || generateSessionId();
+    const signal = cancelOnDisconnect(sessionId, res);
 
     try {
-      updateProgress(sessionId, 'Starting file processing...');
+      updateProgress(sessionId, 'Starting file processing...', { phase: 'parse' });
 
-      const { apiKey, model, contextLength, maxCompletionTokens, useCoverFromEpub, apiBaseUrl } = req.body;
       const file = req.files?.file?.[0];
-      const coverImage = req.files?.coverImage?.[0];
+      if (!file) {
+        await cleanupRequestUploads(req);
+        return res.status(400).json({ error: 'No file uploaded' });
+      }
+      if (!req.body.apiKey) {
+        await cleanupRequestUploads(req);
+        return res.status(400).json({ error: 'API key is required' });
+      }
+
+      const extError = validateFileExtension(file.originalname) || validateMetadataFile(req.files?.metadataFile?.[0]);
+      if (extError) {
+        await cleanupRequestUploads(req);
+        return res.status(400).json({ error: extError });
+      }
+
+      const result = await processBookFile({
+        file,
+        coverImage: req.files?.coverImage?.[0],
+        metadataFile: req.files?.metadataFile?.[0],
+        options: req.body,
+        sessionId,
+        cache: responseCache,
+        signal,
+      });
 
+      await cleanupRequestUploads(req);
+      finishProgress(sessionId, 'complete', 'Complete! Sending results...');
+      res.json(result);
+    } catch (error) {
+      await cleanupRequestUploads(req);
+      logger.error('Error processing file:', error.message);
+      finishWithError(sessionId, error);
+      res.status(error.status || 500).json({ error: error.message || 'An error occurred during processing' });
+    }
+  });
+
+  // POST /jobs — queue the /file pipeline in the background and return at once
+  router.post('/jobs', upload.fields([
+    { name: 'file', maxCount: 1 },
+    { name: 'coverImage', maxCount: 1 },
+    { name: 'metadataFile', maxCount: 1 },
+  ]), async (req, res) => {
+    try {
+      const file = req.files?.file?.[0];
+      // Fallback provider keys stay in memory like the API key
+      const { apiKey, providerKeys, ...options } = req.body;
       if (!file) {
         await cleanupRequestUploads(req);
         return res.status(400).json({ error: 'No file uploaded' });
@@ -214,87 +406,254 @@ export function createProcessRouter(uploadsPath) {
         await cleanupRequestUploads(req);
         return res.status(400).json({ error: 'API key is required' });
       }
-
-      const extError = validateFileExtension(file.originalname);
+      const extError = validateFileExtension(file.originalname) || validateMetadataFile(req.files?.metadataFile?.[0]);
       if (extError) {
         await cleanupRequestUploads(req);
         return res.status(400).json({ error: extError });
       }
+      // Reject an unknown provider or a malformed fallback list now rather than when the job runs
+      const provider = getProvider(options.provider);
+      parseFallbackModels(options.fallbackModels, providerKeys, {
+        provider: provider.id,
+        apiKey,
+        apiBaseUrl: options.apiBaseUrl || provider.defaultBaseUrl,
+      });
 
-      logger.info(`Processing: ${file.originalname}, model: ${model}`);
+      const job = await jobQueue.submit({
+        files: { file, coverImage: req.files?.coverImage?.[0], metadataFile: req.files?.metadataFile?.[0] },
+        options,
+        apiKey,
+        providerKeys,
+      });
+      logger.info(`Queued job ${job.id} for ${file.originalname}`);
+      res.status(202).json({ jobId: job.id, sessionId: job.id, status: job.status });
+    } catch (error) {
+      await cleanupRequestUploads(req);
+      logger.error('Error queueing job:', error.message);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
 
-      // Parse EPUB
-      updateProgress(sessionId, 'Parsing EPUB file...');
-      const epubData = await parseEpub(file.path);
-      const bookText = epubData.text;
-      logger.info(`EPUB parsed: ${bookText.length} chars`);
-      updateProgress(sessionId, `EPUB parsed (${bookText.length.toLocaleString()} characters)`);
+  // GET /jobs
+  router.get('/jobs', async (_req, res) => {
+    try {
+      const jobs = await jobQueue.list();
+      res.json({ jobs: jobs.map(describeJob) });
+    } catch (error) {
+      logger.error('Error listing jobs:', error.message);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
 
-      // Cover image
-      updateProgress(sessionId, 'Processing cover image...');
+  // GET /jobs/:jobId — status, saved steps, and the result once completed
+  router.get('/jobs/:jobId', async (req, res) => {
+    try {
+      const job = await jobQueue.get(req.params.jobId);
+      if (!job) return res.status(404).json({ error: 'Job not found' });
+      res.json({
+        ...describeJob(job),
+        savedSteps: await jobQueue.savedSteps(job.id),
+        progress: getProgress(job.id),
+        result: job.status === 'completed' ? await jobQueue.getResult(job.id) : undefined,
+      });
+    } catch (error) {
+      logger.error('Error reading job:', error.message);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  // POST /jobs/:jobId/resume — rerun a failed or interrupted job from its last completed step
+  router.post('/jobs/:jobId/resume', async (req, res) => {
+    try {
+      if (!req.body?.apiKey) return res.status(400).json({ error: 'API key is required' });
+      clearProgress(req.params.jobId);
+      const job = await jobQueue.resume(req.params.jobId, req.body.apiKey, req.body.providerKeys);
+      if (!job) return res.status(409).json({ error: 'Only failed or interrupted jobs can be resumed' });
+      res.status(202).json({ jobId: job.id, sessionId: job.id, status: job.status });
+    } catch (error) {
+      logger.error('Error resuming job:', error.message);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  // DELETE /jobs/:jobId
+  router.delete('/jobs/:jobId', async (req, res) => {
+    try {
+      const removed = await jobQueue.remove(req.params.jobId);
+      if (!removed) return res.status(409).json({ error: 'Job not found or still running' });
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Error deleting job:', error.message);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  // POST /cancel/:sessionId — stop a running /file, /series or /summary request, or a job
+  router.post('/cancel/:sessionId', async (req, res) => {
+    try {
+      const { sessionId } = req.params;
+      const job = await jobQueue.cancel(sessionId);
+      if (job && job.status === 'cancelled') finishProgress(sessionId, 'cancelled', 'Processing cancelled');
+      if (!job && !cancelSession(sessionId)) {
+        return res.status(404).json({ error: 'Nothing is running for this session' });
+      }
+      logger.info(`Cancelling ${sessionId}`);
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Error cancelling session:', error.message);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  // POST /series — several volumes of one series, merged into one lorebook
+  router.post('/series', upload.fields([
+    { name: 'files', maxCount: MAX_SERIES_VOLUMES },
+    { name: 'coverImage', maxCount: 1 },
+    { name: 'metadataFiles', maxCount: MAX_SERIES_VOLUMES },
+  ]), async (req, res) => {
+    const sessionId = req.body.sessionId || generateSessionId();
+    const signal = cancelOnDisconnect(sessionId, res);
+
+    try {
+      updateProgress(sessionId, 'Starting series processing...', { phase: 'parse' });
+
+      const { apiKey, model, pricing, contextLength, maxCompletionTokens, useCoverFromEpub, apiBaseUrl, includeFrontBackMatter } = req.body;
+      const provider = getProvider(req.body.provider).id;
+      const providerUrl = apiBaseUrl || getProvider(provider).defaultBaseUrl;
+      const files = req.files?.files || [];
+      const coverImage = req.files?.coverImage?.[0];
+
+      if (files.length < 2) {
+        await cleanupRequestUploads(req);
+        return res.status(400).json({ error: 'Upload at least two book files for series mode' });
+      }
+      if (!apiKey) {
+        await cleanupRequestUploads(req);
+        return res.status(400).json({ error: 'API key is required' });
+      }
+      const extError = files.map(f => validateFileExtension(f.originalname))
+        .concat((req.files?.metadataFiles || []).map(validateMetadataFile))
+        .find(Boolean);
+      if (extError) {
+        await cleanupRequestUploads(req);
+        return res.status(400).json({ error: extError });
+      }
+      const fallbackModels = parseFallbackModels(req.body.fallbackModels, req.body.providerKeys, { provider, apiKey, apiBaseUrl: providerUrl });
+
+      logger.info(`Processing series: ${files.map(f => f.originalname).join(', ')}, model: ${model}`);
+
+      // Parse every volume up front so a bad file fails before any AI cost
+      const volumes = [];
+      for (const [index, file] of files.entries()) {
+        updateProgress(sessionId, `Parsing volume ${index + 1}/${files.length}: ${file.originalname}...`, { phase: 'parse' });
+        const epubData = await parseEpub(file.path);
+        const sidecar = findVolumeSidecar(file, index, files, req.files?.metadataFiles);
+        const metadata = await readBookMetadata(epubData, sidecar);
+        volumes.push({ file, epubData, metadata: { ...metadata, title: metadata.title || path.parse(file.originalname).name } });
+      }
+
+      // Reading order: series index when every volume has one, else upload order
+      if (volumes.every(v => v.metadata.seriesIndex !== undefined)) {
+        volumes.sort((a, b) => a.metadata.seriesIndex - b.metadata.seriesIndex);
+      }
+
+      updateProgress(sessionId, 'Processing cover image...', { phase: 'parse' });
       let coverImageBase64 = null;
-      if (useCoverFromEpub === 'true' && epubData.hasCover) {
-        const coverBuffer = await extractEpubCover(file.path);
+      if (useCoverFromEpub === 'true' && volumes[0].epubData.hasCover) {
+        const coverBuffer = await extractEpubCover(volumes[0].file.path);
         coverImageBase64 = coverBuffer.toString('base64');
       } else if (coverImage) {
         const coverBuffer = await fs.readFile(coverImage.path);
         coverImageBase64 = coverBuffer.toString('base64');
       }
 
-      // AI analysis
-      updateProgress(sessionId, 'Analyzing book with AI... This may take a few minutes.');
+      // Analyze each volume with what the earlier ones established
       const contextSize = parseInt(contextLength) || DEFAULT_CONTEXT_LENGTH;
       const maxCompTokens = parseInt(maxCompletionTokens) || null;
-      const providerUrl = apiBaseUrl || DEFAULT_API_BASE_URL;
-      const analysis = await analyzeBook(bookText, {
-        apiKey,
-        model,
-        contextLength: contextSize,
-        sessionId,
-        updateProgress,
-        apiBaseUrl: providerUrl,
-        chapters: epubData.chapters,
-        maxCompletionTokens: maxCompTokens,
-      });
-      updateProgress(sessionId, `AI analysis complete - found ${analysis.characters?.length || 0} characters`);
+      let series = null;
+      const volumeSummaries = [];
+      const usage = createUsageTracker(pricing);
+
+      for (const [index, { file, epubData, metadata }] of volumes.entries()) {
+        const label = `Volume ${index + 1}/${volumes.length}`;
+        const volumeProgress = (id, msg, details = {}) => updateProgress(id, `${label} (${metadata.title}): ${msg}`, {
+          ...details,
+          volume: { current: index + 1, total: volumes.length, title: metadata.title },
+        });
+        logger.info(`${label}: ${metadata.title} (${epubData.text.length} chars)`);
+
+        const analysis = await analyzeBook(epubData.text, {
+          apiKey,
+          model,
+          contextLength: contextSize,
+          sessionId,
+          updateProgress: volumeProgress,
+          apiBaseUrl: providerUrl,
+          provider,
+          chapters: epubData.chapters,
+          maxCompletionTokens: maxCompTokens,
+          includeFrontBackMatter: includeFrontBackMatter === 'true',
+          priorContext: series,
+          signal,
+          usage,
+          fallbackModels,
+          pricing,
+          cache: responseCache,
+          refreshCache: req.body.refreshCache === 'true',
+          summaryConcurrency: parseInt(req.body.summaryConcurrency) || undefined,
+        });
+        series = mergeVolumeAnalysis(series, analysis, metadata.title);
+        volumeSummaries.push({
+          fileName: file.originalname,
+          title: metadata.title,
+          seriesIndex: metadata.seriesIndex,
+          characterCount: analysis.characters.length,
+        });
+      }
+      updateProgress(sessionId, `Series analysis complete - ${series.characters.length} characters across ${volumes.length} volumes`, { phase: 'analyze' });
 
       // Generate outputs
-      updateProgress(sessionId, 'Generating character cards and lorebook...');
-
-      if (!analysis.characters?.length) throw new Error('No characters found in book analysis');
-
-      const characterCards = generateCharacterCards(analysis.characters, coverImageBase64);
-      const lorebook = generateLorebook(analysis.worldInfo || {}, analysis.characters);
-      logger.info(`Generated ${characterCards.length} cards, ${lorebook.entries.length} lorebook entries`);
-
-      if (!characterCards.length) throw new Error('Failed to generate character cards');
-      if (!lorebook?.entries) throw new Error('Failed to generate lorebook');
+      updateProgress(sessionId, 'Generating character cards and merged lorebook...', { phase: 'generate' });
+      const seriesMetadata = buildSeriesMetadata(volumes.map(v => v.metadata));
+      const characterCards = generateCharacterCards(series.characters, coverImageBase64, seriesMetadata);
+      const lorebook = generateLorebook(series.worldInfo, series.characters, seriesMetadata);
+      logger.info(`Generated ${characterCards.length} cards, ${lorebook.entries.length} lorebook entries for the series`);
+
+      updateProgress(sessionId, 'Checking the profiles and lorebook against the books...', { phase: 'generate' });
+      const grounding = buildGroundingReport(series.characters, lorebook, {
+        chapters: volumes.flatMap(({ epubData, metadata }) => (epubData.chapters || []).map(ch => ({ ...ch, title: `${metadata.title}: ${ch.title}` }))),
+        text: volumes.map(({ epubData }) => epubData.text).join('\n\n'),
+      });
 
-      // Cleanup
-      await cleanupFiles(file.path, coverImage?.path);
+      await cleanupRequestUploads(req);
 
-      updateProgress(sessionId, 'Complete! Sending results...');
-      clearProgress(sessionId);
+      finishProgress(sessionId, 'complete', 'Complete! Sending results...');
 
       res.json({
         characters: characterCards,
         lorebook,
-        bookTitle: analysis.bookTitle,
+        grounding,
+        bookTitle: seriesMetadata.title,
+        bookMetadata: summarizeBookMetadata(seriesMetadata),
+        volumes: volumeSummaries,
         coverImage: coverImageBase64,
+        usage: usage.summary(),
         sessionId,
       });
     } catch (error) {
       await cleanupRequestUploads(req);
-      logger.error('Error processing file:', error.message);
-      clearProgress(sessionId);
-      res.status(500).json({ error: error.message || 'An error occurred during processing' });
+      logger.error('Error processing series:', error.message);
+      finishWithError(sessionId, error);
+      res.status(error.status || 500).json({ error: error.message || 'An error occurred during processing' });
     }
   });
 
   // POST /summary — text summary processing
   router.post('/summary', upload.single('coverImage'), async (req, res) => {
+    const signal = cancelOnDisconnect(req.body.sessionId || generateSessionId(), res);
+
     try {
-      const { summary, apiKey, model, contextLength, maxCompletionTokens, apiBaseUrl } = req.body;
+      const { summary, apiKey, model, pricing, contextLength, maxCompletionTokens, apiBaseUrl } = req.body;
       const coverImage = req.file;
 
       if (!summary) return res.status(400).json({ error: 'Summary text is required' });
@@ -308,7 +667,10 @@ export function createProcessRouter(uploadsPath) {
 
       const contextSize = parseInt(contextLength) || DEFAULT_CONTEXT_LENGTH;
       const maxCompTokens = parseInt(maxCompletionTokens) || null;
-      const providerUrl = apiBaseUrl || DEFAULT_API_BASE_URL;
+      const provider = getProvider(req.body.provider).id;
+      const providerUrl = apiBaseUrl || getProvider(provider).defaultBaseUrl;
+      const fallbackModels = parseFallbackModels(req.body.fallbackModels, req.body.providerKeys, { provider, apiKey, apiBaseUrl: providerUrl });
+      const usage = createUsageTracker(pricing);
       const analysis = await analyzeBook(summary, {
         apiKey,
         model,
@@ -316,32 +678,78 @@ export function createProcessRouter(uploadsPath) {
         sessionId: null,
         updateProgress: null,
         apiBaseUrl: providerUrl,
+        provider,
         chapters: null,
         maxCompletionTokens: maxCompTokens,
+        signal,
+        usage,
+        fallbackModels,
+        pricing,
+        cache: responseCache,
+        refreshCache: req.body.refreshCache === 'true',
       });
 
       const characterCards = generateCharacterCards(analysis.characters, coverImageBase64);
       const lorebook = generateLorebook(analysis.worldInfo, analysis.characters);
+      // The summary is all there is to check against
+      const grounding = buildGroundingReport(analysis.characters, lorebook, { text: summary });
 
       if (coverImage) await cleanupFiles(coverImage.path);
 
       res.json({
         characters: characterCards,
         lorebook,
+        grounding,
         bookTitle: analysis.bookTitle,
         coverImage: coverImageBase64,
+        usage: usage.summary(),
       });
     } catch (error) {
       await cleanupFiles(req.file?.path);
       logger.error('Error processing summary:', error.message);
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  // GET /cache — cached AI responses, newest first, and their total size
+  router.get('/cache', async (_req, res) => {
+    try {
+      const entries = await responseCache.list();
+      res.json({
+        entries,
+        count: entries.length,
+        totalBytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+      });
+    } catch (error) {
+      logger.error('Error listing cache:', error.message);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  // DELETE /cache — clear every entry, or only those of ?model= and/or ?phase=
+  router.delete('/cache', async (req, res) => {
+    try {
+      const { model, phase } = req.query;
+      const removed = await responseCache.clear({ model, phase });
+      logger.info(`Cleared ${removed} cached responses`);
+      res.json({ success: true, removed });
+    } catch (error) {
+      logger.error('Error clearing cache:', error.message);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  // DELETE /cache/:key
+  router.delete('/cache/:key', async (req, res) => {
+    try {
+      const removed = await responseCache.remove(req.params.key);
+      if (!removed) return res.status(404).json({ error: 'Cache entry not found' });
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Error removing cache entry:', error.message);
+      res.status(error.status || 500).json({ error: error.message });
     }
   });
 
   return router;
 }
-
-// Default export for backward compatibility (standalone node server.js usage)
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const defaultRouter = createProcessRouter(path.resolve(__dirname, '..', 'uploads'));
-export default defaultRouter;
@@ -0,0 +1,110 @@
+// ---------------------------------------------------------------------------
+// AI provider error classification
+//
+// Turns axios/stream errors into a `kind` that decides whether a request is
+// retried, plus a message that tells the user what to do about it.
+// ---------------------------------------------------------------------------
+
+// 529: Anthropic's "overloaded"
+const RETRYABLE_STATUSES = [408, 409, 425, 429, 500, 502, 503, 504, 529];
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ERR_STREAM_PREMATURE_CLOSE'];
+
+// Kinds that fail every request of a run the same way
+export const FATAL_ERROR_KINDS = ['auth', 'quota', 'context-length', 'network'];
+
+const CONTEXT_LENGTH_PATTERN = /context[ _-]?(length|window)|maximum context|too many tokens|prompt is too long|input is too long|reduce the length|context_length_exceeded/i;
+const CONTENT_FILTER_PATTERN = /content[ _-]?(filter|policy|management)|safety|moderation|flagged|prohibited|blocked/i;
+// Gemini answers a bad key with 400 INVALID_ARGUMENT
+const AUTH_PATTERN = /api[ _-]?key not valid|invalid[ _-]?(x-)?api[ _-]?key|API_KEY_INVALID/i;
+const QUOTA_PATTERN = /credit|insufficient|billing|payment|per[ -]day|daily|exceeded your current quota/i;
+
+function errorDetail(error) {
+  // Gemini's streaming endpoint wraps the error body in an array
+  const body = error.response?.data;
+  const data = Array.isArray(body) ? body[0] : body;
+  const detail = data?.error?.message
+    || (typeof data?.error === 'string' ? data.error : null)
+    || data?.message
+    || error.message
+    || 'Unknown error';
+  return String(detail).slice(0, 500);
+}
+
+/**
+ * Delay requested by `Retry-After` (seconds or an HTTP date) or
+ * `retry-after-ms`, in milliseconds.
+ * @param {Object|undefined} headers - axios response headers
+ * @returns {number|null}
+ */
+export function parseRetryAfter(headers) {
+  if (!headers) return null;
+  const ms = Number(headers['retry-after-ms']);
+  if (Number.isFinite(ms) && ms >= 0) return ms;
+
+  const value = headers['retry-after'];
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Classify a failed AI request.
+ * @param {Error} error - axios error, idle timeout (`ECONNABORTED`) or a mid-stream error with `status`
+ * @param {Object} [context]
+ * @param {string} [context.model]
+ * @param {string} [context.apiBaseUrl]
+ * @returns {{kind: string, retryable: boolean, status: number|null, retryAfterMs: number|null, message: string}}
+ */
+export function classifyAIError(error, { model = 'this model', apiBaseUrl = 'the provider' } = {}) {
+  const status = error.response?.status ?? error.status ?? null;
+  const detail = errorDetail(error);
+  const retryAfterMs = parseRetryAfter(error.response?.headers);
+  const result = (kind, retryable, message) => ({ kind, retryable, status, retryAfterMs, message });
+
+  if (error.code === 'ECONNABORTED') {
+    return result('timeout', true, `${error.message}. Try a smaller book or try again later.`);
+  }
+  if (status === 401 || status === 403 || (status === 400 && AUTH_PATTERN.test(detail))) {
+    return result('auth', false, `The provider rejected the API key (${status}: ${detail}). Check the API key and provider URL.`);
+  }
+  if (status === 402 || ((status === 429 || !status) && QUOTA_PATTERN.test(detail))) {
+    return result('quota', false, `Out of credits or over quota (${detail}). Add credits, wait for the quota to reset, or choose another model.`);
+  }
+  if (CONTEXT_LENGTH_PATTERN.test(detail) && (!status || status === 400 || status === 413 || status === 422)) {
+    return result('context-length', false, `The request is too long for ${model}'s context window (${detail}). Choose a model with a larger context or analyze fewer chapters.`);
+  }
+  if (CONTENT_FILTER_PATTERN.test(detail) && (!status || status === 400 || status === 403 || status === 422)) {
+    return result('content-filter', false, `The provider's content filter blocked the request (${detail}). Try a different model.`);
+  }
+  if (status === 429) {
+    return result('rate-limit', true, `Rate limited by the provider (${detail}). Wait a few minutes or choose another model.`);
+  }
+  if (status && RETRYABLE_STATUSES.includes(status)) {
+    return result('server', true, `The provider returned a server error (${status}: ${detail}). Try again later.`);
+  }
+  if (status) {
+    return result('request', false, `AI service error (${status}): ${detail}`);
+  }
+  if (RETRYABLE_NETWORK_CODES.includes(error.code) || /socket hang up|network/i.test(error.message)) {
+    return result('connection', true, `Connection to the AI service was lost (${detail}). Check your internet connection.`);
+  }
+  if (error.request || ['ECONNREFUSED', 'ENOTFOUND'].includes(error.code)) {
+    return result('network', false, `Could not reach ${apiBaseUrl} (${detail}). Check your internet connection and provider URL.`);
+  }
+  return result('unknown', false, `AI service error: ${detail}`);
+}
+
+/**
+ * Error thrown by the request layer once a request has failed for good.
+ * Keeps the original as `cause`; `kind` and `providerStatus` come from
+ * classifyAIError.
+ */
+export function createAIError(classification, cause, attempts = 1) {
+  const suffix = attempts > 1 ? ` (gave up after ${attempts} attempts)` : '';
+  const error = new Error(`${classification.message}${suffix}`, { cause });
+  error.kind = classification.kind;
+  error.providerStatus = classification.status;
+  return error;
+}
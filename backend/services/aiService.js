@@ -1,61 +1,65 @@
-import axios from 'axios';
 import logger from '../utils/logger.js';
+import { isCancelledError, throwIfCancelled, sleep } from '../utils/cancellation.js';
+import { runWithConcurrency } from '../utils/concurrency.js';
+import { selectBodyChapters } from './matterClassifier.js';
+import { findByName, unionStrings } from './seriesMerger.js';
+import { createChatCompletion } from './chatCompletion.js';
+import { getTokenizer } from './tokenizer.js';
+import { classifyAIError, createAIError, FATAL_ERROR_KINDS } from './aiErrors.js';
+import { describeModel } from './modelChain.js';
+import { getProvider, DEFAULT_PROVIDER } from './providers/index.js';
+import { EXTRACTION_SCHEMA, CHARACTER_DETAIL_SCHEMA, CHUNK_NOTES_SCHEMA, schemaResponseFormat, validateSchema } from './responseSchemas.js';
+import { cacheKey } from './responseCache.js';
+import { mergeChunkNotes, renderChunkNotes } from './chunkNotes.js';
+import { splitPassages, createPassageIndex, findCharacterPassages } from './retrieval.js';
+import { resolveAliases } from './aliasResolver.js';
+import { extractDialogue, applyBookDialogue } from './dialogueExtractor.js';
 import {
   DEFAULT_API_BASE_URL,
-  CHARS_PER_TOKEN,
   CONTEXT_INPUT_RATIO,
   CHUNK_FILL_RATIO,
+  PASSAGE_CONTEXT_SHARE,
   MAX_RESPONSE_TOKENS,
   MAX_CONTINUATION_ATTEMPTS,
   MAX_CHARACTER_RETRIES,
+  MAX_SCHEMA_REPAIR_ATTEMPTS,
   MAX_PARALLEL_CHARACTER_CALLS,
-  AI_REQUEST_TIMEOUT_MS,
+  MAX_PARALLEL_SUMMARY_CALLS,
   CONNECTION_TEST_TIMEOUT_MS,
+  AI_MAX_RETRIES,
+  AI_RETRY_BASE_DELAY_MS,
+  AI_RETRY_MAX_DELAY_MS,
 } from '../config/constants.js';
 
 /**
- * Test connection to an OpenAI-compatible API
+ * Test connection to a provider by listing its models
  * @param {string} apiBaseUrl
  * @param {string} apiKey
+ * @param {string} [provider=DEFAULT_PROVIDER] - Adapter id (see providers/index.js)
  * @returns {Promise<{success: boolean, modelCount?: number, error?: string}>}
  */
-export async function testConnection(apiBaseUrl, apiKey) {
+export async function testConnection(apiBaseUrl, apiKey, provider = DEFAULT_PROVIDER) {
   try {
-    const response = await axios.get(`${apiBaseUrl}/models`, {
-      headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
-      timeout: CONNECTION_TEST_TIMEOUT_MS,
-    });
-    const models = response.data.data || response.data;
-    return { success: true, modelCount: Array.isArray(models) ? models.length : 0 };
+    const models = await getProvider(provider).listModels({ apiBaseUrl, apiKey, timeout: CONNECTION_TEST_TIMEOUT_MS });
+    return { success: true, modelCount: models.length };
   } catch (error) {
-    const msg = error.response?.data?.error?.message || error.response?.statusText || error.message;
+    const msg = error.isAxiosError ? classifyAIError(error, { apiBaseUrl }).message : error.message;
     return { success: false, error: msg };
   }
 }
 
 /**
- * Get available models from an OpenAI-compatible API
+ * Get available models from a provider
  * @param {string} apiKey
  * @param {string} apiBaseUrl
- * @returns {Promise<Array>}
+ * @param {string} [provider=DEFAULT_PROVIDER]
+ * @returns {Promise<Array>} `{ id, name, context_length, max_completion_tokens, pricing }` per model
  */
-export async function getAvailableModels(apiKey, apiBaseUrl = DEFAULT_API_BASE_URL) {
+export async function getAvailableModels(apiKey, apiBaseUrl = DEFAULT_API_BASE_URL, provider = DEFAULT_PROVIDER) {
   try {
-    const response = await axios.get(`${apiBaseUrl}/models`, {
-      headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
-    });
-    const models = response.data.data || response.data;
-    if (!Array.isArray(models)) throw new Error('Unexpected response format from models endpoint');
-
-    return models.map(model => ({
-      id: model.id,
-      name: model.name || model.id,
-      context_length: model.context_length || 4096,
-      max_completion_tokens: model.top_provider?.max_completion_tokens || null,
-      pricing: model.pricing,
-    }));
+    return await getProvider(provider).listModels({ apiBaseUrl, apiKey });
   } catch (error) {
-    const msg = error.response?.data?.error?.message || error.response?.statusText || error.message;
+    const msg = error.isAxiosError ? classifyAIError(error, { apiBaseUrl }).message : error.message;
     throw new Error(`Failed to fetch models: ${msg}`);
   }
 }
@@ -65,51 +69,58 @@ export async function getAvailableModels(apiKey, apiBaseUrl = DEFAULT_API_BASE_U
 // ---------------------------------------------------------------------------
 
 /**
- * Split text into chunks by paragraphs (fallback for oversized chapters).
+ * Split text into chunks of at most `maxTokens` by paragraphs (fallback for
+ * oversized chapters).
  */
-function chunkText(text, maxTokens) {
-  const charsPerChunk = maxTokens * CHARS_PER_TOKEN;
+function chunkText(text, maxTokens, tokenizer) {
   const chunks = [];
   const paragraphs = text.split(/\n\n+/);
   let current = '';
+  let currentTokens = 0;
 
   for (const paragraph of paragraphs) {
-    if ((current + paragraph).length < charsPerChunk) {
-      current += paragraph + '\n\n';
-    } else {
-      if (current) chunks.push(current.trim());
-      current = paragraph + '\n\n';
+    const tokens = tokenizer.count(paragraph);
+    if (current && currentTokens + tokens >= maxTokens) {
+      chunks.push(current.trim());
+      current = '';
+      currentTokens = 0;
     }
+    current += paragraph + '\n\n';
+    currentTokens += tokens;
   }
   if (current) chunks.push(current.trim());
   return chunks;
 }
 
 /**
- * Split text into chunks at chapter boundaries.
+ * Split text into chunks of at most `maxTokens` at chapter boundaries.
  * Falls back to paragraph splitting for oversized chapters.
  */
-function chunkByChapters(chapters, maxTokens) {
-  const charsPerChunk = maxTokens * CHARS_PER_TOKEN;
+function chunkByChapters(chapters, maxTokens, tokenizer) {
   const chunks = [];
   let current = '';
+  let currentTokens = 0;
 
   for (const chapter of chapters) {
-    const chapterText = chapter.title
-      ? `--- ${chapter.title} ---\n\n${chapter.text}`
+    const heading = [...(chapter.parents || []), chapter.title].filter(Boolean).join(' › ');
+    const chapterText = heading
+      ? `--- ${heading} ---\n\n${chapter.text}`
       : chapter.text;
 
-    if (chapterText.length > charsPerChunk) {
-      if (current) { chunks.push(current.trim()); current = ''; }
-      chunks.push(...chunkText(chapterText, maxTokens));
+    const chapterTokens = tokenizer.count(chapterText);
+    if (chapterTokens > maxTokens) {
+      if (current) { chunks.push(current.trim()); current = ''; currentTokens = 0; }
+      chunks.push(...chunkText(chapterText, maxTokens, tokenizer));
       continue;
     }
 
-    if (current && (current.length + chapterText.length) > charsPerChunk) {
+    if (current && (currentTokens + chapterTokens) > maxTokens) {
       chunks.push(current.trim());
       current = '';
+      currentTokens = 0;
     }
     current += chapterText + '\n\n';
+    currentTokens += chapterTokens;
   }
   if (current) chunks.push(current.trim());
 
@@ -121,122 +132,324 @@ function chunkByChapters(chapters, maxTokens) {
 // AI API helpers
 // ---------------------------------------------------------------------------
 
-function makeHeaders(apiKey) {
-  return { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' };
+/**
+ * Progress callback for a streamed completion: "<label> — 1,234 tokens (56.7 tokens/sec)",
+ * sent as a `tokens` event keyed by the label.
+ */
+function streamProgress(progress, label, details = {}) {
+  return ({ tokens, tokensPerSecond }) => {
+    progress(`${label} — ${tokens.toLocaleString()} tokens (${tokensPerSecond.toFixed(1)} tokens/sec)`, {
+      ...details,
+      type: 'tokens',
+      key: label,
+      tokens,
+      tokensPerSecond: Math.round(tokensPerSecond * 10) / 10,
+    });
+  };
 }
 
+const RETRY_LABELS = {
+  'timeout': 'AI request timed out',
+  'rate-limit': 'Rate limited by the provider',
+  'server': 'Provider server error',
+  'connection': 'Connection to the provider lost',
+};
+
 /**
- * Summarize a single chunk of text.
+ * Delay before retrying a failed request, or null when it should fail now:
+ * the error is permanent, retries are used up, or `Retry-After` asks for
+ * longer than AI_RETRY_MAX_DELAY_MS.
  */
-async function summarizeChunk(chunk, apiKey, model, apiBaseUrl) {
-  const response = await axios.post(
-    `${apiBaseUrl}/chat/completions`,
-    {
-      model,
-      messages: [{
-        role: 'user',
-        content: `Summarize this excerpt from a book, focusing on characters, plot events, world-building details, and key information:\n\n${chunk}`,
-      }],
-    },
-    {
-      headers: makeHeaders(apiKey),
-      timeout: AI_REQUEST_TIMEOUT_MS,
-    },
+function retryDelay(classification, attempt) {
+  if (!classification.retryable || attempt > AI_MAX_RETRIES) return null;
+  if (classification.retryAfterMs !== null) {
+    return classification.retryAfterMs <= AI_RETRY_MAX_DELAY_MS ? classification.retryAfterMs : null;
+  }
+  const backoff = Math.min(AI_RETRY_MAX_DELAY_MS, AI_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+  // Jitter keeps parallel character calls from retrying in lockstep
+  return backoff / 2 + Math.random() * (backoff / 2);
+}
+
+/**
+ * Send one chat completion for a run, retrying transient failures, and
+ * record its token usage under `phase`. `ai` holds the request settings of
+ * one model in the run's chain (see analyzeBook): `{ provider, apiKey, model, apiBaseUrl,
+ * contextLength, maxCompletionTokens, pricing, tokenizer, signal, usage, progress, cache, refreshCache }`.
+ * A request that fails for good throws createAIError's error, whose `kind`
+ * says why (auth, quota, context-length, content-filter, rate-limit, ...).
+ */
+async function complete(ai, phase, body, onProgress = null) {
+  for (let attempt = 1; ; attempt++) {
+    let result;
+    try {
+      result = await createChatCompletion({
+        provider: ai.provider,
+        apiBaseUrl: ai.apiBaseUrl,
+        apiKey: ai.apiKey,
+        body: { model: ai.model, ...body },
+        contextLength: ai.contextLength,
+        onProgress,
+        signal: ai.signal,
+      });
+    } catch (error) {
+      if (isCancelledError(error)) throw error;
+      const classification = classifyAIError(error, { model: ai.model, apiBaseUrl: ai.apiBaseUrl });
+      const delayMs = retryDelay(classification, attempt);
+      if (delayMs === null) throw createAIError(classification, error, attempt);
+
+      const label = RETRY_LABELS[classification.kind] || 'AI request failed';
+      logger.warn(`${label} during ${phase} (attempt ${attempt}): ${error.message}; retrying in ${Math.round(delayMs)}ms`);
+      ai.progress?.(`${label} — retrying in ${Math.ceil(delayMs / 1000)}s (attempt ${attempt + 1}/${AI_MAX_RETRIES + 1})`, {
+        phase,
+        type: 'retry',
+        attempt: attempt + 1,
+        error: classification.message,
+      });
+      await sleep(delayMs, ai.signal);
+      continue;
+    }
+
+    if (ai.usage) {
+      // Count locally when the provider sends no usage
+      ai.usage.record(phase, result.usage || {
+        prompt_tokens: body.messages.reduce((sum, m) => sum + ai.tokenizer.count(m.content), 0),
+        completion_tokens: ai.tokenizer.count(result.content),
+        estimated: true,
+      }, ai.pricing);
+    }
+    return result;
+  }
+}
+
+/**
+ * Cache key of a step's response from `ai` (see responseCache.js).
+ */
+function stepCacheKey(ai, { phase, prompt, params = {} }) {
+  return cacheKey({
+    provider: ai.provider,
+    apiBaseUrl: ai.apiBaseUrl,
+    model: ai.model,
+    prompt,
+    params: { phase, ...params },
+  });
+}
+
+/**
+ * A cached result of the step from any available model of the chain, in
+ * chain order. Skipped when the run asked for a refresh.
+ */
+async function readCachedStep(available, cacheable) {
+  if (!cacheable) return null;
+  for (const ai of available) {
+    if (!ai.cache || ai.refreshCache) continue;
+    const result = await ai.cache.get(stepCacheKey(ai, cacheable));
+    if (result !== undefined && result !== null) return { result, ai, cached: true };
+  }
+  return null;
+}
+
+/**
+ * Run one pipeline step (a chunk summary, the extraction or one character)
+ * with each model of the chain in turn until one produces a result.
+ * `step(ai)` returns the result, or null when the model gave up without an
+ * error (e.g. character JSON that stayed unparseable). A model that fails
+ * with an auth, quota, context-length or network error is left out of the
+ * remaining steps.
+ * With `cacheable` (`{ phase, prompt, params? }`), a result cached for the
+ * same prompt is reused and a new one is cached.
+ * @returns {Promise<{result: any, ai: Object, cached?: boolean}>} `result` is null if every model gave up
+ */
+async function runStep(chain, label, details, step, cacheable = null) {
+  const available = chain.filter(ai => !ai.failed);
+  if (!available.length) throw chain.at(-1).failed;
+
+  const cached = await readCachedStep(available, cacheable);
+  if (cached) {
+    cached.ai.usage?.recordCached(cacheable.phase);
+    return cached;
+  }
+
+  let lastError = null;
+  for (const [index, ai] of available.entries()) {
+    try {
+      const result = await step(ai);
+      if (result !== null) {
+        if (cacheable && ai.cache) {
+          await ai.cache.set(stepCacheKey(ai, cacheable), result, { ...describeModel(ai), phase: cacheable.phase });
+        }
+        return { result, ai };
+      }
+      lastError = null;
+    } catch (error) {
+      if (isCancelledError(error)) throw error;
+      if (FATAL_ERROR_KINDS.includes(error.kind)) ai.failed = error;
+      lastError = error;
+    }
+
+    const next = available[index + 1];
+    if (next) {
+      logger.warn(`${label} failed with ${ai.model}${lastError ? ` (${lastError.message})` : ''}; switching to ${next.model}`);
+      ai.progress?.(`${label} failed with ${ai.model}, switching to ${next.model}...`, {
+        ...details,
+        type: 'fallback',
+        model: next.model,
+        error: lastError?.message,
+      });
+    }
+  }
+  if (lastError) throw lastError;
+  return { result: null, ai: available.at(-1) };
+}
+
+/**
+ * Response token budget for `prompt`: whatever the model's context leaves,
+ * at least MAX_RESPONSE_TOKENS and at most its max output.
+ */
+function calcMaxResponseTokens(prompt, ai) {
+  let tokens = Math.max(MAX_RESPONSE_TOKENS, ai.contextLength - ai.tokenizer.count(prompt));
+  if (ai.maxCompletionTokens) tokens = Math.min(tokens, ai.maxCompletionTokens);
+  return tokens;
+}
+
+/**
+ * Take structured notes (CHUNK_NOTES_SCHEMA) on one chunk, continuing a
+ * truncated response before validating it.
+ */
+async function takeChunkNotes(chunk, ai, progress, label, details) {
+  const prompt = buildChunkNotesPrompt(chunk);
+  const maxResponseTokens = calcMaxResponseTokens(prompt, ai);
+
+  let { content, finishReason } = await requestAnalysis(
+    prompt, CHUNK_NOTES_SCHEMA, ai, 'summarize', maxResponseTokens,
+    streamProgress(progress, label, details),
   );
-  if (!response.data?.choices?.[0]?.message?.content) {
-    throw new Error('AI returned an empty or unexpected response while summarizing chunk');
+
+  if (finishReason === 'length') {
+    for (let attempt = 1; attempt <= MAX_CONTINUATION_ATTEMPTS; attempt++) {
+      logger.info(`${label} truncated, continuation ${attempt}/${MAX_CONTINUATION_ATTEMPTS}`);
+      const continuation = await continueResponse(
+        prompt, content, ai, 'summarize', maxResponseTokens,
+        streamProgress(progress, `${label} (continuing)`, details),
+      );
+      if (!continuation) break;
+      content += continuation;
+      if (checkResponse(content, CHUNK_NOTES_SCHEMA).value) break;
+    }
   }
-  return response.data.choices[0].message.content;
+
+  return parseValidated(prompt, content, CHUNK_NOTES_SCHEMA, ai, 'summarize', maxResponseTokens, {
+    label,
+    progress,
+    details,
+    onProgress: streamProgress(progress, `Correcting notes (${label.toLowerCase()})`, details),
+  });
 }
 
 /**
- * Chunk and summarize text that exceeds the model's context window.
+ * Take notes on each chunk of text that exceeds the model's context window,
+ * `concurrency` chunks at a time, and merge them into one text that fits
+ * (see chunkNotes.js). Chunks are sized for the first model of `chain`.
+ * @returns {Promise<{text: string, notes: Object}>} The rendered notes and the mergeChunkNotes() result
  */
-async function chunkAndSummarize(bookText, chapters, maxCharsForInput, safeContextSize, apiKey, model, apiBaseUrl, sessionId, updateProgress) {
-  const progress = (msg) => { if (updateProgress && sessionId) updateProgress(sessionId, msg); };
-  progress('Book too large, chunking into smaller pieces...');
+async function chunkAndSummarize(
+  bookText, chapters, safeContextSize, chain, sessionId, updateProgress,
+  checkpoint = null, concurrency = MAX_PARALLEL_SUMMARY_CALLS,
+) {
+  const { tokenizer, signal } = chain[0];
+  const progress = (msg, details) => { if (updateProgress && sessionId) updateProgress(sessionId, msg, details); };
+  progress('Book too large, chunking into smaller pieces...', { phase: 'summarize' });
 
   const chunkTokenSize = Math.floor(safeContextSize * CHUNK_FILL_RATIO);
   const chunks = (chapters && chapters.length > 0)
-    ? chunkByChapters(chapters, chunkTokenSize)
-    : chunkText(bookText, chunkTokenSize);
+    ? chunkByChapters(chapters, chunkTokenSize, tokenizer)
+    : chunkText(bookText, chunkTokenSize, tokenizer);
+
+  logger.info(`Split into ${chunks.length} chunks, taking notes on up to ${concurrency} at a time`);
+
+  const tasks = chunks.map((chunk, i) => async () => {
+    const label = `Taking notes on chunk ${i + 1} of ${chunks.length}`;
+    const details = { phase: 'summarize', chunk: { current: i + 1, total: chunks.length } };
+    const key = `notes-${i + 1}-of-${chunks.length}`;
+    const saved = await checkpoint?.load(key);
+    if (saved) {
+      progress(`${label}: using saved notes`, details);
+      return saved;
+    }
+    throwIfCancelled(signal);
+    progress(`${label}...`, details);
+    const { result: notes, cached } = await runStep(
+      chain, label, details,
+      ai => takeChunkNotes(chunk, ai, progress, label, details),
+      { phase: 'summarize', prompt: buildChunkNotesPrompt(chunk), params: { schema: CHUNK_NOTES_SCHEMA } },
+    );
+    if (cached) progress(`${label}: using cached notes`, details);
+    await checkpoint?.save(key, notes);
+    return notes;
+  });
+  const notes = await runWithConcurrency(tasks, concurrency, signal);
 
-  logger.info(`Split into ${chunks.length} chunks`);
+  const merged = mergeChunkNotes(notes);
+  let { text, tokens } = renderChunkNotes(merged, safeContextSize, tokenizer);
+  logger.info(`Merged notes: ${merged.characters.length} characters, ${merged.events.length} events, ${tokens} tokens`);
 
-  const summaries = [];
-  for (let i = 0; i < chunks.length; i++) {
-    progress(`Summarizing chunk ${i + 1} of ${chunks.length}...`);
-    summaries.push(await summarizeChunk(chunks[i], apiKey, model, apiBaseUrl));
+  if (tokens > safeContextSize) {
+    logger.warn(`Merged notes still exceed max input (${tokens} > ${safeContextSize} tokens) at the lowest detail; truncating safely.`);
+    const keepChars = Math.floor(text.length * (safeContextSize / tokens));
+    text = `${text.slice(0, keepChars - 1)}…`;
   }
 
-  let combined = summaries.join('\n\n---\n\n');
+  return { text, notes: merged };
+}
 
-  const maxReduceAttempts = 3;
-  let reduceAttempt = 0;
-  while (combined.length > maxCharsForInput && reduceAttempt < maxReduceAttempts) {
-    reduceAttempt += 1;
-    logger.info(`Combined summary too large (${combined.length} chars), reduction attempt ${reduceAttempt}/${maxReduceAttempts}...`);
-    combined = await summarizeChunk(combined, apiKey, model, apiBaseUrl);
-  }
+/**
+ * Request JSON matching `schema` (see responseSchemas.js). A model whose
+ * provider rejects the schema is asked for plain JSON mode from then on
+ * (`ai.structuredOutput = false`); the response is validated either way.
+ */
+async function requestJSON(messages, schema, ai, phase, maxResponseTokens, onProgress = null) {
+  const body = responseFormat => ({ messages, response_format: responseFormat, max_tokens: maxResponseTokens });
 
-  if (combined.length > maxCharsForInput) {
-    logger.warn(`Combined summary still exceeds max input (${combined.length} > ${maxCharsForInput}) after ${maxReduceAttempts} attempts; truncating safely.`);
-    combined = `${combined.slice(0, maxCharsForInput - 1)}…`;
+  if (ai.structuredOutput !== false) {
+    try {
+      return await complete(ai, phase, body(schemaResponseFormat(schema)), onProgress);
+    } catch (error) {
+      if (error.kind !== 'request' || ![400, 422].includes(error.providerStatus)) throw error;
+      logger.warn(`${ai.model} rejected the JSON Schema response format, using JSON mode: ${error.message}`);
+      ai.structuredOutput = false;
+    }
   }
-
-  return combined;
+  return complete(ai, phase, body({ type: 'json_object' }), onProgress);
 }
 
 /**
  * Send the analysis prompt to the AI and return content + finish reason.
  */
-async function requestAnalysis(prompt, apiKey, model, apiBaseUrl, maxResponseTokens) {
-  const response = await axios.post(
-    `${apiBaseUrl}/chat/completions`,
-    {
-      model,
-      messages: [{ role: 'user', content: prompt }],
-      response_format: { type: 'json_object' },
-      stream: false,
-      max_tokens: maxResponseTokens,
-    },
-    {
-      headers: makeHeaders(apiKey),
-      timeout: AI_REQUEST_TIMEOUT_MS,
-    },
+async function requestAnalysis(prompt, schema, ai, phase, maxResponseTokens, onProgress = null) {
+  const { content, finishReason } = await requestJSON(
+    [{ role: 'user', content: prompt }], schema, ai, phase, maxResponseTokens, onProgress,
   );
 
-  if (!response.data?.choices?.[0]?.message?.content) {
+  if (!content) {
     throw new Error('AI response missing message content');
   }
 
-  const choice = response.data.choices[0];
-  return { content: choice.message.content, finishReason: choice.finish_reason };
+  return { content, finishReason };
 }
 
 /**
  * Ask the AI to continue a truncated JSON response.
  */
-async function continueResponse(originalPrompt, partialResponse, apiKey, model, apiBaseUrl, maxResponseTokens) {
-  const response = await axios.post(
-    `${apiBaseUrl}/chat/completions`,
-    {
-      model,
-      messages: [
-        { role: 'user', content: originalPrompt },
-        { role: 'assistant', content: partialResponse },
-        { role: 'user', content: 'Your JSON response was cut off. Continue EXACTLY from where you stopped. Output ONLY the remaining JSON to complete the object. Do not repeat any content.' },
-      ],
-      stream: false,
-      max_tokens: maxResponseTokens,
-    },
-    {
-      headers: makeHeaders(apiKey),
-      timeout: AI_REQUEST_TIMEOUT_MS,
-    },
-  );
-
-  return response.data?.choices?.[0]?.message?.content || '';
+async function continueResponse(originalPrompt, partialResponse, ai, phase, maxResponseTokens, onProgress = null) {
+  const { content } = await complete(ai, phase, {
+    messages: [
+      { role: 'user', content: originalPrompt },
+      { role: 'assistant', content: partialResponse },
+      { role: 'user', content: 'Your JSON response was cut off. Continue EXACTLY from where you stopped. Output ONLY the remaining JSON to complete the object. Do not repeat any content.' },
+    ],
+    max_tokens: maxResponseTokens,
+  }, onProgress);
+
+  return content;
 }
 
 /**
@@ -332,6 +545,51 @@ function repairTruncatedJSON(json) {
   return null;
 }
 
+/**
+ * Parse a response and check it against `schema`.
+ * @returns {{value: Object|null, violations: Array<string>}}
+ */
+function checkResponse(content, schema) {
+  let value;
+  try {
+    value = parseAIResponse(content);
+  } catch (error) {
+    return { value: null, violations: [`/: the response is not valid JSON (${error.message})`] };
+  }
+  return { value, violations: validateSchema(value, schema.schema) };
+}
+
+/**
+ * Parse and validate a (complete or continued) response to `prompt`. While it
+ * breaks the schema, the model is shown the violations and asked for a
+ * corrected object, up to MAX_SCHEMA_REPAIR_ATTEMPTS times.
+ * @throws {Error} When the response still breaks the schema
+ */
+async function parseValidated(prompt, content, schema, ai, phase, maxResponseTokens, { label, progress, details, onProgress = null }) {
+  let { value, violations } = checkResponse(content, schema);
+
+  for (let attempt = 1; violations.length && attempt <= MAX_SCHEMA_REPAIR_ATTEMPTS; attempt++) {
+    logger.warn(`${label}: response from ${ai.model} breaks the ${schema.name} schema (repair ${attempt}/${MAX_SCHEMA_REPAIR_ATTEMPTS}): ${violations.slice(0, 5).join('; ')}`);
+    progress(`${label}: asking for a corrected response (${violations.length} problem${violations.length === 1 ? '' : 's'}, attempt ${attempt}/${MAX_SCHEMA_REPAIR_ATTEMPTS})...`, {
+      ...details,
+      type: 'retry',
+      attempt,
+      error: violations.slice(0, 5).join('; '),
+    });
+    ({ content } = await requestJSON([
+      { role: 'user', content: prompt },
+      { role: 'assistant', content },
+      { role: 'user', content: buildRepairPrompt(violations) },
+    ], schema, ai, phase, maxResponseTokens, onProgress));
+    ({ value, violations } = checkResponse(content || '', schema));
+  }
+
+  if (violations.length) {
+    throw new Error(`Response does not match the ${schema.name} schema: ${violations.slice(0, 5).join('; ')}`);
+  }
+  return value;
+}
+
 /**
  * Validate and normalize the parsed analysis object.
  */
@@ -350,131 +608,154 @@ function validateAnalysis(analysis) {
 }
 
 // ---------------------------------------------------------------------------
-// Phase-specific validation
+// Phase 1: roster + worldInfo extraction
 // ---------------------------------------------------------------------------
 
 /**
- * Validate Phase 1 extraction result.
+ * Request the roster and worldInfo from one model, continuing a truncated
+ * response before validating it against EXTRACTION_SCHEMA.
  */
-function validateExtractionResult(result) {
-  if (!result.bookTitle) result.bookTitle = 'Unknown Book';
-  if (!result.characters || !Array.isArray(result.characters)) {
-    throw new Error('AI extraction response missing characters array');
-  }
-  result.characters = result.characters.filter(c => c.name && c.role);
-  if (result.characters.length === 0) {
-    throw new Error('AI extraction returned no valid characters (each needs name and role)');
-  }
-  if (!result.worldInfo) {
-    logger.warn('AI extraction response missing worldInfo, using empty structure');
-    result.worldInfo = { setting: '', locations: [], factions: [], items: [], concepts: [] };
+async function extractRoster(extractionPrompt, ai, progress) {
+  const extractionMaxTokens = calcMaxResponseTokens(extractionPrompt, ai);
+  logger.info(`Phase 1: sending ${extractionPrompt.length} chars to ${ai.model}, max response tokens: ${extractionMaxTokens}`);
+
+  let { content, finishReason } = await requestAnalysis(
+    extractionPrompt, EXTRACTION_SCHEMA, ai, 'extract', extractionMaxTokens,
+    streamProgress(progress, 'Extracting character roster and world info', { phase: 'extract' }),
+  );
+  logger.info(`Phase 1 response: ${content.length} chars (finish_reason: ${finishReason})`);
+
+  if (finishReason === 'length') {
+    for (let attempt = 1; attempt <= MAX_CONTINUATION_ATTEMPTS; attempt++) {
+      logger.info(`Phase 1 truncated, continuation ${attempt}/${MAX_CONTINUATION_ATTEMPTS}`);
+      progress(`Extraction response truncated, requesting continuation (${attempt}/${MAX_CONTINUATION_ATTEMPTS})...`, { phase: 'extract', type: 'retry', attempt });
+      const continuation = await continueResponse(
+        extractionPrompt, content, ai, 'extract', extractionMaxTokens,
+        streamProgress(progress, `Continuing extraction (${attempt}/${MAX_CONTINUATION_ATTEMPTS})`, { phase: 'extract' }),
+      );
+      if (!continuation) break;
+      content += continuation;
+      if (checkResponse(content, EXTRACTION_SCHEMA).value) break;
+      logger.info('Phase 1 still cannot parse after continuation');
+    }
   }
-  return result;
+
+  return parseValidated(extractionPrompt, content, EXTRACTION_SCHEMA, ai, 'extract', extractionMaxTokens, {
+    label: 'Extraction',
+    progress,
+    details: { phase: 'extract' },
+    onProgress: streamProgress(progress, 'Correcting extraction', { phase: 'extract' }),
+  });
 }
 
 /**
- * Validate Phase 2 character detail result with fallback defaults.
+ * Record which model wrote the worldInfo and each of its entries.
  */
-function validateCharacterDetail(detail, expectedName) {
-  if (!detail.name) detail.name = expectedName;
-  detail.background = detail.background || '';
-  detail.physicalDescription = detail.physicalDescription || '';
-  detail.personality = detail.personality || '';
-  detail.commonPhrases = Array.isArray(detail.commonPhrases) ? detail.commonPhrases : [];
-  detail.scenario = detail.scenario || '';
-  detail.firstMessages = Array.isArray(detail.firstMessages) ? detail.firstMessages.filter(m => m && m.trim()) : [];
-  detail.exampleDialogue = detail.exampleDialogue || '';
-  detail.tags = Array.isArray(detail.tags) ? detail.tags : [];
-  detail.canBePersona = detail.canBePersona ?? false;
-  return detail;
+function stampWorldInfo(extraction, generatedBy) {
+  const { worldInfo } = extraction;
+  worldInfo.generatedBy = generatedBy;
+  for (const category of ['locations', 'factions', 'items', 'concepts']) {
+    for (const entry of worldInfo[category] || []) {
+      if (entry && typeof entry === 'object') entry.generatedBy = generatedBy;
+    }
+  }
+  return extraction;
 }
 
 // ---------------------------------------------------------------------------
-// Concurrency utility
+// Phase 2: per-character detail fetch
 // ---------------------------------------------------------------------------
 
 /**
- * Run async tasks with a concurrency limit, preserving result order.
+ * For a book read through chunk notes: an index of its passages, and the
+ * notes rendered short enough to leave PASSAGE_CONTEXT_SHARE of each profile
+ * prompt's input for the passages that mention the character.
  */
-async function runWithConcurrency(tasks, concurrency) {
-  const results = new Array(tasks.length);
-  let nextIndex = 0;
-
-  async function worker() {
-    while (nextIndex < tasks.length) {
-      const index = nextIndex++;
-      results[index] = await tasks[index]();
-    }
-  }
-
-  const workers = Array.from(
-    { length: Math.min(concurrency, tasks.length) },
-    () => worker(),
-  );
-  await Promise.all(workers);
-  return results;
+function prepareRetrieval(notes, bookText, chapters, safeContextSize, tokenizer) {
+  const index = createPassageIndex(splitPassages(chapters, bookText, tokenizer));
+  const { text, tokens } = renderChunkNotes(notes, Math.floor(safeContextSize * (1 - PASSAGE_CONTEXT_SHARE)), tokenizer);
+  logger.info(`Phase 2: indexed ${index.passages.length} passages for retrieval`);
+  return { index, notes, notesText: text, passageBudget: Math.max(0, safeContextSize - tokens) };
 }
 
-// ---------------------------------------------------------------------------
-// Phase 2: per-character detail fetch
-// ---------------------------------------------------------------------------
+/**
+ * Passages that mention a character by name or by an alias from the roster
+ * or the chunk notes.
+ */
+function retrievePassages(retrieval, characterSummary) {
+  const noted = findByName(retrieval.notes.characters, characterSummary.name);
+  const aliases = unionStrings(characterSummary.aliases, noted?.aliases);
+  return findCharacterPassages(retrieval.index, characterSummary.name, aliases, retrieval.passageBudget);
+}
 
 /**
- * Fetch full details for a single character with continuation + retry logic.
- * Returns null if all retries are exhausted (caller should skip).
+ * Fetch full details for a single character with continuation + retry logic;
+ * the profile is validated against CHARACTER_DETAIL_SCHEMA. `passages`
+ * (retrievePassages) are quoted after `textToAnalyze` when given.
+ * Returns null if all retries are exhausted (caller tries the next model or skips).
  */
 async function fetchCharacterDetail(
-  textToAnalyze, characterSummary, bookTitle,
-  apiKey, model, apiBaseUrl, maxResponseTokens,
-  sessionId, updateProgress, characterIndex, totalCharacters,
+  textToAnalyze, characterSummary, bookTitle, ai,
+  sessionId, updateProgress, characterIndex, totalCharacters, passages = null,
 ) {
-  const progress = (msg) => { if (updateProgress && sessionId) updateProgress(sessionId, msg); };
+  const progress = (msg, details) => { if (updateProgress && sessionId) updateProgress(sessionId, msg, details); };
   const charLabel = `${characterSummary.name} (${characterIndex + 1}/${totalCharacters})`;
+  const details = {
+    phase: 'characters',
+    character: { current: characterIndex + 1, total: totalCharacters, name: characterSummary.name },
+  };
 
-  const prompt = buildCharacterDetailPrompt(textToAnalyze, characterSummary, bookTitle);
+  const prompt = buildCharacterDetailPrompt(textToAnalyze, characterSummary, bookTitle, passages);
+  // Sized for this prompt: the passages make each character's a different length
+  const maxResponseTokens = calcMaxResponseTokens(prompt, ai);
 
   for (let retry = 0; retry <= MAX_CHARACTER_RETRIES; retry++) {
     try {
-      progress(`Generating details for ${charLabel}...`);
+      progress(`Generating details for ${charLabel}...`, details);
       logger.info(`Character detail request for ${characterSummary.name} (attempt ${retry + 1})`);
 
       let { content, finishReason } = await requestAnalysis(
-        prompt, apiKey, model, apiBaseUrl, maxResponseTokens,
+        prompt, CHARACTER_DETAIL_SCHEMA, ai, 'characters', maxResponseTokens,
+        streamProgress(progress, `Generating details for ${charLabel}`, details),
       );
 
       // Handle truncation with continuation
       if (finishReason === 'length') {
         for (let attempt = 1; attempt <= MAX_CONTINUATION_ATTEMPTS; attempt++) {
           logger.info(`Character ${characterSummary.name} truncated, continuation ${attempt}/${MAX_CONTINUATION_ATTEMPTS}`);
-          progress(`Response for ${charLabel} was truncated, continuing...`);
+          progress(`Response for ${charLabel} was truncated, continuing...`, details);
 
-          const continuation = await continueResponse(prompt, content, apiKey, model, apiBaseUrl, maxResponseTokens);
+          const continuation = await continueResponse(
+            prompt, content, ai, 'characters', maxResponseTokens,
+            streamProgress(progress, `Continuing ${charLabel}`, details),
+          );
           if (!continuation) break;
           content += continuation;
-
-          try {
-            return validateCharacterDetail(parseAIResponse(content), characterSummary.name);
-          } catch (err) {
-            logger.error(
-              `Still cannot parse ${characterSummary.name} after continuation: ${err.message}\n${err.stack || ''}`,
-            );
-            logger.debug(`Raw continuation content for ${characterSummary.name}: ${content}`);
-          }
+          if (checkResponse(content, CHARACTER_DETAIL_SCHEMA).value) break;
+          logger.info(`Still cannot parse ${characterSummary.name} after continuation`);
+          logger.debug(`Raw continuation content for ${characterSummary.name}: ${content}`);
         }
       }
 
-      const detail = validateCharacterDetail(parseAIResponse(content), characterSummary.name);
+      const detail = await parseValidated(prompt, content, CHARACTER_DETAIL_SCHEMA, ai, 'characters', maxResponseTokens, {
+        label: `Profile for ${charLabel}`,
+        progress,
+        details,
+        onProgress: streamProgress(progress, `Correcting ${charLabel}`, details),
+      });
       logger.info(`Parsed character detail for ${characterSummary.name}`);
-      progress(`Completed ${charLabel}`);
+      progress(`Completed ${charLabel}`, { ...details, status: 'done' });
       return detail;
     } catch (error) {
+      // Auth, quota and similar failures would fail every other character too
+      if (isCancelledError(error) || FATAL_ERROR_KINDS.includes(error.kind)) throw error;
       logger.error(`Character detail failed for ${characterSummary.name} (attempt ${retry + 1}):`, error.message);
-      if (retry < MAX_CHARACTER_RETRIES) {
-        progress(`Retrying ${charLabel} (attempt ${retry + 2})...`);
+      // Failed requests were already retried by complete(); retry here only for unusable responses
+      if (retry < MAX_CHARACTER_RETRIES && !error.kind) {
+        progress(`Retrying ${charLabel} (attempt ${retry + 2})...`, { ...details, type: 'retry', attempt: retry + 2, error: error.message });
         continue;
       }
-      logger.warn(`Skipping ${characterSummary.name} after ${MAX_CHARACTER_RETRIES + 1} failed attempts`);
-      progress(`Could not generate details for ${characterSummary.name}, skipping...`);
+      logger.warn(`Giving up on ${characterSummary.name} with ${ai.model} after ${retry + 1} failed attempts`);
       return null;
     }
   }
@@ -498,9 +779,29 @@ async function fetchCharacterDetail(
  * @param {string|null} [options.sessionId=null]
  * @param {Function|null} [options.updateProgress=null]
  * @param {string} [options.apiBaseUrl=DEFAULT_API_BASE_URL]
+ * @param {string} [options.provider=DEFAULT_PROVIDER] - Adapter id for `apiBaseUrl` (see providers/index.js)
  * @param {Array|null} [options.chapters=null] - Optional chapter array for chapter-aware chunking
  * @param {number|null} [options.maxCompletionTokens=null] - Model's max output tokens (from provider)
- * @returns {Promise<Object>} Analysis with characters and worldInfo
+ * @param {boolean} [options.includeFrontBackMatter=false] - Also analyze chapters tagged as front/back matter
+ * @param {Object|null} [options.priorContext=null] - Earlier volumes of a series (see mergeVolumeAnalysis):
+ *   `{ volumes, characters, worldInfo }`. Returning characters and world entries keep their names and
+ *   are described from what this volume adds.
+ * @param {Object|null} [options.checkpoint=null] - `{ load(key), save(key, value) }` store; chunk notes,
+ *   the extraction and each character are saved as they complete and reused when already present
+ * @param {AbortSignal|null} [options.signal=null] - Aborts pending AI requests and stops starting new ones
+ * @param {Object|null} [options.usage=null] - createUsageTracker() instance; every completion's usage is recorded
+ * @param {Array<Object>} [options.fallbackModels=[]] - parseFallbackModels() entries, tried in order when a
+ *   step fails with `model` (requests that keep failing, or character JSON that stays unparseable)
+ * @param {Object|null} [options.pricing=null] - `model`'s pricing, for usage costs
+ * @param {Object|null} [options.cache=null] - createResponseCache() store; chunk notes, the extraction and
+ *   each character are reused from it when the same model was sent the same prompt before
+ * @param {boolean} [options.refreshCache=false] - Ignore cached responses (new ones are still cached)
+ * @param {number} [options.summaryConcurrency=MAX_PARALLEL_SUMMARY_CALLS] - Chunks of a long book to take
+ *   notes on at once
+ * @returns {Promise<Object>} Analysis with characters and worldInfo. Each character and the worldInfo
+ *   (and each of its entries) carry `generatedBy: { model, provider }`; characters also carry the
+ *   `aliases` merged into them (see resolveAliases) and their phrases checked against the book's
+ *   dialogue, with their best real lines (`phraseCheck`, `bookDialogue`; see applyBookDialogue).
  */
 export async function analyzeBook(bookText, {
   apiKey,
@@ -509,104 +810,161 @@ export async function analyzeBook(bookText, {
   sessionId = null,
   updateProgress = null,
   apiBaseUrl = DEFAULT_API_BASE_URL,
+  provider = DEFAULT_PROVIDER,
   chapters = null,
   maxCompletionTokens = null,
+  includeFrontBackMatter = false,
+  priorContext = null,
+  checkpoint = null,
+  signal = null,
+  usage = null,
+  fallbackModels = [],
+  pricing = null,
+  cache = null,
+  refreshCache = false,
+  summaryConcurrency = MAX_PARALLEL_SUMMARY_CALLS,
 } = {}) {
   if (!apiKey) {
     throw new Error('apiKey is required for analyzeBook');
   }
 
-  const progress = (msg) => { if (updateProgress && sessionId) updateProgress(sessionId, msg); };
+  // Leave copyright pages, "Also by" lists, excerpts etc. out of the analysis
+  const { included, excluded } = selectBodyChapters(chapters, includeFrontBackMatter);
+  if (excluded.length) {
+    logger.info(`Excluding ${excluded.length} front/back matter chapters from analysis`);
+    chapters = included;
+    bookText = included.map(ch => ch.text).join('\n\n');
+  }
+
+  const progress = (msg, details) => { if (updateProgress && sessionId) updateProgress(sessionId, msg, details); };
+
+  // The selected model first, then its fallbacks; the text is sized for the selected one
+  const chain = await Promise.all([
+    { provider, apiKey, model, apiBaseUrl, contextLength, maxCompletionTokens, pricing },
+    ...fallbackModels,
+  ].map(async entry => ({
+    ...entry,
+    contextLength: entry.contextLength || contextLength,
+    tokenizer: await getTokenizer(entry.model),
+    signal,
+    usage,
+    progress,
+    cache,
+    refreshCache,
+  })));
+  const { tokenizer } = chain[0];
 
   const safeContextSize = Math.floor(contextLength * CONTEXT_INPUT_RATIO);
-  const maxCharsForInput = safeContextSize * CHARS_PER_TOKEN;
+  const bookTokens = tokenizer.count(bookText);
 
-  logger.info(`Book: ${bookText.length} chars, max input: ${maxCharsForInput} chars`);
+  logger.info(`Book: ${bookText.length} chars, ${bookTokens} tokens (${tokenizer.name}), max input: ${safeContextSize} tokens`);
+  if (fallbackModels.length) logger.info(`Fallback models: ${fallbackModels.map(f => f.model).join(', ')}`);
 
-  // Chunk and summarize if needed (unchanged)
+  // Take notes on the book in chunks if it does not fit
   let textToAnalyze = bookText;
-  if (bookText.length > maxCharsForInput) {
-    textToAnalyze = await chunkAndSummarize(
-      bookText, chapters, maxCharsForInput, safeContextSize,
-      apiKey, model, apiBaseUrl, sessionId, updateProgress,
+  let retrieval = null;
+  if (bookTokens > safeContextSize) {
+    const { text, notes } = await chunkAndSummarize(
+      bookText, chapters, safeContextSize, chain, sessionId, updateProgress, checkpoint, Math.max(1, summaryConcurrency),
     );
-  }
-
-  // Helper to calculate max response tokens for a given prompt
-  function calcMaxResponseTokens(prompt) {
-    const inputTokenEstimate = Math.ceil(prompt.length / CHARS_PER_TOKEN);
-    let tokens = Math.max(MAX_RESPONSE_TOKENS, contextLength - inputTokenEstimate);
-    if (maxCompletionTokens) tokens = Math.min(tokens, maxCompletionTokens);
-    return tokens;
+    textToAnalyze = text;
+    // Profiles read the notes plus the passages about each character
+    retrieval = prepareRetrieval(notes, bookText, chapters, safeContextSize, tokenizer);
   }
 
   // ---- PHASE 1: Extract character roster + worldInfo ----
-  progress('Extracting character roster and world info...');
-  const extractionPrompt = buildExtractionPrompt(textToAnalyze);
-  const extractionMaxTokens = calcMaxResponseTokens(extractionPrompt);
-
-  logger.info(`Phase 1: sending ${textToAnalyze.length} chars, max response tokens: ${extractionMaxTokens}`);
+  let extraction = await checkpoint?.load('extraction');
+  if (extraction) {
+    logger.info(`Phase 1: using saved extraction (${extraction.characters.length} characters)`);
+    progress(`Using saved roster of ${extraction.characters.length} characters`, { phase: 'extract' });
+  } else {
+    throwIfCancelled(signal);
+    progress('Extracting character roster and world info...', { phase: 'extract' });
+    const extractionPrompt = buildExtractionPrompt(textToAnalyze, priorContext);
 
-  let extraction;
-  try {
-    let { content, finishReason } = await requestAnalysis(
-      extractionPrompt, apiKey, model, apiBaseUrl, extractionMaxTokens,
-    );
-    logger.info(`Phase 1 response: ${content.length} chars (finish_reason: ${finishReason})`);
-
-    if (finishReason === 'length') {
-      for (let attempt = 1; attempt <= MAX_CONTINUATION_ATTEMPTS; attempt++) {
-        logger.info(`Phase 1 truncated, continuation ${attempt}/${MAX_CONTINUATION_ATTEMPTS}`);
-        progress(`Extraction response truncated, requesting continuation (${attempt}/${MAX_CONTINUATION_ATTEMPTS})...`);
-        const continuation = await continueResponse(extractionPrompt, content, apiKey, model, apiBaseUrl, extractionMaxTokens);
-        if (!continuation) break;
-        content += continuation;
-        try {
-          extraction = validateExtractionResult(parseAIResponse(content));
-          break;
-        } catch {
-          logger.info('Phase 1 still cannot parse after continuation');
-        }
-      }
-    }
+    try {
+      const { result, ai: extractedBy, cached } = await runStep(
+        chain, 'Extraction', { phase: 'extract' },
+        ai => extractRoster(extractionPrompt, ai, progress),
+        { phase: 'extract', prompt: extractionPrompt, params: { schema: EXTRACTION_SCHEMA } },
+      );
+      if (cached) progress(`Using cached roster of ${result.characters.length} characters`, { phase: 'extract' });
+      extraction = stampWorldInfo(result, describeModel(extractedBy));
 
-    if (!extraction) {
-      extraction = validateExtractionResult(parseAIResponse(content));
+      logger.info(`Phase 1 complete: "${extraction.bookTitle}", ${extraction.characters.length} characters identified`);
+      progress(`Found ${extraction.characters.length} characters. Generating detailed profiles...`, { phase: 'characters' });
+    } catch (error) {
+      if (isCancelledError(error)) throw error;
+      logger.error('Phase 1 error:', error.message);
+      // Request errors already carry an actionable message
+      if (error.kind) throw error;
+      throw new Error(`AI extraction failed: ${error.message}`);
     }
+    await checkpoint?.save('extraction', extraction);
+  }
 
-    logger.info(`Phase 1 complete: "${extraction.bookTitle}", ${extraction.characters.length} characters identified`);
-    progress(`Found ${extraction.characters.length} characters. Generating detailed profiles...`);
-  } catch (error) {
-    logger.error('Phase 1 error:', error.message);
-    if (error.code === 'ECONNABORTED') {
-      throw new Error('AI request timed out during extraction. Try a smaller book or try again later.');
-    }
-    if (error.response) {
-      const msg = error.response.data?.error?.message || error.response.data?.error || error.response.statusText;
-      throw new Error(`AI service error during extraction: ${msg}`);
-    }
-    if (error.request) {
-      throw new Error('No response from AI service. Check your internet connection and API key.');
-    }
-    throw new Error(`AI extraction failed: ${error.message}`);
+  // ---- Between the phases: one roster entry per character ----
+  const { characters: roster, merges } = resolveAliases(extraction.characters, {
+    text: bookText,
+    notes: retrieval?.notes.characters,
+  });
+  for (const { name, duplicates } of merges) {
+    logger.info(`Merged ${duplicates.join(', ')} into ${name}`);
+    progress(`Merged ${duplicates.join(', ')} into ${name}`, { phase: 'extract' });
   }
+  extraction.characters = roster;
 
   // ---- PHASE 2: Per-character detail calls ----
-  const samplePrompt = buildCharacterDetailPrompt(textToAnalyze, extraction.characters[0], extraction.bookTitle);
-  const charMaxTokens = calcMaxResponseTokens(samplePrompt);
-  const totalCharacters = extraction.characters.length;
+  if (priorContext?.characters?.length) {
+    extraction.characters = extraction.characters.map(charSummary => ({
+      ...charSummary,
+      priorProfile: findByName(priorContext.characters, charSummary.name),
+    }));
+  }
 
-  logger.info(`Phase 2: ${totalCharacters} characters, max response tokens per character: ${charMaxTokens}`);
+  const totalCharacters = extraction.characters.length;
+  logger.info(`Phase 2: ${totalCharacters} characters`);
 
   const tasks = extraction.characters.map((charSummary, index) => {
-    return () => fetchCharacterDetail(
-      textToAnalyze, charSummary, extraction.bookTitle,
-      apiKey, model, apiBaseUrl, charMaxTokens,
-      sessionId, updateProgress, index, totalCharacters,
-    );
+    return async () => {
+      const key = `character-${index + 1}-${charSummary.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+      const details = {
+        phase: 'characters',
+        character: { current: index + 1, total: totalCharacters, name: charSummary.name },
+      };
+      const saved = await checkpoint?.load(key);
+      if (saved) {
+        progress(`Using saved profile for ${charSummary.name}`, { ...details, status: 'done' });
+        return saved;
+      }
+      const sourceText = retrieval ? retrieval.notesText : textToAnalyze;
+      const passages = retrieval ? retrievePassages(retrieval, charSummary) : null;
+      if (passages) logger.info(`Phase 2: ${passages.length} passages mention ${charSummary.name}`);
+      const { result: detail, ai: writtenBy, cached } = await runStep(
+        chain, `Profile for ${charSummary.name}`, details,
+        ai => fetchCharacterDetail(
+          sourceText, charSummary, extraction.bookTitle, ai,
+          sessionId, updateProgress, index, totalCharacters, passages,
+        ),
+        {
+          phase: 'characters',
+          prompt: buildCharacterDetailPrompt(sourceText, charSummary, extraction.bookTitle, passages),
+          params: { schema: CHARACTER_DETAIL_SCHEMA },
+        },
+      );
+      if (cached) progress(`Using cached profile for ${charSummary.name}`, { ...details, status: 'done' });
+      if (!detail) {
+        progress(`Could not generate details for ${charSummary.name}, skipping...`, { ...details, type: 'warning', status: 'failed' });
+        return null;
+      }
+      detail.aliases = charSummary.aliases;
+      detail.generatedBy = describeModel(writtenBy);
+      await checkpoint?.save(key, detail);
+      return detail;
+    };
   });
 
-  const characterDetails = await runWithConcurrency(tasks, MAX_PARALLEL_CHARACTER_CALLS);
+  const characterDetails = await runWithConcurrency(tasks, MAX_PARALLEL_CHARACTER_CALLS, signal);
   const successfulCharacters = characterDetails.filter(c => c !== null);
 
   if (successfulCharacters.length === 0) {
@@ -615,19 +973,30 @@ export async function analyzeBook(bookText, {
 
   if (successfulCharacters.length < totalCharacters) {
     logger.warn(`${totalCharacters - successfulCharacters.length} character(s) failed and were skipped`);
-    progress(`Completed with ${successfulCharacters.length}/${totalCharacters} characters`);
+    progress(`Completed with ${successfulCharacters.length}/${totalCharacters} characters`, { phase: 'characters', type: 'warning' });
   }
 
+  // ---- Check the phrases against what the characters say in the book ----
+  const dialogue = extractDialogue(chapters, bookText, successfulCharacters, retrieval?.notes.quotes);
+  const voicedCharacters = applyBookDialogue(successfulCharacters, dialogue);
+  const checks = voicedCharacters.flatMap(c => c.phraseCheck);
+  const verified = checks.filter(check => check.status === 'verified').length;
+  const replaced = checks.filter(check => check.status === 'replaced').length;
+  const dropped = checks.length - verified - replaced;
+  logger.info(`Dialogue: ${dialogue.length} lines, ${dialogue.filter(line => line.speaker).length} attributed; `
+    + `${verified}/${checks.length} phrases found in the book, ${replaced} replaced with real lines, ${dropped} dropped`);
+  progress(`Checked ${checks.length} phrases against ${dialogue.length} lines of dialogue: ${verified} found, ${replaced} replaced, ${dropped} dropped`, { phase: 'characters' });
+
   // ---- Assemble final result ----
   const analysis = {
     bookTitle: extraction.bookTitle,
-    characters: successfulCharacters,
+    characters: voicedCharacters,
     worldInfo: extraction.worldInfo,
   };
 
   const validated = validateAnalysis(analysis);
   logger.info(`Analysis complete: ${validated.characters.length} characters, book: "${validated.bookTitle}"`);
-  progress(`Analysis complete — ${validated.characters.length} character profiles generated`);
+  progress(`Analysis complete — ${validated.characters.length} character profiles generated`, { phase: 'characters' });
 
   return validated;
 }
@@ -636,15 +1005,85 @@ export async function analyzeBook(bookText, {
 // Prompt templates
 // ---------------------------------------------------------------------------
 
+const MAX_LISTED_VIOLATIONS = 20;
+
+/**
+ * Notes on one chunk of a book too long for the context window.
+ */
+function buildChunkNotesPrompt(text) {
+  return `Take notes on this excerpt from a book for a later analysis of its characters and world. Record only what this excerpt says.
+
+CRITICAL: Return ONLY valid JSON. No markdown, no explanations, no code blocks. Just raw JSON starting with { and ending with }.
+Ensure all quotes inside strings are properly escaped with backslashes.
+
+Excerpt:
+${text}
+
+Return a JSON object with this structure:
+{
+  "characters": [{"name": "Fullest name used in this excerpt", "aliases": ["nicknames, titles and other names used for them here"], "notes": ["short facts: appearance, personality, relationships, what they do here"]}],
+  "locations": [{"name": "Place Name", "description": "What it is and what happens there"}],
+  "items": [{"name": "Item Name", "description": "What it is, its significance, and who uses it"}],
+  "events": ["key plot events in order, one sentence each"],
+  "quotes": [{"speaker": "Character Name", "text": "a line of their dialogue, copied exactly"}]
+}
+
+Instructions:
+- Include every named character who appears or is talked about
+- Keep each note and event to one short sentence
+- Copy up to 5 quotes per character that show how they speak
+- Use empty arrays for anything the excerpt does not mention
+- Return ONLY JSON, no other text`;
+}
+
+/**
+ * Follow-up asking for a corrected response, listing what broke the schema.
+ */
+function buildRepairPrompt(violations) {
+  const listed = violations.slice(0, MAX_LISTED_VIOLATIONS).map(v => `- ${v}`).join('\n');
+  const more = violations.length > MAX_LISTED_VIOLATIONS ? `\n- ...and ${violations.length - MAX_LISTED_VIOLATIONS} more` : '';
+  return `Your JSON response does not match the required format. Problems (as JSON paths):
+${listed}${more}
+
+Return the complete corrected JSON object with these problems fixed and everything else unchanged. Use the exact types shown in the structure above: lists as JSON arrays of strings, true/false as booleans. Return ONLY JSON, no other text.`;
+}
+
+/**
+ * What earlier volumes of a series established, for the Phase 1 prompt.
+ */
+function buildSeriesContextSection(priorContext) {
+  if (!priorContext?.volumes?.length) return '';
+
+  const characters = (priorContext.characters || [])
+    .map(ch => `- ${ch.name} (${ch.role || 'character'})`)
+    .join('\n');
+  const world = priorContext.worldInfo || {};
+  const entries = ['locations', 'factions', 'items', 'concepts']
+    .flatMap(category => (world[category] || []).map(entry => entry.name))
+    .filter(Boolean);
+
+  return `
+This book continues a series. Earlier volumes: ${priorContext.volumes.join('; ')}.
+${characters ? `\nCharacters from earlier volumes:\n${characters}\n` : ''}${entries.length ? `\nWorld entries from earlier volumes: ${entries.join(', ')}\n` : ''}${world.setting ? `\nSetting as described so far:\n${world.setting}\n` : ''}`;
+}
+
 /**
  * Phase 1: Extraction prompt — character roster + worldInfo.
  */
-function buildExtractionPrompt(text) {
+function buildExtractionPrompt(text, priorContext = null) {
+  const seriesContext = buildSeriesContextSection(priorContext);
+  const seriesInstructions = seriesContext
+    ? `
+- A character or world entry from an earlier volume that appears in this book MUST use exactly the same name as listed above
+- For world entries from earlier volumes, describe only what this book adds or changes
+- Write the setting to cover the whole series so far, including what earlier volumes established`
+    : '';
+
   return `Analyze this book text and extract a list of important characters and detailed world information.
 
 CRITICAL: Return ONLY valid JSON. No markdown, no explanations, no code blocks. Just raw JSON starting with { and ending with }.
 Ensure all quotes inside strings are properly escaped with backslashes.
-
+${seriesContext}
 Book Text:
 ${text}
 
@@ -654,6 +1093,7 @@ Return a JSON object with this structure:
   "characters": [
     {
       "name": "Character Name",
+      "aliases": ["other names, nicknames and titles used for this character"],
       "role": "main_character|love_interest|protagonist|antagonist|supporting|mentor|rival",
       "briefDescription": "1-2 sentences summarizing who this character is, their significance, and key traits"
     }
@@ -669,27 +1109,59 @@ Return a JSON object with this structure:
 
 Instructions:
 - Identify 3-10 important characters
-- For each character, provide ONLY name, role, and a brief 1-2 sentence description
+- For each character, provide ONLY name, aliases, role, and a brief 1-2 sentence description
+- List each character once under their fullest name, with every other name used for them (nicknames, titles, surnames alone) in aliases
 - For worldInfo entries: include 3-6 keywords per entry (aliases, nicknames, abbreviations, related terms)
-- Write worldInfo descriptions as detailed context an AI would need to roleplay accurately in this setting
+- Write worldInfo descriptions as detailed context an AI would need to roleplay accurately in this setting${seriesInstructions}
 - Return ONLY JSON, no other text`;
 }
 
+/**
+ * The book text of a profile prompt: the text itself, or the chunk notes
+ * followed by the passages that mention the character.
+ */
+function buildSourceSection(text, passages, name) {
+  if (!passages) return `Book Text:\n${text}`;
+  if (!passages.length) return `Notes on the whole book:\n${text}`;
+  const quoted = passages
+    .map(passage => (passage.chapter ? `[${passage.chapter}]\n${passage.text}` : passage.text))
+    .join('\n\n---\n\n');
+  return `Notes on the whole book:\n${text}\n\nPassages from the book that mention ${name}, in reading order:\n\n${quoted}`;
+}
+
 /**
  * Phase 2: Character detail prompt — full profile for a single character.
+ * `passages` are the retrieved passages when the book was read through notes.
  */
-function buildCharacterDetailPrompt(text, characterSummary, bookTitle) {
+function buildCharacterDetailPrompt(text, characterSummary, bookTitle, passages = null) {
+  const prior = characterSummary.priorProfile;
+  const priorSection = prior
+    ? `
+Established in earlier volumes of the series (${prior.volumes.join('; ')}):
+${[
+    prior.background && `Background: ${prior.background}`,
+    prior.physicalDescription && `Appearance: ${prior.physicalDescription}`,
+    prior.personality && `Personality: ${prior.personality}`,
+  ].filter(Boolean).join('\n')}
+`
+    : '';
+  const priorInstructions = prior
+    ? `
+- Background: cover only what happens to ${characterSummary.name} in THIS book; the earlier history above is already recorded
+- Appearance and personality: describe ${characterSummary.name} as of the end of this book, noting how they have changed`
+    : '';
+
   return `You are analyzing the book "${bookTitle}". Focus on this specific character:
 
-Name: ${characterSummary.name}
+Name: ${characterSummary.name}${characterSummary.aliases?.length ? `
+Also called: ${characterSummary.aliases.join(', ')}` : ''}
 Role: ${characterSummary.role}
 Summary: ${characterSummary.briefDescription}
-
+${priorSection}
 CRITICAL: Return ONLY valid JSON. No markdown, no explanations, no code blocks. Just raw JSON starting with { and ending with }.
 Ensure all quotes inside strings are properly escaped with backslashes.
 
-Book Text:
-${text}
+${buildSourceSection(text, passages, characterSummary.name)}
 
 Return a JSON object with detailed information about ${characterSummary.name}:
 {
@@ -715,6 +1187,7 @@ Instructions:
 - Aim for ~3000 tokens of detailed content
 - Replace interaction partner names with {{user}} in scenarios/messages/dialogue
 - Use quotes for dialogue, asterisks for actions in messages
-- Mark as canBePersona: true if this is a main character the user could roleplay as
+- Mark as canBePersona: true if this is a main character the user could roleplay as${priorInstructions}${passages?.length ? `
+- Base the background, appearance, phrases and example dialogue on the passages above; do not invent details they do not support` : ''}
 - Return ONLY JSON, no other text`;
 }
@@ -0,0 +1,191 @@
+import { normalizeName, unionStrings, moreProminentRole } from './seriesMerger.js';
+
+// Merge Phase 1 roster entries that are one character under several names
+// ("Liz", "Elizabeth", "Miss Bennet") before each gets its own profile, card
+// and lorebook entry.
+//
+// Two entries are linked when their names match (ignoring honorifics), one
+// is the unique longer form or a common nickname of the other's first name,
+// or one is named as the other's alias by the roster, the chunk notes or a
+// phrase in the text ("Elizabeth, whom everyone called Lizzy"). A link made
+// by aliases only counts when no other character claims the same name.
+
+const HONORIFIC_PATTERN = /^(mr|mrs|ms|miss|dr|sir|lady|lord|captain|capt|professor|prof)\.?\s+/i;
+
+// Common English diminutives of a first name
+const NICKNAMES = {
+  elizabeth: ['liz', 'lizzy', 'lizzie', 'eliza', 'beth', 'betsy', 'bess', 'libby'],
+  margaret: ['maggie', 'meg', 'peggy', 'marge', 'greta'],
+  katherine: ['kate', 'katie', 'kat', 'kitty'],
+  catherine: ['cathy', 'kate', 'katie', 'kitty'],
+  jennifer: ['jen', 'jenny'],
+  victoria: ['vicky', 'tori'],
+  rebecca: ['becky', 'becca'],
+  alexandra: ['alex', 'sasha', 'lexi'],
+  william: ['will', 'bill', 'billy', 'liam'],
+  robert: ['rob', 'bob', 'bobby', 'robbie'],
+  richard: ['rick', 'dick', 'rich', 'ricky'],
+  thomas: ['tom', 'tommy'],
+  james: ['jim', 'jimmy', 'jamie'],
+  john: ['jack', 'johnny'],
+  edward: ['ed', 'eddie', 'ned', 'ted'],
+  charles: ['charlie', 'chuck'],
+  michael: ['mike', 'mikey', 'mick'],
+  benjamin: ['ben', 'benny'],
+  nicholas: ['nick', 'nicky'],
+  alexander: ['alex', 'sasha', 'xander'],
+  jonathan: ['jon', 'jonny'],
+  christopher: ['chris', 'kit'],
+  samuel: ['sam', 'sammy'],
+  daniel: ['dan', 'danny'],
+  henry: ['harry', 'hal', 'hank'],
+};
+
+function titleOf(name) {
+  return (name || '').trim().match(HONORIFIC_PATTERN)?.[1].toLowerCase() || null;
+}
+
+function nameWords(name) {
+  return normalizeName(name).split(' ').filter(Boolean);
+}
+
+function isNicknameOf(nickname, given) {
+  return Boolean(NICKNAMES[given]?.includes(nickname));
+}
+
+/**
+ * Whether two names can be the same person by their wording alone: equal
+ * apart from honorifics (which must not differ), or one is the first name,
+ * or a nickname of the first name, of the other.
+ * @returns {'same'|'a'|'b'|null} Which name is the short form; those links need to be unique
+ */
+function compareNames(a, b) {
+  const titleA = titleOf(a);
+  const titleB = titleOf(b);
+  if (titleA && titleB && titleA !== titleB) return null;
+
+  const wordsA = nameWords(a);
+  const wordsB = nameWords(b);
+  if (!wordsA.length || !wordsB.length) return null;
+  if (wordsA.join(' ') === wordsB.join(' ')) return 'same';
+
+  const isShortForm = (short, long) => short.length <= long.length
+    && (short[0] === long[0] || isNicknameOf(short[0], long[0]))
+    && short.slice(1).every(word => long.includes(word));
+  if (isShortForm(wordsA, wordsB)) return 'a';
+  if (isShortForm(wordsB, wordsA)) return 'b';
+  return null;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Whether the text introduces `alias` as another name for `name`.
+ */
+function namedAsAliasInText(text, name, alias) {
+  if (!text) return false;
+  const pattern = new RegExp(
+    `\\b${escapeRegExp(name)}\\b,?\\s+(?:\\(|—|-)?\\s*(?:who|whom)?\\s*(?:also\\s+|better\\s+|commonly\\s+|everyone\\s+|they\\s+)?(?:called|known\\s+as|nicknamed)\\s+["“']?${escapeRegExp(alias)}\\b`,
+    'i',
+  );
+  return pattern.test(text);
+}
+
+function createUnionFind(size) {
+  const parent = Array.from({ length: size }, (_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  return {
+    find,
+    union: (a, b) => { parent[find(a)] = find(b); },
+  };
+}
+
+/**
+ * Merge roster entries that refer to the same character.
+ * @param {Array<{name: string, role: string, briefDescription: string, aliases?: Array<string>}>} characters - Phase 1 roster
+ * @param {Object} [sources]
+ * @param {string} [sources.text=''] - Book text searched for "X, known as Y" phrases
+ * @param {Array<{name: string, aliases: Array<string>}>} [sources.notes=[]] - Characters from the chunk notes
+ * @returns {{characters: Array<Object>, merges: Array<{name: string, duplicates: Array<string>}>}}
+ *   The roster with one entry per character, each with `aliases`
+ */
+export function resolveAliases(characters, { text = '', notes = [] } = {}) {
+  const unionFind = createUnionFind(characters.length);
+  const claims = characters.map(() => new Set());
+
+  const indicesNamed = (name) => characters
+    .map((character, index) => (compareNames(character.name, name) === 'same' ? index : -1))
+    .filter(index => index !== -1);
+
+  characters.forEach((character, i) => {
+    characters.forEach((other, j) => {
+      if (j <= i) return;
+      const match = compareNames(character.name, other.name);
+      if (match === 'same') unionFind.union(i, j);
+      else if (match === 'a') claims[i].add(j);
+      else if (match === 'b') claims[j].add(i);
+    });
+
+    for (const alias of character.aliases || []) {
+      for (const j of indicesNamed(alias)) if (j !== i) claims[j].add(i);
+    }
+    characters.forEach((other, j) => {
+      if (j !== i && namedAsAliasInText(text, character.name, other.name)) claims[j].add(i);
+    });
+  });
+
+  for (const noted of notes) {
+    const [owner] = indicesNamed(noted.name);
+    if (owner === undefined) continue;
+    for (const alias of noted.aliases || []) {
+      for (const j of indicesNamed(alias)) if (j !== owner) claims[j].add(owner);
+    }
+  }
+
+  // A name claimed by two different characters ("Miss Bennet") stays on its
+  // own; claimants merged in an earlier pass ("Elizabeth" and "Elizabeth
+  // Bennet" both claiming "Liz") count as one
+  for (let changed = true; changed;) {
+    changed = false;
+    claims.forEach((claimants, j) => {
+      const groups = new Set([...claimants].map(i => unionFind.find(i)));
+      const [group] = groups;
+      if (groups.size === 1 && group !== unionFind.find(j)) {
+        unionFind.union(j, group);
+        changed = true;
+      }
+    });
+  }
+
+  const groups = new Map();
+  characters.forEach((character, i) => {
+    const root = unionFind.find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(character);
+  });
+
+  const merges = [];
+  const resolved = [...groups.values()].map((members) => {
+    const role = members.reduce((best, member) => moreProminentRole(best, member.role), members[0].role);
+    // The fullest name; the earliest (most prominent) entry on a tie
+    const primary = members.reduce((best, member) => (nameWords(member.name).length > nameWords(best.name).length ? member : best));
+    const key = normalizeName(primary.name);
+    const aliases = unionStrings(members.map(member => member.name), members.flatMap(member => member.aliases || []))
+      .filter(alias => normalizeName(alias) !== key);
+
+    if (members.length > 1) {
+      merges.push({ name: primary.name, duplicates: members.filter(member => member !== primary).map(member => member.name) });
+    }
+    return { ...primary, role, aliases };
+  });
+
+  return { characters: resolved, merges };
+}
@@ -0,0 +1,217 @@
+import path from 'path';
+import fs from 'fs/promises';
+import { parseEpub, extractEpubCover } from './fileParser.js';
+import { readOpfFile, mergeBookMetadata } from './opfMetadata.js';
+import { analyzeBook } from './aiService.js';
+import { parseFallbackModels } from './modelChain.js';
+import { getProvider } from './providers/index.js';
+import { generateCharacterCards, generateLorebook } from './cardGenerator.js';
+import { buildGroundingReport } from './groundingReport.js';
+import { createUsageTracker } from './usageTracker.js';
+import { updateProgress } from '../utils/progressTracker.js';
+import { throwIfCancelled } from '../utils/cancellation.js';
+import logger from '../utils/logger.js';
+import { DEFAULT_CONTEXT_LENGTH } from '../config/constants.js';
+
+// ---------------------------------------------------------------------------
+// Single-book pipeline shared by POST /file and background jobs
+// ---------------------------------------------------------------------------
+
+/**
+ * Error message for an uploaded metadata sidecar that is not an `.opf` file,
+ * or null when it is fine (or there is none). Checked before the book is parsed.
+ * @param {{originalname: string}|null} metadataFile
+ * @returns {string|null}
+ */
+export function validateMetadataFile(metadataFile) {
+  if (!metadataFile) return null;
+  if (path.extname(metadataFile.originalname).toLowerCase() !== '.opf') {
+    return 'Metadata file must be a Calibre .opf file';
+  }
+  return null;
+}
+
+/**
+ * Book metadata from the parsed file, overlaid with an uploaded Calibre
+ * `metadata.opf` sidecar when one was sent.
+ * @param {Object} epubData - parseEpub result
+ * @param {{originalname: string, path: string}|null} metadataFile
+ */
+export async function readBookMetadata(epubData, metadataFile) {
+  if (!metadataFile) return epubData.metadata || {};
+  const metadataError = validateMetadataFile(metadataFile);
+  if (metadataError) {
+    const error = new Error(metadataError);
+    error.status = 400;
+    throw error;
+  }
+  return mergeBookMetadata(epubData.metadata, await readOpfFile(metadataFile.path));
+}
+
+/**
+ * Metadata fields returned to the client.
+ */
+export function summarizeBookMetadata(metadata) {
+  const { title, creator, series, seriesIndex, subject, language, description, identifiers } = metadata;
+  return { title, creator, series, seriesIndex, tags: subject || [], language, description, identifiers: identifiers || {} };
+}
+
+/**
+ * Read the chapter selection sent with a request: `chapterIndices` (a JSON
+ * array of 0-based indices into the parsed `chapters`) or an inclusive
+ * `chapterStart`/`chapterEnd` range. `indices` is null when nothing was sent.
+ * @returns {{indices: Array<number>|null, error?: string}}
+ */
+export function parseChapterSelection(body, chapterCount) {
+  const { chapterIndices, chapterStart, chapterEnd } = body;
+
+  if (chapterIndices !== undefined && chapterIndices !== '') {
+    let indices;
+    try {
+      indices = typeof chapterIndices === 'string' ? JSON.parse(chapterIndices) : chapterIndices;
+    } catch {
+      return { indices: null, error: 'chapterIndices must be a JSON array of chapter indices' };
+    }
+    if (!Array.isArray(indices) || indices.length === 0
+      || !indices.every(i => Number.isInteger(i) && i >= 0 && i < chapterCount)) {
+      return { indices: null, error: `chapterIndices must list chapters between 0 and ${chapterCount - 1}` };
+    }
+    return { indices: [...new Set(indices)].sort((a, b) => a - b) };
+  }
+
+  if ((chapterStart ?? '') === '' && (chapterEnd ?? '') === '') return { indices: null };
+
+  const start = (chapterStart ?? '') === '' ? 0 : Number(chapterStart);
+  const end = (chapterEnd ?? '') === '' ? chapterCount - 1 : Number(chapterEnd);
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end >= chapterCount || start > end) {
+    return { indices: null, error: `chapterStart and chapterEnd must satisfy 0 <= start <= end <= ${chapterCount - 1}` };
+  }
+  return { indices: Array.from({ length: end - start + 1 }, (_, i) => start + i) };
+}
+
+/**
+ * Parse, analyze and convert one book into character cards and a lorebook.
+ *
+ * With a `checkpoint` store (see createArtifactStore) the parsed book, the
+ * notes on every chunk, the Phase 1 extraction and each character profile
+ * are saved as they complete and reused on the next run, so an interrupted
+ * job picks up where it stopped. With a response `cache` (see createResponseCache) the AI
+ * responses are also reused across runs of the same book and model unless
+ * `options.refreshCache` is "true".
+ *
+ * @param {Object} input
+ * @param {{originalname: string, path: string}} input.file - Uploaded book
+ * @param {{path: string}|null} [input.coverImage=null]
+ * @param {{originalname: string, path: string}|null} [input.metadataFile=null] - Calibre .opf sidecar
+ * @param {Object} input.options - Request fields: apiKey, model, pricing, contextLength, maxCompletionTokens,
+ *   provider, apiBaseUrl, fallbackModels, providerKeys, useCoverFromEpub, includeFrontBackMatter, refreshCache, summaryConcurrency and the chapter selection
+ * @param {string} input.sessionId - Progress session
+ * @param {Object|null} [input.checkpoint=null] - `{ load(key), save(key, value) }`
+ * @param {Object|null} [input.cache=null] - createResponseCache() store shared by all runs
+ * @param {AbortSignal|null} [input.signal=null] - Cancels the run
+ * @returns {Promise<Object>} Response payload: characters, lorebook, bookTitle, bookMetadata, coverImage, usage, sessionId
+ */
+export async function processBookFile({ file, coverImage = null, metadataFile = null, options, sessionId, checkpoint = null, cache = null, signal = null }) {
+  const { apiKey, model, pricing, contextLength, maxCompletionTokens, useCoverFromEpub, includeFrontBackMatter } = options;
+  const provider = getProvider(options.provider).id;
+  const apiBaseUrl = options.apiBaseUrl || getProvider(provider).defaultBaseUrl;
+  const fallbackModels = parseFallbackModels(options.fallbackModels, options.providerKeys, { provider, apiKey, apiBaseUrl });
+  logger.info(`Processing: ${file.originalname}, model: ${model}`);
+
+  // Parse EPUB
+  let book = await checkpoint?.load('book');
+  if (book) {
+    updateProgress(sessionId, 'Using previously parsed book', { phase: 'parse' });
+  } else {
+    updateProgress(sessionId, 'Parsing EPUB file...', { phase: 'parse' });
+    const epubData = await parseEpub(file.path);
+    book = { epubData, bookMetadata: await readBookMetadata(epubData, metadataFile) };
+    await checkpoint?.save('book', book);
+  }
+  const { epubData, bookMetadata } = book;
+  logger.info(`EPUB parsed: ${epubData.text.length} chars`);
+  updateProgress(sessionId, `EPUB parsed (${epubData.text.length.toLocaleString()} characters)`, { phase: 'parse' });
+
+  // Chapter selection (e.g. stop at chapter 10 to avoid spoilers)
+  const selection = parseChapterSelection(options, epubData.chapters?.length || 0);
+  if (selection.error) {
+    const error = new Error(selection.error);
+    error.status = 400;
+    throw error;
+  }
+  let chapters = epubData.chapters;
+  let bookText = epubData.text;
+  if (selection.indices) {
+    chapters = selection.indices.map(i => epubData.chapters[i]);
+    bookText = chapters.map(ch => ch.text).join('\n\n');
+    logger.info(`Analyzing ${chapters.length} of ${epubData.chapters.length} chapters (${bookText.length} chars)`);
+    updateProgress(sessionId, `Using ${chapters.length} of ${epubData.chapters.length} chapters`, { phase: 'parse' });
+  }
+
+  throwIfCancelled(signal);
+
+  // Cover image
+  updateProgress(sessionId, 'Processing cover image...', { phase: 'parse' });
+  let coverImageBase64 = null;
+  if (useCoverFromEpub === 'true' && epubData.hasCover) {
+    const coverBuffer = await extractEpubCover(file.path);
+    coverImageBase64 = coverBuffer.toString('base64');
+  } else if (coverImage) {
+    const coverBuffer = await fs.readFile(coverImage.path);
+    coverImageBase64 = coverBuffer.toString('base64');
+  }
+
+  // AI analysis
+  const usage = createUsageTracker(pricing);
+  updateProgress(sessionId, 'Analyzing book with AI... This may take a few minutes.', { phase: 'analyze' });
+  const analysis = await analyzeBook(bookText, {
+    apiKey,
+    model,
+    contextLength: parseInt(contextLength) || DEFAULT_CONTEXT_LENGTH,
+    sessionId,
+    updateProgress,
+    apiBaseUrl,
+    provider,
+    chapters,
+    maxCompletionTokens: parseInt(maxCompletionTokens) || null,
+    // An explicit selection already says which chapters to use
+    includeFrontBackMatter: Boolean(selection.indices) || includeFrontBackMatter === 'true',
+    checkpoint,
+    signal,
+    usage,
+    fallbackModels,
+    pricing,
+    cache,
+    refreshCache: options.refreshCache === 'true',
+    summaryConcurrency: parseInt(options.summaryConcurrency) || undefined,
+  });
+  updateProgress(sessionId, `AI analysis complete - found ${analysis.characters?.length || 0} characters`, { phase: 'analyze' });
+
+  // Generate outputs
+  updateProgress(sessionId, 'Generating character cards and lorebook...', { phase: 'generate' });
+
+  if (!analysis.characters?.length) throw new Error('No characters found in book analysis');
+
+  const characterCards = generateCharacterCards(analysis.characters, coverImageBase64, bookMetadata);
+  const lorebook = generateLorebook(analysis.worldInfo || {}, analysis.characters, bookMetadata);
+  logger.info(`Generated ${characterCards.length} cards, ${lorebook.entries.length} lorebook entries`);
+
+  if (!characterCards.length) throw new Error('Failed to generate character cards');
+  if (!lorebook?.entries) throw new Error('Failed to generate lorebook');
+
+  updateProgress(sessionId, 'Checking the profiles and lorebook against the book...', { phase: 'generate' });
+  const grounding = buildGroundingReport(analysis.characters, lorebook, { chapters, text: bookText });
+  const { summary } = grounding;
+  logger.info(`Grounding: ${summary.claims} claims, ${summary.supported} supported, ${summary.unsupported} unsupported, ${summary.contradicted} contradicted`);
+
+  return {
+    characters: characterCards,
+    lorebook,
+    grounding,
+    bookTitle: bookMetadata.title || analysis.bookTitle,
+    bookMetadata: summarizeBookMetadata(bookMetadata),
+    coverImage: coverImageBase64,
+    usage: usage.summary(),
+    sessionId,
+  };
+}
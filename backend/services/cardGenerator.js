@@ -29,6 +29,23 @@ function formatExampleDialogue(rawDialogue) {
   return `<START>\n${dialogue}`;
 }
 
+// Real exchanges from the book put ahead of the model's example dialogue
+const MAX_SEEDED_EXCHANGES = 3;
+
+/**
+ * Format the character's best lines from the book (see applyBookDialogue) as
+ * example exchanges, each answering the line spoken before it when there is one.
+ * @param {Array<{text: string, replyTo: string|null}>} lines - Best first
+ * @returns {string} Exchanges with <START> markers
+ */
+function formatBookDialogue(lines = []) {
+  return lines.slice(0, MAX_SEEDED_EXCHANGES).map(line => [
+    '<START>',
+    ...(line.replyTo ? [`{{user}}: "${line.replyTo}"`] : []),
+    `{{char}}: "${line.text}"`,
+  ].join('\n')).join('\n');
+}
+
 /**
  * Format character description — core identity only.
  * Scenario, first messages, and example dialogue go in their dedicated v2 fields
@@ -40,7 +57,8 @@ function formatExampleDialogue(rawDialogue) {
 function formatCharacterDescription(char) {
   const parts = [];
 
-  const header = `{{char}} is ${char.name}.`;
+  const aliases = char.aliases?.length ? `, also called ${char.aliases.join(', ')}` : '';
+  const header = `{{char}} is ${char.name}${aliases}.`;
   parts.push(header);
 
   if (char.background) {
@@ -78,6 +96,40 @@ function getRoleLabel(role) {
   return roleLabels[role] || 'Character';
 }
 
+/**
+ * Summarize the source book's metadata (title, author, series, language, description)
+ * for card creator notes and the lorebook description.
+ * @param {Object|null} book - Parsed book metadata (see parseOpfMetadata)
+ * @returns {{ label: string, details: string, extension: Object } | null}
+ */
+function describeSourceBook(book) {
+  if (!book?.title) return null;
+
+  const author = book.creator && book.creator !== 'Unknown Author' ? book.creator : '';
+  const series = book.series
+    ? `${book.series}${book.seriesIndex !== undefined ? ` #${book.seriesIndex}` : ''}`
+    : '';
+
+  const facts = [
+    series && `Series: ${series}`,
+    book.language && `Language: ${book.language}`,
+  ].filter(Boolean).join('\n');
+  const details = [facts, book.description].filter(Boolean).join('\n\n');
+
+  return {
+    label: `"${book.title}"${author ? ` by ${author}` : ''}`,
+    details,
+    extension: {
+      title: book.title,
+      author: author || null,
+      series: book.series || null,
+      series_index: book.seriesIndex ?? null,
+      language: book.language || null,
+      identifiers: book.identifiers || {},
+    },
+  };
+}
+
 // Talkativeness by role — controls auto-response frequency (0.0–1.0)
 const ROLE_TALKATIVENESS = {
   'main_character': 0.8,
@@ -93,10 +145,16 @@ const ROLE_TALKATIVENESS = {
  * Generate character cards from analyzed characters
  * @param {Array} characters - Array of character objects from AI analysis
  * @param {string} coverImageBase64 - Optional base64 encoded cover image
+ * @param {Object|null} book - Optional book metadata for tags and creator notes
  * @returns {Array} Array of character cards (includes both regular and persona versions)
  */
-export function generateCharacterCards(characters, coverImageBase64 = null) {
+export function generateCharacterCards(characters, coverImageBase64 = null, book = null) {
   const cards = [];
+  const source = describeSourceBook(book);
+  const creatorNotes = source
+    ? [`Auto-generated by Chatbot Maker from ${source.label}`, source.details].filter(Boolean).join('\n\n')
+    : 'Auto-generated by Chatbot Maker';
+  const bookTags = [...(book?.subject || []), ...(book?.series ? [book.series] : [])];
 
   // Sort characters to ensure main/protagonist characters come first for persona generation
   const sortedCharacters = [...characters].sort((a, b) => {
@@ -116,7 +174,8 @@ export function generateCharacterCards(characters, coverImageBase64 = null) {
     // Build tag array from AI tags plus role
     const tags = [
       ...(char.tags || []),
-      char.role || 'character'
+      char.role || 'character',
+      ...bookTags
     ];
 
     // Remove duplicates and convert to lowercase
@@ -137,11 +196,18 @@ export function generateCharacterCards(characters, coverImageBase64 = null) {
 
     logger.debug(`Character ${char.name}: Found ${firstMessages.length} first messages`);
 
-    // Format example dialogue with <START> delimiters
-    const formattedExamples = formatExampleDialogue(char.exampleDialogue);
+    // Real lines from the book first, then the model's example dialogue, with <START> delimiters
+    const formattedExamples = [formatBookDialogue(char.bookDialogue), formatExampleDialogue(char.exampleDialogue)]
+      .filter(Boolean)
+      .join('\n');
 
     const talkativeness = ROLE_TALKATIVENESS[char.role] || 0.5;
 
+    // Series mode: which volumes the profile was built from
+    const characterNotes = char.volumes?.length > 1
+      ? `${creatorNotes}\n\nAppears in: ${char.volumes.join('; ')}`
+      : creatorNotes;
+
     // Generate regular character card (for interacting WITH the character)
     const regularCard = {
       spec: 'chara_card_v2',
@@ -153,7 +219,7 @@ export function generateCharacterCards(characters, coverImageBase64 = null) {
         scenario: char.scenario || '',
         first_mes: firstMessages[0] || `*${char.name} appears before you.*`,
         mes_example: formattedExamples,
-        creator_notes: 'Auto-generated by Chatbot Maker',
+        creator_notes: characterNotes,
         system_prompt: `Write {{char}}'s next reply in a fictional roleplay chat with {{user}}. Be creative and descriptive. Stay in character as {{char}} at all times. Drive the scene forward with meaningful actions and dialogue. Use {{char}}'s established speech patterns, personality, and mannerisms.`,
         post_history_instructions: `[Stay in character as {{char}}. Use descriptive prose with *actions* and "dialogue". React authentically to {{user}}'s words and actions. Avoid repetition and keep responses engaging.]`,
         tags: uniqueTags,
@@ -166,7 +232,9 @@ export function generateCharacterCards(characters, coverImageBase64 = null) {
             role: 'system',
             depth: 4,
             prompt: `[Remember: You are {{char}}. Stay true to {{char}}'s personality, speech patterns, and motivations. Do not break character.]`
-          }
+          },
+          ...(source && { source_book: source.extension }),
+          ...(char.generatedBy && { generated_by: char.generatedBy })
         },
         character_book: null
       },
@@ -192,7 +260,9 @@ export function generateCharacterCards(characters, coverImageBase64 = null) {
           scenario: char.scenario ? char.scenario.replace(/\{\{user\}\}/g, char.name) : '',
           first_mes: firstMessages[0] || `*You are ${char.name}. The story begins.*`,
           mes_example: formattedExamples,
-          creator_notes: 'Auto-generated by Chatbot Maker - Persona Version (roleplay AS this character)',
+          creator_notes: source
+            ? `Persona Version (roleplay AS this character)\n\n${characterNotes}`
+            : 'Auto-generated by Chatbot Maker - Persona Version (roleplay AS this character)',
           system_prompt: `{{user}} is roleplaying as ${char.name}. The AI should write the world, NPCs, and other characters around {{user}}'s character. React to {{user}}'s actions as ${char.name} would experience them. Narrate the environment, other characters' dialogue and actions, and consequences of {{user}}'s choices. Do NOT write {{user}}'s actions or dialogue.`,
           post_history_instructions: `[{{user}} is playing as ${char.name}. Write the surrounding world and NPCs. Never control ${char.name}'s actions — only describe what happens around them. Use descriptive prose with *actions* and "dialogue" for NPCs.]`,
           tags: [...uniqueTags, 'persona'],
@@ -205,7 +275,9 @@ export function generateCharacterCards(characters, coverImageBase64 = null) {
               role: 'system',
               depth: 4,
               prompt: `[{{user}} is ${char.name}. Write the world and NPCs around them. Do not control ${char.name}'s actions or dialogue.]`
-            }
+            },
+            ...(source && { source_book: source.extension }),
+            ...(char.generatedBy && { generated_by: char.generatedBy })
           },
           character_book: null
         },
@@ -224,18 +296,26 @@ export function generateCharacterCards(characters, coverImageBase64 = null) {
 /**
  * Generate smart trigger keys from a name and optional keywords list
  * Produces the name itself, lowercased variant, individual words (3+ chars),
- * and any AI-provided keywords.
+ * any aliases as written and lowercased, and any AI-provided keywords.
  * @param {string} name - Entry name
  * @param {Array<string>} extraKeywords - Optional AI-provided keywords
+ * @param {Array<string>} aliases - Other names of a character (see resolveAliases)
  * @returns {Array<string>} Deduplicated trigger keys
  */
-function generateKeys(name, extraKeywords = []) {
+function generateKeys(name, extraKeywords = [], aliases = []) {
   const keys = new Set();
 
   // Exact name and lowercase
   keys.add(name);
   keys.add(name.toLowerCase());
 
+  // Whole aliases only: "Miss Bennet" split into words would also match her sisters
+  for (const alias of aliases) {
+    if (!alias?.trim()) continue;
+    keys.add(alias.trim());
+    keys.add(alias.trim().toLowerCase());
+  }
+
   // Individual words from the name (skip short filler words)
   const words = name.split(/[\s\-_,]+/);
   for (const word of words) {
@@ -292,22 +372,24 @@ const CATEGORY_CONFIG = {
  * Generate lorebook from world info and characters
  * @param {Object} worldInfo - World information object from AI analysis
  * @param {Array} characters - Character objects from AI analysis
+ * @param {Object|null} book - Optional book metadata for the lorebook name and description
  * @returns {Object} Formatted lorebook
  */
-export function generateLorebook(worldInfo, characters = []) {
+export function generateLorebook(worldInfo, characters = [], book = null) {
   const entries = {};
   let entryId = 1;
   let displayIndex = 0;
 
-  const createEntry = (name, category, description, extraKeywords = []) => {
+  const createEntry = (name, category, description, extraKeywords = [], generatedBy = null, aliases = []) => {
     const config = CATEGORY_CONFIG[category] || CATEGORY_CONFIG.concept;
-    const keys = generateKeys(name, extraKeywords);
+    const keys = generateKeys(name, extraKeywords, aliases);
     const secondaryKeys = generateSecondaryKeys(description, category);
     const assignedDisplayIndex = displayIndex++;
 
     // Format content with category context so the AI knows what this entry is
     const categoryLabel = category.charAt(0).toUpperCase() + category.slice(1);
-    const formattedContent = `[${categoryLabel}: ${name}]\n${description}`;
+    const alsoCalled = aliases.length ? `\nAlso called: ${aliases.join(', ')}` : '';
+    const formattedContent = `[${categoryLabel}: ${name}]${alsoCalled}\n${description}`;
 
     const entry = {
       uid: entryId,
@@ -340,7 +422,8 @@ export function generateLorebook(worldInfo, characters = []) {
         displayIndex: assignedDisplayIndex,
         useProbability: true,
         characterFilter: null,
-        excludeRecursion: false
+        excludeRecursion: false,
+        ...(generatedBy && { generated_by: generatedBy })
       },
       case_sensitive: false,
       depth: config.depth,
@@ -353,34 +436,34 @@ export function generateLorebook(worldInfo, characters = []) {
 
   // Add setting as a constant (always-on) entry
   if (worldInfo.setting) {
-    createEntry('World Setting', 'setting', worldInfo.setting, ['world', 'setting', 'place', 'realm']);
+    createEntry('World Setting', 'setting', worldInfo.setting, ['world', 'setting', 'place', 'realm'], worldInfo.generatedBy);
   }
 
   // Add locations
   if (worldInfo.locations) {
     worldInfo.locations.forEach((loc) => {
-      createEntry(loc.name, 'location', loc.description, loc.keywords || []);
+      createEntry(loc.name, 'location', loc.description, loc.keywords || [], loc.generatedBy);
     });
   }
 
   // Add factions
   if (worldInfo.factions) {
     worldInfo.factions.forEach((fac) => {
-      createEntry(fac.name, 'faction', fac.description, fac.keywords || []);
+      createEntry(fac.name, 'faction', fac.description, fac.keywords || [], fac.generatedBy);
     });
   }
 
   // Add concepts
   if (worldInfo.concepts) {
     worldInfo.concepts.forEach((con) => {
-      createEntry(con.name, 'concept', con.description, con.keywords || []);
+      createEntry(con.name, 'concept', con.description, con.keywords || [], con.generatedBy);
     });
   }
 
   // Add items
   if (worldInfo.items) {
     worldInfo.items.forEach((item) => {
-      createEntry(item.name, 'item', item.description, item.keywords || []);
+      createEntry(item.name, 'item', item.description, item.keywords || [], item.generatedBy);
     });
   }
 
@@ -396,18 +479,22 @@ export function generateLorebook(worldInfo, characters = []) {
       if (!description) return;
 
       const keywords = Array.isArray(char.tags) ? char.tags : [];
-      createEntry(char.name, 'character', description, keywords);
+      createEntry(char.name, 'character', description, keywords, char.generatedBy, char.aliases || []);
     });
   }
 
+  const source = describeSourceBook(book);
+
   return {
-    name: 'Generated Lorebook',
-    description: 'Auto-generated world information',
+    name: source ? book.title : 'Generated Lorebook',
+    description: source
+      ? [`World information for ${source.label}`, source.details].filter(Boolean).join('\n\n')
+      : 'Auto-generated world information',
     is_creation: false,
     scan_depth: 8,
     token_budget: 2048,
     recursive_scanning: true,
-    extensions: {},
+    extensions: source ? { source_book: source.extension } : {},
     entries: Object.values(entries)
   };
 }
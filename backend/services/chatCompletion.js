@@ -0,0 +1,220 @@
+import axios from 'axios';
+import logger from '../utils/logger.js';
+import { createCancelledError, throwIfCancelled } from '../utils/cancellation.js';
+import { estimateTokens } from './tokenizer.js';
+import { getProvider } from './providers/index.js';
+import {
+  AI_IDLE_TIMEOUT_MS,
+  STREAM_PROGRESS_INTERVAL_MS,
+} from '../config/constants.js';
+
+// ---------------------------------------------------------------------------
+// Streaming chat completions
+//
+// The transport shared by every provider: the adapter (see providers/)
+// builds the request and reads each stream event; this module handles SSE
+// and NDJSON framing, idle timeouts, cancellation and progress.
+// ---------------------------------------------------------------------------
+
+/**
+ * Read a response stream to a string. A multi-byte character can be split
+ * across chunks, so they are decoded as one stream rather than one by one.
+ */
+async function readStream(stream) {
+  const decoder = new TextDecoder();
+  let text = '';
+  for await (const chunk of stream) text += decoder.decode(chunk, { stream: true });
+  return text + decoder.decode();
+}
+
+/**
+ * Replace a streamed error body with its parsed JSON (or text) so callers can
+ * read `error.response.data.error.message` as with non-streaming requests.
+ */
+async function bufferErrorBody(error) {
+  const data = error.response?.data;
+  if (!data || typeof data.on !== 'function') return;
+  try {
+    const text = await readStream(data);
+    try {
+      error.response.data = JSON.parse(text);
+    } catch {
+      error.response.data = { error: text };
+    }
+  } catch {
+    error.response.data = {};
+  }
+}
+
+/**
+ * Split an SSE buffer into complete `data:` payloads, returning the payloads
+ * and the unfinished remainder.
+ */
+function takeEvents(buffer) {
+  const blocks = buffer.split(/\r?\n\r?\n/);
+  const rest = blocks.pop();
+  const payloads = blocks
+    .map(block => block.split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).trimStart())
+      .join('\n'))
+    .filter(Boolean);
+  return { payloads, rest };
+}
+
+/**
+ * Split an NDJSON buffer into complete lines, returning them and the
+ * unfinished remainder.
+ */
+function takeLines(buffer) {
+  const lines = buffer.split(/\r?\n/);
+  const rest = lines.pop();
+  return { payloads: lines.filter(line => line.trim()), rest };
+}
+
+/**
+ * Send a streamed chat completion through a provider adapter and assemble
+ * the reply as it arrives.
+ *
+ * Instead of a fixed total timeout the request is aborted only when nothing
+ * has been received for `idleTimeoutMs`, so a slow but active generation is
+ * never cut off. `onProgress` is called at most every
+ * STREAM_PROGRESS_INTERVAL_MS with the tokens received so far (the provider's
+ * usage count when it sends one, else estimated from the text length).
+ * Endpoints that ignore `stream` and answer with plain JSON are handled too.
+ * Aborting `signal` stops the request and throws the cancelled error.
+ *
+ * @param {Object} options
+ * @param {string} [options.provider='openai'] - Adapter id (see providers/index.js)
+ * @param {string} options.apiBaseUrl
+ * @param {string} options.apiKey
+ * @param {Object} options.body - OpenAI-style request body (without `stream`)
+ * @param {number|null} [options.contextLength=null] - Model's context window, for providers that take it per request
+ * @param {Function|null} [options.onProgress=null] - `({ tokens, tokensPerSecond, elapsedMs }) => void`
+ * @param {number} [options.idleTimeoutMs=AI_IDLE_TIMEOUT_MS]
+ * @param {AbortSignal|null} [options.signal=null] - Cancels the request
+ * @returns {Promise<{content: string, finishReason: string|null, usage: Object|null}>}
+ */
+export async function createChatCompletion({
+  provider = 'openai',
+  apiBaseUrl,
+  apiKey,
+  body,
+  contextLength = null,
+  onProgress = null,
+  idleTimeoutMs = AI_IDLE_TIMEOUT_MS,
+  signal = null,
+}) {
+  throwIfCancelled(signal);
+  const adapter = getProvider(provider);
+  const request = adapter.chatRequest({ apiBaseUrl, apiKey, body, contextLength });
+  const controller = new AbortController();
+  const onCancel = () => controller.abort();
+  signal?.addEventListener('abort', onCancel, { once: true });
+  let idleTimer = null;
+  let timedOut = false;
+  const resetIdleTimer = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, idleTimeoutMs);
+  };
+
+  const startedAt = Date.now();
+  let content = request.prefix || '';
+  let finishReason = null;
+  let usage = null;
+  let firstTokenAt = null;
+  let lastReport = 0;
+
+  const report = (force = false) => {
+    if (!onProgress) return;
+    const now = Date.now();
+    if (!force && now - lastReport < STREAM_PROGRESS_INTERVAL_MS) return;
+    lastReport = now;
+    const tokens = usage?.completion_tokens ?? estimateTokens(content);
+    // Rate over the generation itself, not the wait for the first token
+    const generatingMs = firstTokenAt ? now - firstTokenAt : 0;
+    onProgress({ tokens, tokensPerSecond: generatingMs > 0 ? tokens / (generatingMs / 1000) : 0, elapsedMs: now - startedAt });
+  };
+
+  const applyChunk = (data) => {
+    const event = adapter.parseEvent(data);
+    if (event.content) {
+      firstTokenAt ??= Date.now();
+      content += event.content;
+    }
+    if (event.finishReason) finishReason = event.finishReason;
+    // Some providers send prompt and completion counts in separate events
+    if (event.usage) usage = { ...usage, ...event.usage };
+  };
+
+  resetIdleTimer();
+  try {
+    let response;
+    try {
+      response = await axios.post(request.url, request.data, {
+        headers: request.headers,
+        responseType: 'stream',
+        signal: controller.signal,
+      });
+    } catch (error) {
+      await bufferErrorBody(error);
+      throw error;
+    }
+
+    const ndjson = adapter.streamFormat === 'ndjson';
+    const contentType = response.headers['content-type'] || '';
+    if (!contentType.includes(ndjson ? 'ndjson' : 'text/event-stream')) {
+      // Server ignored `stream: true`
+      const text = await readStream(response.data);
+      applyChunk(JSON.parse(text));
+      report(true);
+      return { content, finishReason, usage };
+    }
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let done = false;
+    for await (const chunk of response.data) {
+      resetIdleTimer();
+      buffer += decoder.decode(chunk, { stream: true });
+      const { payloads, rest } = ndjson ? takeLines(buffer) : takeEvents(buffer);
+      buffer = rest;
+      for (const payload of payloads) {
+        if (payload === '[DONE]') {
+          done = true;
+          break;
+        }
+        try {
+          applyChunk(JSON.parse(payload));
+        } catch (error) {
+          if (error instanceof SyntaxError) {
+            logger.debug(`Skipping unparseable stream event: ${payload.slice(0, 200)}`);
+            continue;
+          }
+          throw error;
+        }
+      }
+      report();
+      if (done) break;
+    }
+    report(true);
+
+    logger.debug(`Stream complete: ${content.length} chars in ${Date.now() - startedAt}ms (finish_reason: ${finishReason})`);
+    return { content, finishReason, usage };
+  } catch (error) {
+    if (signal?.aborted) throw createCancelledError();
+    if (timedOut) {
+      const idleError = new Error(`No data from AI service for ${Math.round(idleTimeoutMs / 1000)} seconds`);
+      idleError.code = 'ECONNABORTED';
+      throw idleError;
+    }
+    throw error;
+  } finally {
+    clearTimeout(idleTimer);
+    signal?.removeEventListener('abort', onCancel);
+    if (!controller.signal.aborted) controller.abort();
+  }
+}
@@ -0,0 +1,138 @@
+import { findByName, normalizeName, unionStrings } from './seriesMerger.js';
+
+// Merge the structured notes taken on each chunk of a long book (see
+// CHUNK_NOTES_SCHEMA) into one set, and render it as the text the roster and
+// profile prompts read in place of the book.
+
+const ENTRY_CATEGORIES = ['locations', 'items'];
+
+// Per-entry limits tried in turn until the rendered notes fit the budget:
+// notes per character or entry, quotes per speaker, events per part
+const DETAIL_LEVELS = [Infinity, 12, 8, 5, 3, 2, 1];
+
+function findCharacter(characters, { name, aliases = [] }) {
+  const byName = findByName(characters, name);
+  if (byName) return byName;
+  const names = new Set([name, ...aliases].map(normalizeName).filter(Boolean));
+  return characters.find(character => [character.name, ...character.aliases]
+    .some(known => names.has(normalizeName(known)))) || null;
+}
+
+/**
+ * Merge per-chunk notes in reading order. Characters are matched by name or
+ * alias (see findByName), places and items by name; their notes are combined
+ * without repeats.
+ * @param {Array<Object>} notesList - CHUNK_NOTES_SCHEMA responses, one per chunk
+ * @returns {{characters: Array, locations: Array, items: Array, events: Array, quotes: Array, parts: number}}
+ *   `characters` carry `chunks` (the parts they appear in); events and quotes carry `chunk`
+ */
+export function mergeChunkNotes(notesList) {
+  const merged = { characters: [], locations: [], items: [], events: [], quotes: [], parts: notesList.length };
+  const seenQuotes = new Set();
+
+  notesList.forEach((notes, index) => {
+    const chunk = index + 1;
+    for (const character of notes.characters || []) {
+      const existing = findCharacter(merged.characters, character);
+      if (existing) {
+        existing.aliases = unionStrings(existing.aliases, [character.name, ...(character.aliases || [])])
+          .filter(alias => normalizeName(alias) !== normalizeName(existing.name));
+        existing.notes = unionStrings(existing.notes, character.notes);
+        if (!existing.chunks.includes(chunk)) existing.chunks.push(chunk);
+      } else {
+        merged.characters.push({
+          name: character.name.trim(),
+          aliases: unionStrings(character.aliases).filter(alias => normalizeName(alias) !== normalizeName(character.name)),
+          notes: unionStrings(character.notes),
+          chunks: [chunk],
+        });
+      }
+    }
+
+    for (const category of ENTRY_CATEGORIES) {
+      for (const entry of notes[category] || []) {
+        const existing = findByName(merged[category], entry.name);
+        if (existing) {
+          existing.notes = unionStrings(existing.notes, [entry.description]);
+        } else {
+          merged[category].push({ name: entry.name.trim(), notes: unionStrings([entry.description]) });
+        }
+      }
+    }
+
+    for (const event of unionStrings(notes.events)) merged.events.push({ chunk, text: event });
+
+    for (const quote of notes.quotes || []) {
+      const key = quote.text.trim().toLowerCase();
+      if (!key || seenQuotes.has(key)) continue;
+      seenQuotes.add(key);
+      const speaker = findCharacter(merged.characters, { name: quote.speaker })?.name || quote.speaker.trim();
+      merged.quotes.push({ chunk, speaker, text: quote.text.trim() });
+    }
+  });
+
+  // Characters seen in more parts first; ties keep reading order
+  merged.characters.sort((a, b) => b.chunks.length - a.chunks.length);
+  return merged;
+}
+
+function renderNotes(merged, limit) {
+  const lines = [`Notes taken on the ${merged.parts} parts of the book, in reading order:`];
+
+  if (merged.characters.length) {
+    lines.push('', 'Characters:');
+    for (const character of merged.characters) {
+      const aliases = character.aliases.length ? ` (also called ${character.aliases.join(', ')})` : '';
+      const seen = `in ${character.chunks.length} of ${merged.parts} parts`;
+      lines.push(`- ${character.name}${aliases}, ${seen}: ${character.notes.slice(0, limit).join(' ')}`);
+    }
+  }
+
+  for (const category of ENTRY_CATEGORIES) {
+    if (!merged[category].length) continue;
+    lines.push('', `${category[0].toUpperCase()}${category.slice(1)}:`);
+    for (const entry of merged[category]) {
+      lines.push(`- ${entry.name}: ${entry.notes.slice(0, limit).join(' ')}`);
+    }
+  }
+
+  if (merged.events.length) {
+    lines.push('', 'Events:');
+    for (let chunk = 1; chunk <= merged.parts; chunk++) {
+      const events = merged.events.filter(event => event.chunk === chunk).slice(0, limit);
+      if (events.length) lines.push(`Part ${chunk}: ${events.map(event => event.text).join(' ')}`);
+    }
+  }
+
+  if (merged.quotes.length) {
+    const perSpeaker = new Map();
+    const quotes = merged.quotes.filter((quote) => {
+      const count = perSpeaker.get(quote.speaker) || 0;
+      perSpeaker.set(quote.speaker, count + 1);
+      return count < limit;
+    });
+    lines.push('', 'Quotes:');
+    for (const quote of quotes) lines.push(`- ${quote.speaker}: "${quote.text}"`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Render merged notes within `maxTokens`, keeping fewer notes, events and
+ * quotes per entry until they fit.
+ * @param {Object} merged - mergeChunkNotes() result
+ * @param {number} maxTokens
+ * @param {{count: (text: string) => number}} tokenizer
+ * @returns {{text: string, tokens: number}} The most detailed rendering that fits, else the least detailed one
+ */
+export function renderChunkNotes(merged, maxTokens, tokenizer) {
+  let text = '';
+  let tokens = 0;
+  for (const limit of DETAIL_LEVELS) {
+    text = renderNotes(merged, limit);
+    tokens = tokenizer.count(text);
+    if (tokens <= maxTokens) break;
+  }
+  return { text, tokens };
+}
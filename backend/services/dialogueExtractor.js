@@ -0,0 +1,259 @@
+import { findByName, normalizeName } from './seriesMerger.js';
+import { nameTerms } from './retrieval.js';
+
+// ---------------------------------------------------------------------------
+// Dialogue extraction
+//
+// Finds the lines spoken in the chapters and who speaks them, so the phrases
+// the model lists for a character can be checked against what the character
+// actually says, and the card's example dialogue can start from real lines.
+// Attribution follows the usual one-speaker-per-paragraph convention and is
+// left open when the paragraph does not make the speaker clear.
+// ---------------------------------------------------------------------------
+
+// Lines kept per character for example dialogue, best first
+const MAX_DIALOGUE_LINES = 6;
+// Length of a line worth quoting, in words
+const MIN_LINE_WORDS = 3;
+const MAX_LINE_WORDS = 40;
+const IDEAL_LINE_WORDS = 14;
+// Longest real line that replaces an unverified phrase
+const MAX_PHRASE_WORDS = 15;
+
+const SPEECH_VERBS = [
+  'said', 'says', 'asked', 'asks', 'replied', 'answered', 'whispered', 'shouted', 'yelled', 'muttered',
+  'murmured', 'called', 'cried', 'added', 'continued', 'told', 'snapped', 'laughed', 'sighed', 'admitted',
+  'insisted', 'explained', 'repeated', 'agreed', 'demanded', 'exclaimed', 'growled', 'groaned', 'hissed',
+  'offered', 'protested', 'suggested', 'teased', 'warned', 'mumbled', 'countered', 'interrupted', 'grumbled',
+].join('|');
+// Verbs that come before the speaker ("said Mia"); "told Mia" names the listener
+const INVERTED_SPEECH_VERBS = 'said|asked|replied|answered|whispered|shouted|cried|called|added|continued|muttered|murmured|exclaimed|demanded';
+
+const DOUBLE_QUOTE_PATTERN = /“([^“”]+)(?:”|$)|"([^"]+)(?:"|$)/gu;
+// British style; a closing quote followed by a letter is an apostrophe ("don’t")
+const SINGLE_QUOTE_PATTERN = /‘(.+?)’(?!\p{L})/gu;
+const FIRST_PERSON_TAG = new RegExp(`\\bI\\s+(?:\\p{Ll}+ly\\s+)?(?:${SPEECH_VERBS})\\b|\\b(?:${INVERTED_SPEECH_VERBS})\\s+I\\b`, 'u');
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function wordCount(text) {
+  return (text.match(/[\p{L}\p{N}’']+/gu) || []).length;
+}
+
+/**
+ * Lowercase words only, with curly apostrophes straightened, for comparing
+ * phrases with lines.
+ */
+function normalizeSpeech(text) {
+  return ` ${(text || '').toLowerCase().replace(/[’‘]/g, "'").replace(/[^\p{L}\p{N}']+/gu, ' ').trim()} `;
+}
+
+/**
+ * How each character can be named in narration: the full name, aliases and
+ * the distinctive words of both, as written. A word shared by two characters
+ * ("Bennet") names neither.
+ * @returns {Map<string, string>} Mention → character name
+ */
+function buildMentions(characters) {
+  const owners = new Map();
+  for (const character of characters) {
+    const names = [character.name, ...(character.aliases || [])].filter(Boolean);
+    const terms = new Set(nameTerms(character.name, character.aliases || []));
+    const words = names.flatMap(value => (value.match(/[\p{L}\p{N}]+/gu) || [])
+      .filter(word => terms.has(word.toLowerCase()) && /^\p{Lu}/u.test(word)));
+    for (const mention of new Set([...names, ...words])) {
+      if (!owners.has(mention)) owners.set(mention, new Set());
+      owners.get(mention).add(character.name);
+    }
+  }
+  const mentions = new Map();
+  for (const [mention, names] of owners) {
+    if (names.size === 1) mentions.set(mention, [...names][0]);
+  }
+  return mentions;
+}
+
+function createAttributor(characters) {
+  const mentions = buildMentions(characters);
+  if (!mentions.size) return segments => ({ speaker: null, narrator: segments.some(segment => FIRST_PERSON_TAG.test(segment)) });
+
+  const names = [...mentions.keys()].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+  const mention = `(?<![\\p{L}\\p{N}])(${names})(?![\\p{L}\\p{N}])`;
+  const tags = [
+    new RegExp(`${mention}\\s+(?:\\p{Ll}+ly\\s+)?(?:${SPEECH_VERBS})\\b`, 'gu'),
+    new RegExp(`\\b(?:${INVERTED_SPEECH_VERBS})\\s+${mention}`, 'gu'),
+  ];
+  const sentenceStart = new RegExp(`(?:^|[.!?…]\\s+)${mention}\\s+\\p{Ll}`, 'gu');
+  const named = (segments, pattern) => new Set(segments.flatMap(segment => [...segment.matchAll(pattern)].map(match => mentions.get(match[1]))));
+
+  /**
+   * The character speaking in a paragraph, from its narration: a speech tag
+   * naming one character ("said Mia", "Mia whispered"), else the one
+   * character who starts a sentence ("Mia nodded."), unless the narrator
+   * speaks ("I said").
+   * @param {Array<string>} segments - The paragraph's narration, between its quotes
+   * @returns {{speaker: string|null, narrator: boolean}}
+   */
+  return (segments) => {
+    const tagged = named(segments, tags[0]);
+    for (const name of named(segments, tags[1])) tagged.add(name);
+    if (tagged.size) return { speaker: tagged.size === 1 ? [...tagged][0] : null, narrator: false };
+    if (segments.some(segment => FIRST_PERSON_TAG.test(segment))) return { speaker: null, narrator: true };
+    const subjects = named(segments.map(segment => segment.trim()), sentenceStart);
+    return { speaker: subjects.size === 1 ? [...subjects][0] : null, narrator: false };
+  };
+}
+
+/**
+ * Join the quotes of one paragraph into a line; a quote cut off by its speech
+ * tag ("Well," she said, "maybe.") ends in a comma that becomes a full stop
+ * when a new sentence (or nothing) follows.
+ */
+function joinQuotes(quotes) {
+  const line = quotes.reduce((joined, quote) => {
+    if (!joined) return quote;
+    return `${/^\p{Lu}/u.test(quote) ? joined.replace(/,$/, '.') : joined} ${quote}`;
+  }, '');
+  return line.replace(/,$/, '.');
+}
+
+function splitParagraphs(text) {
+  // Hard-wrapped plain text has blank lines between paragraphs; EPUB text has one newline
+  const separator = /\n\s*\n/.test(text) ? /\n\s*\n/ : /\n/;
+  return text.split(separator).map(paragraph => paragraph.replace(/\s+/g, ' ').trim()).filter(Boolean);
+}
+
+/**
+ * Extract the dialogue of a book, one line per paragraph that quotes speech,
+ * with the speaker where the narration makes it clear.
+ * @param {Array<{title: string, text: string}>|null} chapters
+ * @param {string} text - Used when there are no chapters
+ * @param {Array<{name: string, aliases?: Array<string>}>} characters - Speakers to look for
+ * @param {Array<{speaker: string, text: string}>} [noteQuotes=[]] - Quotes from the chunk notes; their
+ *   speakers fill in lines the narration leaves unattributed
+ * @returns {Array<{index: number, chapter: string, speaker: string|null, narrator: boolean, text: string,
+ *   replyTo: string|null}>} In reading order; `narrator` marks lines of a first-person narrator ("I said"),
+ *   `replyTo` is the line just before, when someone else said it
+ */
+export function extractDialogue(chapters, text, characters, noteQuotes = []) {
+  const sources = chapters?.length ? chapters : [{ title: '', text }];
+  const attribute = createAttributor(characters);
+  const pattern = /[“"]/.test(sources.map(source => source.text).join('')) ? DOUBLE_QUOTE_PATTERN : SINGLE_QUOTE_PATTERN;
+  const lines = [];
+
+  for (const { title, text: chapterText } of sources) {
+    let previous = null;
+    for (const paragraph of splitParagraphs(chapterText || '')) {
+      const quotes = [...paragraph.matchAll(pattern)];
+      if (!quotes.length) {
+        // A paragraph of narration ends the exchange
+        previous = null;
+        continue;
+      }
+      const spoken = joinQuotes(quotes.map(match => (match[1] ?? match[2]).trim()).filter(Boolean));
+      if (!spoken) continue;
+      const segments = paragraph.split(pattern).filter((_, i) => i % (pattern === DOUBLE_QUOTE_PATTERN ? 3 : 2) === 0);
+      const line = {
+        index: lines.length,
+        chapter: title || '',
+        ...attribute(segments),
+        text: spoken,
+        replyTo: null,
+      };
+      if (previous && (!line.speaker || previous.speaker !== line.speaker)) line.replyTo = previous.text;
+      lines.push(line);
+      previous = line;
+    }
+  }
+
+  // The notes name speakers the narration leaves out ("she said")
+  const quoted = noteQuotes
+    .map(quote => ({ text: normalizeSpeech(quote.text), speaker: resolveSpeaker(characters, quote.speaker) }))
+    .filter(quote => quote.speaker && quote.text.trim());
+  for (const line of lines) {
+    if (line.speaker || line.narrator) continue;
+    const normalized = normalizeSpeech(line.text);
+    const match = quoted.find(quote => normalized.includes(quote.text));
+    if (match) line.speaker = match.speaker;
+  }
+  return lines;
+}
+
+function resolveSpeaker(characters, speaker) {
+  if (!speaker) return null;
+  const key = normalizeName(speaker);
+  const character = findByName(characters, speaker)
+    || characters.find(c => (c.aliases || []).some(alias => normalizeName(alias) === key));
+  return character?.name || null;
+}
+
+function lineScore(line) {
+  const words = wordCount(line.text);
+  if (words < MIN_LINE_WORDS || words > MAX_LINE_WORDS) return -Infinity;
+  return -Math.abs(words - IDEAL_LINE_WORDS) + (/[!?]/.test(line.text) ? 2 : 0) + (line.replyTo ? 3 : 0);
+}
+
+/**
+ * A character's lines worth quoting, best first: mid-length, exclamations
+ * and questions, and lines that answer someone.
+ */
+function rankLines(lines) {
+  const seen = new Set();
+  return lines
+    .map(line => ({ line, score: lineScore(line) }))
+    .filter(({ score }) => score > -Infinity)
+    .sort((a, b) => b.score - a.score || a.line.index - b.line.index)
+    .map(({ line }) => line)
+    .filter((line) => {
+      const key = normalizeSpeech(line.text);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Check each character's `commonPhrases` against the dialogue and keep the
+ * best of their real lines for example dialogue. A phrase is verified when
+ * it occurs in a line the character speaks (or one nobody is credited with,
+ * other than the narrator);
+ * the others are replaced by short real lines while there are any, and
+ * dropped (marked unverified) after that, so the card only quotes what the
+ * book bears out.
+ * @param {Array<Object>} characters - Phase 2 profiles
+ * @param {Array<Object>} dialogue - extractDialogue() result
+ * @returns {Array<Object>} The profiles with `commonPhrases` verified or replaced, `phraseCheck`
+ *   (`{ text, status: 'verified'|'replaced'|'unverified', line?, chapter? }` per phrase the model
+ *   wrote) and `bookDialogue` (`{ text, chapter, replyTo }`, best first)
+ */
+export function applyBookDialogue(characters, dialogue) {
+  return characters.map((character) => {
+    const own = dialogue.filter(line => line.speaker === character.name);
+    const searchable = dialogue.filter(line => line.speaker === character.name || (!line.speaker && !line.narrator))
+      .map(line => ({ line, normalized: normalizeSpeech(line.text) }));
+    const ranked = rankLines(own);
+    const replacements = ranked.filter(line => wordCount(line.text) <= MAX_PHRASE_WORDS);
+    const used = new Set();
+
+    const phraseCheck = (character.commonPhrases || []).map((phrase) => {
+      const target = normalizeSpeech(phrase);
+      const found = target.trim() && searchable.find(({ normalized }) => normalized.includes(target));
+      if (found) return { text: phrase, status: 'verified', chapter: found.line.chapter };
+
+      const replacement = replacements.find(line => !used.has(line));
+      if (!replacement) return { text: phrase, status: 'unverified' };
+      used.add(replacement);
+      return { text: phrase, status: 'replaced', line: replacement.text, chapter: replacement.chapter };
+    });
+
+    return {
+      ...character,
+      commonPhrases: phraseCheck.filter(check => check.status !== 'unverified').map(check => check.line || check.text),
+      phraseCheck,
+      bookDialogue: ranked.slice(0, MAX_DIALOGUE_LINES)
+        .map(line => ({ text: line.text, chapter: line.chapter, replyTo: line.replyTo })),
+    };
+  });
+}
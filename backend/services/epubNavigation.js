@@ -0,0 +1,309 @@
+import path from 'path';
+import logger from '../utils/logger.js';
+import { htmlToText, decodeHtmlEntities } from '../utils/htmlToText.js';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Read a file from the EPUB archive as UTF-8 text.
+ * @param {Object} epub - Parsed epub2 instance
+ * @param {string} href - Archive path
+ * @returns {Promise<string>}
+ */
+export function readEpubText(epub, href) {
+  return new Promise((resolve, reject) => {
+    epub.readFile(href, 'utf8', (err, data) => {
+      if (err) reject(err);
+      else resolve(data);
+    });
+  });
+}
+
+function normalizeArchivePath(href) {
+  let file = href;
+  try { file = decodeURIComponent(href); } catch { /* keep raw */ }
+  return path.posix.normalize(file);
+}
+
+/**
+ * Resolve an href found in `baseHref` to a normalized archive path + fragment.
+ */
+function resolveHref(baseHref, href) {
+  const [target, fragment = ''] = decodeHtmlEntities(href).split('#');
+  const file = target
+    ? normalizeArchivePath(path.posix.join(path.posix.dirname(baseHref), target))
+    : normalizeArchivePath(baseHref);
+  return { file, fragment };
+}
+
+function labelText(html) {
+  return htmlToText(html, { markBlockquotes: false }).replace(/\s+/g, ' ').trim();
+}
+
+// ---------------------------------------------------------------------------
+// Table of contents parsing
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse the EPUB 3 navigation document's `<nav epub:type="toc">` list.
+ * @returns {Array<{title: string, file: string, fragment: string, level: number}>}
+ */
+function parseNavDocument(html, navHref) {
+  const navMatch = html.match(/<nav\b[^>]*epub:type\s*=\s*["'][^"']*\btoc\b[^"']*["'][^>]*>([\s\S]*?)<\/nav>/i)
+    || html.match(/<nav\b[^>]*>([\s\S]*?)<\/nav>/i);
+  if (!navMatch) return [];
+
+  const entries = [];
+  let listDepth = 0;
+  let current = null;
+
+  const tokens = navMatch[1].matchAll(/<(\/?)(ol|ul|li)\b[^>]*>|<(a|span)\b([^>]*)>([\s\S]*?)<\/\3>/gi);
+  for (const [, closing, listTag, labelTag, attrs, label] of tokens) {
+    if (listTag) {
+      const tag = listTag.toLowerCase();
+      if (tag === 'li') {
+        current = closing ? null : { pending: true };
+      } else {
+        listDepth += closing ? -1 : 1;
+      }
+      continue;
+    }
+
+    // Only the first label inside each <li> names the entry
+    if (!current?.pending) continue;
+    current.pending = false;
+
+    const title = labelText(label);
+    const href = attrs.match(/\bhref\s*=\s*["']([^"']*)["']/i)?.[1];
+    if (!title) continue;
+
+    entries.push({
+      title,
+      ...(labelTag.toLowerCase() === 'a' && href ? resolveHref(navHref, href) : { file: null, fragment: '' }),
+      level: Math.max(0, listDepth - 1),
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Parse an EPUB 2 NCX `<navMap>`.
+ * @returns {Array<{title: string, file: string, fragment: string, level: number}>}
+ */
+function parseNcx(xml, ncxHref) {
+  const navMap = xml.match(/<navMap\b[^>]*>([\s\S]*?)<\/navMap>/i)?.[1];
+  if (!navMap) return [];
+
+  const entries = [];
+  let depth = 0;
+  let current = null;
+
+  const tokens = navMap.matchAll(/<(\/?)navPoint\b[^>]*>|<text\b[^>]*>([\s\S]*?)<\/text>|<content\b[^>]*\bsrc\s*=\s*["']([^"']*)["'][^>]*>/gi);
+  for (const [token, closing, text, src] of tokens) {
+    if (/^<\/?navPoint/i.test(token)) {
+      if (closing) {
+        depth--;
+      } else {
+        depth++;
+        current = { title: '', level: depth - 1 };
+        entries.push(current);
+      }
+    } else if (text !== undefined && current && !current.title) {
+      current.title = labelText(text);
+    } else if (src !== undefined && current && !current.file) {
+      Object.assign(current, resolveHref(ncxHref, src));
+    }
+  }
+
+  return entries.filter(e => e.title);
+}
+
+/**
+ * Read the book's table of contents, preferring the EPUB 3 nav document and
+ * falling back to the EPUB 2 NCX.
+ * @param {Object} epub - Parsed epub2 instance
+ * @returns {Promise<Array<{title: string, file: string|null, fragment: string, level: number}>>}
+ */
+export async function readEpubToc(epub) {
+  const items = Object.values(epub.manifest || {});
+  const navItem = items.find(item => /\bnav\b/.test(item.properties || ''));
+  const ncxItem = epub.spine?.toc || items.find(item => item['media-type'] === 'application/x-dtbncx+xml');
+
+  try {
+    if (navItem) {
+      const entries = parseNavDocument(await readEpubText(epub, navItem.href), navItem.href);
+      if (entries.length) return entries;
+    }
+    if (ncxItem) {
+      return parseNcx(await readEpubText(epub, ncxItem.href), ncxItem.href);
+    }
+  } catch (error) {
+    logger.warn(`Could not read EPUB table of contents: ${error.message}`);
+  }
+  return [];
+}
+
+/**
+ * Read the book's landmarks: the EPUB 3 `<nav epub:type="landmarks">` list,
+ * or the EPUB 2 OPF `<guide>` references.
+ * @param {Object} epub - Parsed epub2 instance
+ * @returns {Promise<Array<{type: string, title: string, file: string, fragment: string}>>}
+ */
+export async function readEpubLandmarks(epub) {
+  const navItem = Object.values(epub.manifest || {}).find(item => /\bnav\b/.test(item.properties || ''));
+  const attr = (attrs, name) => attrs.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*["']([^"']*)["']`, 'i'))?.[1];
+
+  try {
+    if (navItem) {
+      const html = await readEpubText(epub, navItem.href);
+      const nav = html.match(/<nav\b[^>]*epub:type\s*=\s*["'][^"']*\blandmarks\b[^"']*["'][^>]*>([\s\S]*?)<\/nav>/i)?.[1];
+      const entries = [...(nav || '').matchAll(/<a\b([^>]*)>([\s\S]*?)<\/a>/gi)]
+        .map(([, attrs, label]) => ({ attrs, label, type: attr(attrs, 'epub:type'), href: attr(attrs, 'href') }))
+        .filter(e => e.type && e.href)
+        .map(e => ({ type: e.type.toLowerCase().split(/\s+/)[0], title: labelText(e.label), ...resolveHref(navItem.href, e.href) }));
+      if (entries.length) return entries;
+    }
+
+    if (epub.rootFile) {
+      const opf = await readEpubText(epub, epub.rootFile);
+      const guide = opf.match(/<(?:opf:)?guide\b[^>]*>([\s\S]*?)<\/(?:opf:)?guide>/i)?.[1] || '';
+      return [...guide.matchAll(/<(?:opf:)?reference\b([^>]*)>/gi)]
+        .map(([, attrs]) => ({ type: attr(attrs, 'type'), title: decodeHtmlEntities(attr(attrs, 'title') || ''), href: attr(attrs, 'href') }))
+        .filter(e => e.type && e.href)
+        .map(e => ({ type: e.type.toLowerCase(), title: e.title, ...resolveHref(epub.rootFile, e.href) }));
+    }
+  } catch (error) {
+    logger.warn(`Could not read EPUB landmarks: ${error.message}`);
+  }
+  return [];
+}
+
+// ---------------------------------------------------------------------------
+// Mapping TOC entries onto the spine
+// ---------------------------------------------------------------------------
+
+/**
+ * Offset of the element carrying `id="fragment"` in an XHTML document,
+ * or -1 when the anchor cannot be found.
+ */
+function findAnchorOffset(html, fragment) {
+  if (!fragment) return 0;
+  const escaped = fragment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  // Attributes follow whitespace; `\b` would also match `data-id=`
+  const match = new RegExp(`\\s(?:id|name)\\s*=\\s*["']${escaped}["']`).exec(html);
+  if (!match) return -1;
+  return html.lastIndexOf('<', match.index);
+}
+
+/**
+ * Spine position (document index + character offset) of a TOC or landmark entry.
+ */
+function locateEntry(spine, spineIndex, entry) {
+  const index = entry.file ? spineIndex.get(entry.file) : undefined;
+  if (index === undefined) return null;
+  return { index, offset: Math.max(findAnchorOffset(spine[index].html, entry.fragment), 0) };
+}
+
+const comparePositions = (a, b) => a.index - b.index || a.offset - b.offset;
+
+/**
+ * Split spine documents into chapters using the table of contents.
+ *
+ * Each TOC entry marks a start position (spine document + anchor offset). A
+ * chapter runs until the next entry, so one document holding several chapters
+ * is split at its anchors and a chapter spread over several documents is merged.
+ * Documents before the first entry keep their own fallback titles. Entries
+ * whose text is nothing but their heading (part/book title pages) are dropped
+ * and passed down to their children as `parents`.
+ *
+ * Landmarks tag the chapter they fall in (`landmark: 'copyright-page'`); a
+ * landmark in a later document than its chapter's start (a contents page after
+ * the last chapter) splits that document off as a chapter of its own.
+ *
+ * @param {Array<{href: string, title?: string, html: string}>} spine - Spine documents in reading order
+ * @param {Array} toc - Entries from readEpubToc
+ * @param {Array} [landmarks] - Entries from readEpubLandmarks
+ * @returns {Array<{title: string, text: string, level: number, parents: Array<string>, landmark?: string}>}
+ */
+export function splitSpineByToc(spine, toc, landmarks = []) {
+  if (spine.length === 0) return [];
+  const spineIndex = new Map(spine.map((doc, i) => [normalizeArchivePath(doc.href), i]));
+
+  // Ancestor titles for each entry, from the TOC nesting
+  const ancestry = [];
+  const starts = [];
+  for (const entry of toc) {
+    ancestry.length = entry.level;
+    const parents = ancestry.filter(Boolean);
+    ancestry[entry.level] = entry.title;
+
+    const position = locateEntry(spine, spineIndex, entry);
+    if (position) starts.push({ title: entry.title, level: entry.level, parents, ...position });
+  }
+
+  starts.sort(comparePositions);
+
+  // Converters often place the anchor just after the chapter heading; when only
+  // a short heading precedes the first anchor of a document, start at the top
+  starts.forEach((s, i) => {
+    if (s.offset === 0 || starts[i - 1]?.index === s.index) return;
+    const before = htmlToText(spine[s.index].html.slice(0, s.offset));
+    if (!before.includes('\n') && before.length <= 80) s.offset = 0;
+  });
+
+  // Documents before the first TOC entry (cover, title page), or every
+  // document when the TOC could not be mapped
+  const first = starts[0] || { index: spine.length, offset: 0 };
+  for (let i = 0; i <= Math.min(first.index, spine.length - 1); i++) {
+    if (i < first.index || first.offset > 0) {
+      starts.push({ title: spine[i].title || '', level: 0, parents: [], index: i, offset: 0 });
+    }
+  }
+  starts.sort(comparePositions);
+
+  // Entries sharing a position (a part and its first chapter): keep the deepest
+  const unique = starts.filter((s, i) => {
+    const next = starts[i + 1];
+    return !(next && comparePositions(next, s) === 0);
+  });
+
+  for (const landmark of landmarks) {
+    const position = locateEntry(spine, spineIndex, landmark);
+    if (!position) continue;
+    const containing = unique.filter(s => comparePositions(s, position) <= 0).pop();
+    if (containing && position.index === containing.index) {
+      containing.landmark ??= landmark.type;
+    } else {
+      unique.push({ title: landmark.title || '', level: 0, parents: [], landmark: landmark.type, ...position });
+      unique.sort(comparePositions);
+    }
+  }
+
+  const sliceSpine = (from, to) => {
+    const parts = [];
+    for (let i = from.index; i <= to.index && i < spine.length; i++) {
+      const html = spine[i].html;
+      const start = i === from.index ? from.offset : 0;
+      const end = i === to.index ? to.offset : html.length;
+      if (end > start) parts.push(html.slice(start, end));
+    }
+    return parts.map(html => htmlToText(html)).filter(Boolean).join('\n\n');
+  };
+
+  const end = { index: spine.length - 1, offset: spine[spine.length - 1].html.length };
+  const chapters = unique.map((start, i) => ({
+    title: start.title,
+    text: sliceSpine(start, unique[i + 1] || end),
+    level: start.level,
+    parents: start.parents,
+    ...(start.landmark && { landmark: start.landmark }),
+  }));
+
+  return chapters.filter((ch) => {
+    const body = ch.text.replace(/^[>\s]*/, '');
+    return body.length > 0 && body.toLowerCase() !== ch.title.toLowerCase();
+  });
+}
@@ -1,67 +1,527 @@
 import pkg from 'epub2';
+import AdmZip from 'adm-zip';
 import fs from 'fs/promises';
 import path from 'path';
 import logger from '../utils/logger.js';
+import { htmlToText, decodeHtmlEntities } from '../utils/htmlToText.js';
+import { parseMobi, extractMobiCover } from './mobiParser.js';
+import { readEpubText, readEpubToc, readEpubLandmarks, splitSpineByToc } from './epubNavigation.js';
+import { parseOpfMetadata, mergeBookMetadata } from './opfMetadata.js';
+import { classifyChapters } from './matterClassifier.js';
+import { MOBI_EXTENSIONS } from '../config/constants.js';
 const { EPub } = pkg;
 
+// ---------------------------------------------------------------------------
+// Shared helpers for text-based formats
+// ---------------------------------------------------------------------------
+
+// Lines like "Chapter 12", "CHAPTER ONE", "Part II: The Road", "Prologue"
+const NUMBER_WORD = '(?:one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|thirteen|fourteen|fifteen|sixteen|seventeen|eighteen|nineteen|twenty|thirty|forty|fifty|sixty|seventy|eighty|ninety|hundred)(?:[\\s-]+(?:one|two|three|four|five|six|seven|eight|nine))?';
+const CHAPTER_HEADING_PATTERN = new RegExp(
+  `^(?:(?:chapter|part|book)\\s+(?:\\d+|[ivxlcdm]+|${NUMBER_WORD})\\b[^\\n]{0,60}|(?:prologue|epilogue|interlude|afterword|foreword)\\b[^.!?\\n]{0,60})$`,
+  'i',
+);
+
+/**
+ * Decode a text buffer, stripping a BOM and falling back to Windows-1252
+ * when the content is not valid UTF-8.
+ * @param {Buffer} buffer
+ * @param {string|null} [declaredEncoding=null] - Encoding named by the file itself
+ * @returns {string}
+ */
+function decodeTextBuffer(buffer, declaredEncoding = null) {
+  if (declaredEncoding && !/^utf-?8$/i.test(declaredEncoding)) {
+    try {
+      return new TextDecoder(declaredEncoding).decode(buffer);
+    } catch {
+      logger.warn(`Unknown text encoding "${declaredEncoding}", trying UTF-8`);
+    }
+  }
+  try {
+    return new TextDecoder('utf-8', { fatal: true, ignoreBOM: false }).decode(buffer);
+  } catch {
+    return new TextDecoder('windows-1252').decode(buffer);
+  }
+}
+
+/**
+ * Group a stream of text blocks into chapters. A block starts a new chapter
+ * when it is flagged as a heading or looks like a "Chapter N" line.
+ * Consecutive headings (e.g. "Part One" then "Chapter 1") are joined into a
+ * single title.
+ * @param {Array<{text: string, heading?: boolean}>} blocks
+ * @returns {Array<{title: string, text: string}>}
+ */
+function buildChaptersFromBlocks(blocks) {
+  const chapters = [];
+  let current = null;
+  let pendingTitle = '';
+
+  for (const block of blocks) {
+    const text = block.text.replace(/[ \t]+/g, ' ').trim();
+    if (!text) continue;
+
+    const isHeading = block.heading || (text.length <= 80 && !text.includes('\n') && CHAPTER_HEADING_PATTERN.test(text));
+    if (isHeading) {
+      pendingTitle = pendingTitle ? `${pendingTitle}: ${text}` : text;
+      continue;
+    }
+
+    if (pendingTitle || !current) {
+      current = { title: pendingTitle, paragraphs: [] };
+      chapters.push(current);
+      pendingTitle = '';
+    }
+    current.paragraphs.push(text);
+  }
+
+  const result = chapters.map((ch, i) => ({
+    title: ch.title || (chapters.length > 1 ? `Chapter ${i + 1}` : ''),
+    text: ch.paragraphs.join('\n\n'),
+  }));
+
+  return result.filter(ch => ch.text.length > 0);
+}
+
+/**
+ * Assemble the common parser result shape from chapter objects.
+ */
+function buildParseResult(format, chapters, metadata, hasCover = false) {
+  const fullText = chapters.map(ch => ch.text).join('\n\n');
+  logger.info(`${format} parsed: ${chapters.length} chapters, ${fullText.length} chars total`);
+  return {
+    text: fullText,
+    chapters,
+    metadata,
+    hasCover,
+  };
+}
+
+function titleFromFileName(filePath) {
+  // Uploads are stored as "<timestamp>-<original name>"
+  return path.basename(filePath, path.extname(filePath)).replace(/^\d{10,}-/, '');
+}
+
+// ---------------------------------------------------------------------------
+// Plain text and Markdown
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse a plain text file. Paragraphs are separated by blank lines; files
+ * with one paragraph per line (no blank lines) are split line by line.
+ * @param {string} filePath
+ * @returns {Promise<Object>} Extracted text content and metadata
+ */
+async function parseTxt(filePath) {
+  try {
+    const content = decodeTextBuffer(await fs.readFile(filePath)).replace(/\r\n?/g, '\n');
+    const separator = /\n[ \t]*\n/.test(content) ? /\n[ \t]*\n+/ : /\n/;
+    const blocks = content.split(separator).map(p => ({ text: p.replace(/\n/g, ' ') }));
+
+    return buildParseResult('TXT', buildChaptersFromBlocks(blocks), {
+      title: titleFromFileName(filePath),
+      creator: 'Unknown Author',
+    });
+  } catch (error) {
+    throw new Error(`TXT parsing error: ${error.message}`);
+  }
+}
+
+/**
+ * Strip inline Markdown syntax, keeping the readable text.
+ */
+function stripMarkdownInline(text) {
+  return text
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(\*|_)(.+?)\1/g, '$2')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/<[^>]+>/g, '');
+}
+
 /**
- * Parse MOBI file and extract text content
- * Note: MOBI parsing is basic - extracts text but may not preserve all formatting
- * @param {string} filePath - Path to the MOBI file
+ * Parse a Markdown file. ATX (`#`, `##`) and setext headings start chapters;
+ * a YAML front matter block supplies title/author when present.
+ * @param {string} filePath
  * @returns {Promise<Object>} Extracted text content and metadata
  */
-async function parseMobi(filePath) {
+async function parseMarkdown(filePath) {
   try {
-    // Read MOBI file as buffer
-    const buffer = await fs.readFile(filePath);
-    
-    // MOBI files contain HTML-like content after the header
-    // This is a simplified parser that extracts text
-    const content = buffer.toString('utf8', 0, buffer.length);
-    
-    // Try to extract text between common HTML tags
-    // Remove HTML tags but preserve text
-    let text = content
-      .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '') // Remove scripts
-      .replace(/<style\b[^<]*(?:(?!<\/style>)<[^<]*)*<\/style>/gi, '') // Remove styles
-      .replace(/<[^>]+>/g, ' ') // Remove all HTML tags
-      .replace(/&nbsp;/g, ' ')
-      .replace(/&[a-z]+;/gi, ' ') // Remove HTML entities
-      .replace(/\s+/g, ' ') // Normalize whitespace
-      .trim();
-    
-    // Basic metadata extraction from MOBI header (simplified)
-    const titleMatch = content.match(/<dc:title[^>]*>([^<]+)<\/dc:title>/i);
-    const authorMatch = content.match(/<dc:creator[^>]*>([^<]+)<\/dc:creator>/i);
-    
-    return {
-      text: text,
-      chapters: [{ title: '', text: text }], // MOBI: single chapter fallback
-      metadata: {
-        title: titleMatch ? titleMatch[1] : path.basename(filePath, '.mobi'),
-        creator: authorMatch ? authorMatch[1] : 'Unknown Author'
-      },
-      hasCover: false // MOBI cover extraction not supported in basic parser
+    let content = decodeTextBuffer(await fs.readFile(filePath)).replace(/\r\n?/g, '\n');
+
+    const metadata = { title: titleFromFileName(filePath), creator: 'Unknown Author' };
+    const frontMatter = content.match(/^---\n([\s\S]*?)\n---\n/);
+    if (frontMatter) {
+      content = content.slice(frontMatter[0].length);
+      const field = (name) => frontMatter[1].match(new RegExp(`^${name}:\\s*["']?(.+?)["']?\\s*$`, 'mi'))?.[1];
+      metadata.title = field('title') || metadata.title;
+      metadata.creator = field('author') || metadata.creator;
+    }
+
+    const blocks = [];
+    let paragraph = [];
+    const flush = () => {
+      if (paragraph.length) blocks.push({ text: stripMarkdownInline(paragraph.join(' ')) });
+      paragraph = [];
     };
+
+    const lines = content.split('\n');
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      const atx = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+      const setext = paragraph.length === 1 && /^(=+|-+)\s*$/.test(line);
+
+      if (atx) {
+        flush();
+        // Only top-level headings start chapters; deeper ones stay in the text
+        blocks.push({ text: stripMarkdownInline(atx[2]), heading: atx[1].length <= 2 });
+      } else if (setext) {
+        blocks.push({ text: stripMarkdownInline(paragraph[0]), heading: true });
+        paragraph = [];
+      } else if (!line.trim() || /^(\*\s*){3,}$|^(-\s*){3,}$/.test(line.trim())) {
+        flush();
+      } else {
+        paragraph.push(line.replace(/^\s*(?:[>*+-]|\d+\.)\s+/, '').trim());
+      }
+    }
+    flush();
+
+    return buildParseResult('Markdown', buildChaptersFromBlocks(blocks), metadata);
   } catch (error) {
-    throw new Error(`MOBI parsing error: ${error.message}`);
+    throw new Error(`Markdown parsing error: ${error.message}`);
   }
 }
 
+// ---------------------------------------------------------------------------
+// DOCX
+// ---------------------------------------------------------------------------
+
 /**
- * Parse EPUB file and extract text content
- * @param {string} filePath - Path to the EPUB file
+ * Parse a Word (.docx) document. Paragraphs styled "Heading 1"/"Heading 2"
+ * (resolved through styles.xml so localized style IDs work) start chapters.
+ * @param {string} filePath
+ * @returns {Promise<Object>} Extracted text content and metadata
+ */
+async function parseDocx(filePath) {
+  try {
+    const zip = new AdmZip(filePath);
+    const readEntry = (name) => zip.getEntry(name)?.getData().toString('utf8') || '';
+
+    const documentXml = readEntry('word/document.xml');
+    if (!documentXml) throw new Error('word/document.xml not found');
+
+    const headingStyles = new Set();
+    for (const style of readEntry('word/styles.xml').matchAll(/<w:style\b[^>]*w:styleId="([^"]+)"[^>]*>([\s\S]*?)<\/w:style>/g)) {
+      const name = style[2].match(/<w:name w:val="([^"]+)"/)?.[1] || '';
+      if (/^(heading [12]|title)$/i.test(name)) headingStyles.add(style[1]);
+    }
+
+    const blocks = [];
+    for (const para of documentXml.matchAll(/<w:p\b[^>]*>([\s\S]*?)<\/w:p>/g)) {
+      const body = para[1];
+      const styleId = body.match(/<w:pStyle w:val="([^"]+)"/)?.[1];
+      const outlineLevel = body.match(/<w:outlineLvl w:val="(\d+)"/)?.[1];
+      const text = decodeHtmlEntities(
+        body
+          .replace(/<w:tab\/>/g, ' ')
+          .replace(/<w:(?:br|cr)\b[^>]*\/>/g, ' ')
+          .replace(/<w:delText\b[\s\S]*?<\/w:delText>/g, '')
+          .replace(/<w:instrText\b[\s\S]*?<\/w:instrText>/g, '')
+          .replace(/<[^>]+>/g, ''),
+      );
+      const heading = (styleId && (headingStyles.has(styleId) || /^heading[12]$/i.test(styleId)))
+        || (outlineLevel !== undefined && Number(outlineLevel) <= 1);
+      blocks.push({ text, heading });
+    }
+
+    const core = readEntry('docProps/core.xml');
+    const coreField = (tag) => {
+      const value = core.match(new RegExp(`<${tag}[^>]*>([\\s\\S]*?)<\\/${tag}>`))?.[1];
+      return value ? decodeHtmlEntities(value).trim() : '';
+    };
+
+    return buildParseResult('DOCX', buildChaptersFromBlocks(blocks), {
+      title: coreField('dc:title') || titleFromFileName(filePath),
+      creator: coreField('dc:creator') || 'Unknown Author',
+      description: coreField('dc:description'),
+      language: coreField('dc:language'),
+      subject: coreField('cp:keywords').split(/[,;]/).map(s => s.trim()).filter(Boolean),
+    });
+  } catch (error) {
+    throw new Error(`DOCX parsing error: ${error.message}`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// FB2 (FictionBook)
+// ---------------------------------------------------------------------------
+
+async function readFb2(filePath) {
+  const buffer = await fs.readFile(filePath);
+  const declared = buffer.toString('latin1', 0, 200).match(/<\?xml[^>]*encoding=["']([^"']+)["']/i)?.[1];
+  return decodeTextBuffer(buffer, declared);
+}
+
+function fb2Text(fragment) {
+  return decodeHtmlEntities(fragment.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Parse a FictionBook (.fb2) file. Every `<section>` title starts a chapter;
+ * nested section titles are joined with their parent ("Part One: Chapter 1").
+ * Notes bodies (`<body name="notes">`) are skipped.
+ * @param {string} filePath
+ * @returns {Promise<Object>} Extracted text content and metadata
+ */
+async function parseFb2(filePath) {
+  try {
+    const xml = await readFb2(filePath);
+
+    const titleInfo = xml.match(/<title-info>([\s\S]*?)<\/title-info>/)?.[1] || '';
+    const authors = [...titleInfo.matchAll(/<author>([\s\S]*?)<\/author>/g)].map((m) => {
+      const part = (tag) => fb2Text(m[1].match(new RegExp(`<${tag}>([\\s\\S]*?)<\\/${tag}>`))?.[1] || '');
+      return [part('first-name'), part('middle-name'), part('last-name')].filter(Boolean).join(' ') || part('nickname');
+    }).filter(Boolean);
+    const infoField = (tag) => fb2Text(titleInfo.match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)<\\/${tag}>`))?.[1] || '');
+
+    const bodies = [...xml.matchAll(/<body\b([^>]*)>([\s\S]*?)<\/body>/g)]
+      .filter(m => !/name=["']notes["']/i.test(m[1]));
+
+    const blocks = [];
+    for (const body of bodies) {
+      // The body-level title repeats the book title; only section titles start chapters
+      const content = body[2].replace(/^\s*(?:<image\b[^>]*\/>\s*)?<title>[\s\S]*?<\/title>/, '');
+      // Walk titles and paragraph-level elements in document order
+      const tokens = content.matchAll(/<title>([\s\S]*?)<\/title>|<(p|v|subtitle|text-author)\b[^>]*>([\s\S]*?)<\/\2>/g);
+      for (const token of tokens) {
+        if (token[1] !== undefined) {
+          blocks.push({ text: fb2Text(token[1]), heading: true });
+        } else {
+          blocks.push({ text: fb2Text(token[3]) });
+        }
+      }
+    }
+
+    return buildParseResult('FB2', buildChaptersFromBlocks(blocks), {
+      title: infoField('book-title') || titleFromFileName(filePath),
+      creator: authors.length ? authors.join(', ') : 'Unknown Author',
+      description: infoField('annotation'),
+      language: infoField('lang'),
+      subject: [...titleInfo.matchAll(/<genre>([\s\S]*?)<\/genre>/g)].map(m => fb2Text(m[1])),
+    }, getFb2CoverId(titleInfo) !== null);
+  } catch (error) {
+    throw new Error(`FB2 parsing error: ${error.message}`);
+  }
+}
+
+function getFb2CoverId(titleInfo) {
+  const href = titleInfo.match(/<coverpage>[\s\S]*?<image\b[^>]*?(?:l|xlink):href=["']#([^"']+)["']/)?.[1];
+  return href || null;
+}
+
+/**
+ * Extract the cover image embedded as a base64 `<binary>` in an FB2 file.
+ * @param {string} filePath
+ * @returns {Promise<Buffer>} Cover image buffer
+ */
+async function extractFb2Cover(filePath) {
+  const xml = await readFb2(filePath);
+  const titleInfo = xml.match(/<title-info>([\s\S]*?)<\/title-info>/)?.[1] || '';
+  const coverId = getFb2CoverId(titleInfo);
+  if (!coverId) throw new Error('No cover found in FB2');
+
+  for (const binary of xml.matchAll(/<binary\b([^>]*)>([\s\S]*?)<\/binary>/g)) {
+    const id = binary[1].match(/\bid=["']([^"']+)["']/)?.[1];
+    if (id === coverId) return Buffer.from(binary[2].replace(/\s+/g, ''), 'base64');
+  }
+  throw new Error('No cover found in FB2');
+}
+
+// ---------------------------------------------------------------------------
+// PDF
+// ---------------------------------------------------------------------------
+
+/**
+ * Resolve top-level outline (bookmark) entries to page indices.
+ * @returns {Promise<Array<{title: string, pageIndex: number}>>}
+ */
+async function readPdfOutline(doc) {
+  const outline = await doc.getOutline().catch(() => null);
+  if (!outline?.length) return [];
+
+  const entries = [];
+  for (const item of outline) {
+    try {
+      const dest = typeof item.dest === 'string' ? await doc.getDestination(item.dest) : item.dest;
+      if (!Array.isArray(dest) || !dest[0]) continue;
+      const pageIndex = typeof dest[0] === 'number' ? dest[0] : await doc.getPageIndex(dest[0]);
+      entries.push({ title: item.title?.trim() || '', pageIndex });
+    } catch {
+      // Broken destinations are common in converted PDFs; skip them
+    }
+  }
+  return entries.sort((a, b) => a.pageIndex - b.pageIndex);
+}
+
+/**
+ * Rebuild paragraphs from a page's text items. Items are first grouped into
+ * lines by baseline; a new paragraph starts after a vertical gap of roughly
+ * two lines, after a short line ending a sentence, or around a heading line.
+ * Hyphenated line breaks are rejoined and bare page numbers dropped.
+ * @returns {Array<string>} Paragraphs on the page
+ */
+function pdfPageParagraphs(items) {
+  const lines = [];
+  for (const item of items) {
+    if (typeof item.str !== 'string') continue;
+    const y = item.transform?.[5] ?? 0;
+    const x = item.transform?.[4] ?? 0;
+    const last = lines[lines.length - 1];
+    if (last && Math.abs(last.y - y) < 1) {
+      last.text += item.str;
+      last.right = Math.max(last.right, x + (item.width || 0));
+    } else {
+      lines.push({ text: item.str, y, height: item.height || 12, right: x + (item.width || 0) });
+    }
+  }
+
+  const content = lines
+    .map(line => ({ ...line, text: line.text.replace(/\s+/g, ' ').trim() }))
+    .filter(line => line.text && !/^\d{1,4}$/.test(line.text));
+  const maxRight = Math.max(0, ...content.map(line => line.right));
+
+  const paragraphs = [];
+  let current = '';
+  const endParagraph = () => {
+    if (current.trim()) paragraphs.push(current.trim());
+    current = '';
+  };
+
+  content.forEach((line, i) => {
+    const prev = content[i - 1];
+    const isHeading = CHAPTER_HEADING_PATTERN.test(line.text);
+    if (prev) {
+      const gap = prev.y - line.y;
+      const prevEndsShort = /[.!?"”’)]$/.test(prev.text) && prev.right < maxRight * 0.8;
+      if (isHeading || CHAPTER_HEADING_PATTERN.test(prev.text) || gap > line.height * 1.9 || gap < 0 || prevEndsShort) {
+        endParagraph();
+      }
+    }
+
+    if (current.endsWith('-')) {
+      current = current.slice(0, -1) + line.text;
+    } else {
+      current += (current ? ' ' : '') + line.text;
+    }
+  });
+  endParagraph();
+  return paragraphs;
+}
+
+/**
+ * Parse a PDF with a text layer. Chapters come from the document outline
+ * (bookmarks) when it has at least two entries, otherwise from heading lines.
+ * Scanned PDFs without a text layer are rejected.
+ * @param {string} filePath
+ * @returns {Promise<Object>} Extracted text content and metadata
+ */
+async function parsePdf(filePath) {
+  let doc;
+  try {
+    // Loaded lazily: pdfjs is large and only needed for PDF uploads
+    const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+    const data = new Uint8Array(await fs.readFile(filePath));
+    doc = await pdfjs.getDocument({ data, isEvalSupported: false, disableFontFace: true, verbosity: 0 }).promise;
+
+    const pages = [];
+    for (let i = 1; i <= doc.numPages; i++) {
+      const page = await doc.getPage(i);
+      const content = await page.getTextContent();
+      pages.push(pdfPageParagraphs(content.items));
+      page.cleanup();
+    }
+
+    if (!pages.some(p => p.length > 0)) {
+      throw new Error('PDF has no text layer (scanned documents are not supported)');
+    }
+
+    let chapters;
+    const outline = (await readPdfOutline(doc)).filter(e => e.title);
+    if (outline.length >= 2) {
+      const starts = outline[0].pageIndex > 0 ? [{ title: '', pageIndex: 0 }, ...outline] : outline;
+      chapters = starts.map((entry, i) => {
+        const end = starts[i + 1]?.pageIndex ?? pages.length;
+        const paragraphs = pages.slice(entry.pageIndex, Math.max(end, entry.pageIndex + 1)).flat();
+        // Drop the heading line itself when it repeats the bookmark title
+        if (paragraphs[0]?.toLowerCase() === entry.title.toLowerCase()) paragraphs.shift();
+        return { title: entry.title, text: paragraphs.join('\n\n') };
+      }).filter(ch => ch.text.length > 0)
+        .map((ch, i) => ({ ...ch, title: ch.title || `Chapter ${i + 1}` }));
+    } else {
+      chapters = buildChaptersFromBlocks(pages.flat().map(text => ({ text })));
+    }
+
+    const { info } = await doc.getMetadata().catch(() => ({ info: {} }));
+    return buildParseResult('PDF', chapters, {
+      title: info?.Title?.trim() || titleFromFileName(filePath),
+      creator: info?.Author?.trim() || 'Unknown Author',
+      subject: info?.Keywords ? String(info.Keywords).split(/[,;]/).map(s => s.trim()).filter(Boolean) : [],
+    });
+  } catch (error) {
+    throw new Error(`PDF parsing error: ${error.message}`);
+  } finally {
+    if (doc) await doc.destroy();
+  }
+}
+
+// Non-EPUB formats, keyed by lowercase file extension
+const FORMAT_PARSERS = {
+  '.txt': parseTxt,
+  '.md': parseMarkdown,
+  '.markdown': parseMarkdown,
+  '.docx': parseDocx,
+  '.fb2': parseFb2,
+  '.pdf': parsePdf,
+};
+
+// ---------------------------------------------------------------------------
+// EPUB (and format dispatch)
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse EPUB file and extract text content.
+ * Other supported formats (MOBI/AZW3, PDF, TXT, Markdown, DOCX, FB2) are
+ * dispatched by extension and return the same shape. Every chapter is tagged
+ * with `matter` ('front' | 'body' | 'back').
+ * @param {string} filePath - Path to the book file
  * @returns {Promise<Object>} Extracted text content and metadata
  */
 export async function parseEpub(filePath) {
   // Check file extension
   const ext = path.extname(filePath).toLowerCase();
-  
-  if (ext === '.mobi') {
-    return parseMobi(filePath);
+
+  let result;
+  if (MOBI_EXTENSIONS.includes(ext)) {
+    result = await parseMobi(filePath);
+  } else if (FORMAT_PARSERS[ext]) {
+    result = await FORMAT_PARSERS[ext](filePath);
+  } else {
+    result = await parseEpubArchive(filePath);
   }
-  
-  // Parse EPUB
+
+  const chapters = classifyChapters(result.chapters, result.metadata);
+  const excluded = chapters.filter(ch => ch.matter !== 'body');
+  if (excluded.length) {
+    logger.info(`Front/back matter: ${excluded.map(ch => `${ch.title || 'untitled'} (${ch.matter})`).join(', ')}`);
+  }
+  return { ...result, chapters };
+}
+
+/**
+ * Parse an EPUB archive into chapters using its table of contents.
+ */
+function parseEpubArchive(filePath) {
   return new Promise((resolve, reject) => {
     const epub = new EPub(filePath);
 
@@ -71,35 +531,44 @@ export async function parseEpub(filePath) {
 
     epub.on('end', async () => {
       try {
-        const chapterIds = epub.flow.map(chapter => chapter.id);
-        const textPromises = chapterIds.map(chapterId =>
+        const rawTexts = await Promise.all(epub.flow.map(item =>
           new Promise((res, rej) => {
-            epub.getChapter(chapterId, (err, text) => {
+            epub.getChapterRaw(item.id, (err, html) => {
               if (err) rej(err);
-              else res(text);
+              else res(html);
             });
           })
-        );
+        ));
 
-        const rawTexts = await Promise.all(textPromises);
+        const spine = epub.flow.map((item, i) => ({
+          href: item.href,
+          title: item.title || `Chapter ${i + 1}`,
+          html: rawTexts[i],
+        }));
 
-        // Build individual chapter objects with cleaned text
-        const chapterObjects = rawTexts.map((html, i) => {
-          const cleanText = html.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
-          // Try to get a title from epub.flow metadata
-          const flowItem = epub.flow[i];
-          const title = flowItem?.title || `Chapter ${i + 1}`;
-          return { title, text: cleanText };
-        }).filter(ch => ch.text.length > 0); // Drop empty chapters
+        // Chapter boundaries and titles from the navigation document / NCX,
+        // falling back to one chapter per spine document
+        const toc = await readEpubToc(epub);
+        const landmarks = await readEpubLandmarks(epub);
+        const chapterObjects = splitSpineByToc(spine, toc, landmarks);
 
         const fullText = chapterObjects.map(ch => ch.text).join('\n\n');
 
+        // Series, tags and identifiers come from the package document itself
+        let metadata = epub.metadata;
+        try {
+          metadata = mergeBookMetadata(epub.metadata, parseOpfMetadata(await readEpubText(epub, epub.rootFile)));
+        } catch (error) {
+          logger.warn(`Could not read EPUB package metadata: ${error.message}`);
+        }
+
         logger.info(`EPUB parsed: ${chapterObjects.length} chapters, ${fullText.length} chars total`);
 
         resolve({
           text: fullText,
           chapters: chapterObjects,
-          metadata: epub.metadata,
+          toc: toc.map(({ title, level }) => ({ title, level })),
+          metadata,
           hasCover: !!epub.metadata.cover
         });
       } catch (err) {
@@ -117,6 +586,15 @@ export async function parseEpub(filePath) {
  * @returns {Promise<Buffer>} Cover image buffer
  */
 export async function extractEpubCover(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (MOBI_EXTENSIONS.includes(ext)) {
+    return extractMobiCover(filePath);
+  }
+  if (ext === '.fb2') {
+    return extractFb2Cover(filePath);
+  }
+
   return new Promise((resolve, reject) => {
     const epub = new EPub(filePath);
 
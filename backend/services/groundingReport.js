@@ -0,0 +1,253 @@
+import { splitPassages, createPassageIndex, nameTerms } from './retrieval.js';
+
+// ---------------------------------------------------------------------------
+// Grounding report
+//
+// Checks what the generated profiles and lorebook say against the book. Each
+// sentence of a character's background and physical description, and of each
+// world entry, is a claim looked up in a BM25 index over the chapters: it is
+// supported when most of its words occur together in one place, contradicted
+// when the book gives the same thing another colour ("grey eyes" for "green
+// eyes") or age or height, and unsupported otherwise. The check is lexical
+// and makes no requests, so a claim the book only paraphrases reads as
+// unsupported.
+// ---------------------------------------------------------------------------
+
+// Share of a claim's words, weighted by rarity, that must occur around one place in the book
+const SUPPORTED_COVERAGE = 0.6;
+// Claims with fewer checkable words ("She is kind.") are left out
+const MIN_CLAIM_TERMS = 2;
+// Best-matching passages searched for each claim
+const SEARCH_PASSAGES = 5;
+const MAX_CITATION_CHARS = 300;
+
+const CHARACTER_FIELDS = ['background', 'physicalDescription'];
+
+const STOPWORDS = new Set([
+  'the', 'and', 'but', 'for', 'nor', 'yet', 'with', 'from', 'into', 'onto', 'upon', 'over', 'under', 'about',
+  'after', 'before', 'between', 'through', 'during', 'while', 'when', 'where', 'which', 'who', 'whom', 'whose',
+  'that', 'this', 'these', 'those', 'there', 'here', 'than', 'then', 'also', 'very', 'just', 'only', 'even',
+  'has', 'have', 'had', 'having', 'was', 'were', 'are', 'is', 'been', 'being', 'does', 'did', 'doing', 'can',
+  'could', 'would', 'should', 'will', 'shall', 'may', 'might', 'must', 'not', 'his', 'her', 'hers', 'him',
+  'she', 'they', 'them', 'their', 'theirs', 'its', 'it', 'our', 'ours', 'your', 'yours', 'one', 'own', 'often',
+  'always', 'never', 'both', 'each', 'other', 'some', 'such', 'more', 'most', 'much', 'many', 'any', 'all',
+  'char', 'user', 'who', 'what', 'how', 'why', 'because', 'though', 'although', 'still', 'well', 'out', 'off',
+]);
+
+const COLOURS = new Set([
+  'black', 'white', 'red', 'blue', 'green', 'grey', 'brown', 'blond', 'golden', 'silver', 'auburn', 'hazel',
+  'amber', 'violet', 'purple', 'pink', 'orange', 'yellow', 'ginger',
+]);
+const COLOUR_SPELLINGS = { gray: 'grey', blonde: 'blond', gold: 'golden' };
+const NUMBER_WORDS = Object.fromEntries([
+  'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'eleven', 'twelve', 'thirteen',
+  'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen',
+].map((word, i) => [word, i + 1]));
+const TENS_WORDS = { twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 };
+// Numbers only contradict as a measure of someone ("forty years old", "six feet tall");
+// "three years at sea" and "ten years later" are not the same fact
+const MEASURES = [
+  { units: ['year', 'years', 'month', 'months'], after: ['old'], noun: 'age' },
+  { units: ['foot', 'feet', 'inch', 'inches'], after: ['tall', 'high'], noun: 'height' },
+];
+// "green-eyed" describes eyes
+const DESCRIBED_NOUNS = { eyed: 'eye', haired: 'hair', skinned: 'skin', bearded: 'beard' };
+
+const wordCount = { count: text => text.split(/\s+/).length };
+
+function words(text) {
+  return (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function stem(word) {
+  const stripped = word.replace(/(?:ies|es|s|ing|ed|ly)$/, '');
+  return stripped.length >= 3 ? stripped : word;
+}
+
+function contentStems(text) {
+  return words(text).filter(word => word.length > 2 && !STOPWORDS.has(word)).map(stem);
+}
+
+function splitSentences(text) {
+  return (text || '')
+    .replace(/\{\{char\}\}/g, '')
+    .split(/(?<=[.!?…]["”’)]?)\s+|\n+/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+function colourOf(word) {
+  const colour = COLOUR_SPELLINGS[word] || word;
+  return COLOURS.has(colour) ? colour : null;
+}
+
+function numberOf(word) {
+  if (/^\d+$/.test(word)) return Number(word);
+  return NUMBER_WORDS[word] ?? TENS_WORDS[word] ?? null;
+}
+
+/**
+ * Attribute pairs in a sentence a contradiction can be read from: a colour
+ * and the noun after it ("grey eyes", "red-haired"), and a number measuring
+ * someone's age or height ("forty-two years old", "six feet tall").
+ * @returns {Array<{kind: string, value: string, noun: string}>}
+ */
+function attributePairs(text) {
+  const tokens = words(text.replace(/-/g, ' '));
+  const pairs = [];
+  tokens.forEach((token, i) => {
+    const next = tokens[i + 1];
+    const colour = colourOf(token);
+    if (colour) {
+      if (next && !colourOf(next)) pairs.push({ kind: 'colour', value: colour, noun: stem(DESCRIBED_NOUNS[next] || next) });
+      return;
+    }
+
+    let value = numberOf(token);
+    if (value === null || (next && numberOf(next) !== null)) return;
+    // "forty two"
+    if (TENS_WORDS[tokens[i - 1]] && value < 10) value += TENS_WORDS[tokens[i - 1]];
+    const measure = MEASURES.find(({ units, after }) => units.includes(next) && after.includes(tokens[i + 2]));
+    if (measure) pairs.push({ kind: 'number', value: String(value), noun: measure.noun });
+  });
+  return pairs;
+}
+
+function truncate(text) {
+  return text.length > MAX_CITATION_CHARS ? `${text.slice(0, MAX_CITATION_CHARS - 1).trimEnd()}…` : text;
+}
+
+/**
+ * Sentence windows (a sentence and its neighbours) of a passage, with their stems.
+ */
+function passageWindows(passage) {
+  const sentences = splitSentences(passage.text);
+  return sentences.map((_, i) => {
+    const text = sentences.slice(Math.max(0, i - 1), i + 2).join(' ');
+    return { chapter: passage.chapter, sentence: sentences[i], text, stems: new Set(words(text).map(stem)) };
+  });
+}
+
+function createChecker(chapters, text) {
+  const passages = splitPassages(chapters, text, wordCount);
+  const index = createPassageIndex(passages);
+  // Rare words ("lighthouse") say more about where a claim comes from than common ones ("house")
+  const passageFrequency = new Map();
+  for (const passage of passages) {
+    for (const term of new Set(words(passage.text).map(stem))) passageFrequency.set(term, (passageFrequency.get(term) || 0) + 1);
+  }
+  const weight = term => Math.log(1 + passages.length / ((passageFrequency.get(term) || 0) + 1));
+  const windowsByPassage = new Map();
+  const windowsOf = (passage) => {
+    if (!windowsByPassage.has(passage.index)) windowsByPassage.set(passage.index, passageWindows(passage));
+    return windowsByPassage.get(passage.index);
+  };
+
+  /**
+   * Label one claim about `subjectTerms` (the words of the subject's name).
+   * @returns {{status: string, score: number, citation: {chapter: string, text: string}|null}}
+   */
+  return (claim, subjectTerms) => {
+    const subject = new Set(subjectTerms.map(stem));
+    const terms = [...new Set(contentStems(claim))].filter(term => !subject.has(term));
+    if (terms.length < MIN_CLAIM_TERMS) return null;
+    const totalWeight = terms.reduce((sum, term) => sum + weight(term), 0);
+
+    const candidates = index.search([...words(claim).filter(word => !STOPWORDS.has(word)), ...subjectTerms])
+      .slice(0, SEARCH_PASSAGES)
+      .map(result => result.passage);
+    // Only where the subject is named, when the book names it at all ("World Setting" it does not)
+    const naming = candidates.filter(passage => windowsOf(passage).some(window => [...subject].some(term => window.stems.has(term))));
+    const windows = (naming.length ? naming : candidates).flatMap(windowsOf);
+
+    // Contradicted: where the subject is mentioned, the book gives the same noun
+    // another colour or number, and never the claimed one
+    const aboutSubject = windows.filter(window => [...subject].some(term => window.stems.has(term)));
+    for (const pair of attributePairs(claim)) {
+      const stated = aboutSubject.flatMap(window => attributePairs(window.sentence)
+        .filter(found => found.kind === pair.kind && found.noun === pair.noun)
+        .map(found => ({ ...found, window })));
+      const conflicting = stated.find(found => found.value !== pair.value);
+      if (conflicting && !stated.some(found => found.value === pair.value)) {
+        return {
+          status: 'contradicted',
+          score: 0,
+          citation: { chapter: conflicting.window.chapter, text: truncate(conflicting.window.sentence) },
+        };
+      }
+    }
+
+    let best = null;
+    for (const window of windows) {
+      const score = terms.filter(term => window.stems.has(term)).reduce((sum, term) => sum + weight(term), 0) / totalWeight;
+      if (!best || score > best.score) best = { score, window };
+    }
+    if (best && best.score >= SUPPORTED_COVERAGE) {
+      return {
+        status: 'supported',
+        score: Math.round(best.score * 100) / 100,
+        citation: { chapter: best.window.chapter, text: truncate(best.window.text) },
+      };
+    }
+    return { status: 'unsupported', score: best ? Math.round(best.score * 100) / 100 : 0, citation: null };
+  };
+}
+
+function checkClaims(check, sections, subjectTerms) {
+  return sections.flatMap(({ field, text }) => splitSentences(text).map((claim) => {
+    const result = check(claim, subjectTerms);
+    return result && { field, text: claim, ...result };
+  }).filter(Boolean));
+}
+
+function countStatuses(claims) {
+  const counts = { claims: claims.length, supported: 0, unsupported: 0, contradicted: 0 };
+  for (const claim of claims) counts[claim.status]++;
+  return counts;
+}
+
+/**
+ * Check each character's background and physical description, and each
+ * world entry of the lorebook, against the book.
+ * @param {Array<Object>} characters - Character profiles (see analyzeBook)
+ * @param {Object} lorebook - generateLorebook() result; character entries repeat the
+ *   profiles and are left to the character section
+ * @param {Object} source
+ * @param {Array<{title: string, text: string}>|null} [source.chapters=null]
+ * @param {string} [source.text=''] - Used when there are no chapters
+ * @returns {{summary: Object, characters: Array<Object>, lorebook: Array<Object>}} Per character
+ *   (`name`) and lorebook entry (`uid`, `name`, `category`), its `claims`:
+ *   `{ field, text, status: 'supported'|'unsupported'|'contradicted', score, citation: { chapter, text }|null }`;
+ *   `summary` counts the claims of each status
+ */
+export function buildGroundingReport(characters, lorebook, { chapters = null, text = '' } = {}) {
+  const check = createChecker(chapters, text);
+
+  const characterReports = characters.filter(character => character?.name).map(character => ({
+    name: character.name,
+    claims: checkClaims(
+      check,
+      CHARACTER_FIELDS.map(field => ({ field, text: character[field] })),
+      nameTerms(character.name, character.aliases || []),
+    ),
+  }));
+
+  const entryReports = (lorebook?.entries || [])
+    .filter(entry => entry.comment !== 'Character')
+    .map((entry) => {
+      // The content minus its "[Location: name]" and "Also called:" lines
+      const description = entry.content.split('\n').filter(line => !/^\[.*\]$|^Also called:/.test(line)).join('\n');
+      return {
+        uid: entry.uid,
+        name: entry.name,
+        category: entry.comment,
+        claims: checkClaims(check, [{ field: 'content', text: description }], nameTerms(entry.name)),
+      };
+    });
+
+  return {
+    summary: countStatuses([...characterReports, ...entryReports].flatMap(report => report.claims)),
+    characters: characterReports,
+    lorebook: entryReports,
+  };
+}
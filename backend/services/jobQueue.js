@@ -0,0 +1,272 @@
+import fs from 'fs/promises';
+import path from 'path';
+import logger from '../utils/logger.js';
+import { isCancelledError } from '../utils/cancellation.js';
+import { MAX_CONCURRENT_JOBS } from '../config/constants.js';
+
+// ---------------------------------------------------------------------------
+// Persistent background jobs
+//
+// <jobsDir>/<jobId>/job.json     status, options and input file locations
+//                  /input/       the uploaded book, cover and sidecar
+//                  /artifacts/   one JSON file per completed step
+//                  /result.json  final response payload
+//
+// API keys (and the keys of fallback providers) are kept in memory only: a job
+// interrupted by a restart is resumed by sending them again. A cancelled job
+// keeps only job.json.
+// ---------------------------------------------------------------------------
+
+const JOB_ID_PATTERN = /^job_[a-z0-9_]+$/i;
+const RESUMABLE_STATUSES = ['failed', 'interrupted'];
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+async function writeJson(filePath, value) {
+  const tmp = `${filePath}.${process.pid}.${Math.random().toString(36).substring(2, 8)}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(value));
+  await fs.rename(tmp, filePath);
+}
+
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') logger.warn(`Could not read ${filePath}: ${error.message}`);
+    return undefined;
+  }
+}
+
+/**
+ * Key/value store of JSON files in `dir`, used as the `checkpoint` for
+ * processBookFile and analyzeBook.
+ * @param {string} dir
+ * @returns {{ load: (key: string) => Promise<any>, save: (key: string, value: any) => Promise<void>, keys: () => Promise<Array<string>> }}
+ */
+export function createArtifactStore(dir) {
+  const fileFor = key => path.join(dir, `${key.replace(/[^a-z0-9_-]/gi, '_')}.json`);
+  return {
+    load: key => readJson(fileFor(key)),
+    async save(key, value) {
+      await fs.mkdir(dir, { recursive: true });
+      await writeJson(fileFor(key), value);
+    },
+    async keys() {
+      try {
+        return (await fs.readdir(dir)).filter(name => name.endsWith('.json')).map(name => name.slice(0, -5));
+      } catch {
+        return [];
+      }
+    },
+  };
+}
+
+/**
+ * Create a queue that runs jobs one after another (up to `concurrency`) and
+ * keeps their state on disk.
+ *
+ * @param {Object} options
+ * @param {string} options.jobsDir
+ * @param {Function} options.runJob - `(job, { apiKey, providerKeys, checkpoint, signal }) => Promise<Object>`
+ *   returning the result payload
+ * @param {number} [options.concurrency=MAX_CONCURRENT_JOBS]
+ */
+export function createJobQueue({ jobsDir, runJob, concurrency = MAX_CONCURRENT_JOBS }) {
+  const credentials = new Map();
+  const controllers = new Map();
+  const pending = [];
+  let running = 0;
+
+  const jobDir = id => path.join(jobsDir, id);
+  const artifactStore = id => createArtifactStore(path.join(jobDir(id), 'artifacts'));
+
+  async function readJob(id) {
+    if (!JOB_ID_PATTERN.test(id)) return null;
+    return (await readJson(path.join(jobDir(id), 'job.json'))) || null;
+  }
+
+  async function updateJob(job, fields) {
+    Object.assign(job, fields, { updatedAt: Date.now() });
+    await writeJson(path.join(jobDir(job.id), 'job.json'), job);
+    return job;
+  }
+
+  async function discardFiles(id) {
+    await fs.rm(path.join(jobDir(id), 'input'), { recursive: true, force: true });
+    await fs.rm(path.join(jobDir(id), 'artifacts'), { recursive: true, force: true });
+  }
+
+  async function execute(id) {
+    const job = await readJob(id);
+    if (!job || job.status !== 'queued') return;
+
+    const { apiKey, providerKeys } = credentials.get(id) || {};
+    if (!apiKey) {
+      await updateJob(job, { status: 'interrupted', error: 'API key is no longer available. Resume the job with your API key.' });
+      return;
+    }
+
+    const controller = new AbortController();
+    controllers.set(id, controller);
+    await updateJob(job, { status: 'running', attempts: (job.attempts || 0) + 1, error: null });
+    logger.info(`Job ${id} started (attempt ${job.attempts})`);
+    try {
+      const result = await runJob(job, { apiKey, providerKeys, checkpoint: artifactStore(id), signal: controller.signal });
+      await writeJson(path.join(jobDir(id), 'result.json'), result);
+      await updateJob(job, { status: 'completed', completedAt: Date.now() });
+      await fs.rm(path.join(jobDir(id), 'input'), { recursive: true, force: true });
+      logger.info(`Job ${id} completed`);
+    } catch (error) {
+      if (isCancelledError(error)) {
+        await updateJob(job, { status: 'cancelled', error: null });
+        await discardFiles(id);
+        logger.info(`Job ${id} cancelled`);
+        return;
+      }
+      logger.error(`Job ${id} failed:`, error.message);
+      await updateJob(job, { status: 'failed', error: error.message || 'An error occurred during processing' });
+    } finally {
+      credentials.delete(id);
+      controllers.delete(id);
+    }
+  }
+
+  function pump() {
+    while (running < concurrency && pending.length) {
+      const id = pending.shift();
+      running++;
+      execute(id)
+        .catch(error => logger.error(`Job ${id} could not be run:`, error.message))
+        .finally(() => {
+          running--;
+          pump();
+        });
+    }
+  }
+
+  function enqueue(job, apiKey, providerKeys) {
+    credentials.set(job.id, { apiKey, providerKeys });
+    pending.push(job.id);
+    pump();
+  }
+
+  return {
+    /**
+     * Store a new job's uploads and queue it.
+     * @param {Object} input
+     * @param {Object} input.files - `{ file, coverImage?, metadataFile? }` multer file objects
+     * @param {Object} input.options - Processing options (the API key is passed separately)
+     * @param {string} input.apiKey
+     * @param {Object|string|null} [input.providerKeys=null] - Keys of fallback providers (see parseFallbackModels)
+     * @returns {Promise<Object>} The stored job
+     */
+    async submit({ files, options, apiKey, providerKeys = null }) {
+      const id = `job_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+      const inputDir = path.join(jobDir(id), 'input');
+      await fs.mkdir(inputDir, { recursive: true });
+
+      const input = {};
+      for (const [field, file] of Object.entries(files)) {
+        if (!file) continue;
+        const target = path.join(inputDir, `${field}${path.extname(file.originalname)}`);
+        await fs.rename(file.path, target);
+        input[field] = { originalname: file.originalname, path: target };
+      }
+
+      const now = Date.now();
+      const job = {
+        id,
+        status: 'queued',
+        fileName: files.file.originalname,
+        createdAt: now,
+        updatedAt: now,
+        attempts: 0,
+        error: null,
+        input,
+        options,
+      };
+      await updateJob(job, {});
+      enqueue(job, apiKey, providerKeys);
+      return job;
+    },
+
+    /**
+     * Queue a failed or interrupted job again; completed steps are reused.
+     * @returns {Promise<Object|null>} The job, or null if it cannot be resumed
+     */
+    async resume(id, apiKey, providerKeys = null) {
+      const job = await readJob(id);
+      if (!job || !RESUMABLE_STATUSES.includes(job.status)) return null;
+      await updateJob(job, { status: 'queued', error: null });
+      enqueue(job, apiKey, providerKeys);
+      return job;
+    },
+
+    /**
+     * Cancel a queued or running job. A running job's pending AI requests
+     * are aborted; its uploads and saved steps are deleted either way.
+     * @returns {Promise<Object|null>} The job, or null if it is not active
+     */
+    async cancel(id) {
+      const job = await readJob(id);
+      if (!job || !ACTIVE_STATUSES.includes(job.status)) return null;
+
+      const controller = controllers.get(id);
+      if (controller) {
+        controller.abort();
+        return job;
+      }
+
+      // Not started yet (or left over from a previous process)
+      const index = pending.indexOf(id);
+      if (index !== -1) pending.splice(index, 1);
+      credentials.delete(id);
+      await updateJob(job, { status: 'cancelled', error: null });
+      await discardFiles(id);
+      logger.info(`Job ${id} cancelled before it started`);
+      return job;
+    },
+
+    get: readJob,
+
+    async getResult(id) {
+      return (await readJson(path.join(jobDir(id), 'result.json'))) || null;
+    },
+
+    /** Names of the steps saved so far (e.g. "book", "notes-3-of-12", "extraction"). */
+    savedSteps: id => artifactStore(id).keys(),
+
+    async list() {
+      let ids = [];
+      try {
+        ids = await fs.readdir(jobsDir);
+      } catch {
+        return [];
+      }
+      const jobs = await Promise.all(ids.map(readJob));
+      return jobs.filter(Boolean).sort((a, b) => b.createdAt - a.createdAt);
+    },
+
+    /**
+     * Delete a job and its files. Active jobs are left alone.
+     * @returns {Promise<boolean>} Whether the job was removed
+     */
+    async remove(id) {
+      const job = await readJob(id);
+      if (!job || ACTIVE_STATUSES.includes(job.status)) return false;
+      await fs.rm(jobDir(id), { recursive: true, force: true });
+      return true;
+    },
+
+    /**
+     * Mark jobs left queued or running by a previous process as interrupted.
+     */
+    async recover() {
+      for (const job of await this.list()) {
+        if (ACTIVE_STATUSES.includes(job.status) && !credentials.has(job.id)) {
+          await updateJob(job, { status: 'interrupted', error: 'Processing was interrupted. Resume the job to continue from the last completed step.' });
+          logger.info(`Job ${job.id} marked as interrupted`);
+        }
+      }
+    },
+  };
+}
@@ -0,0 +1,174 @@
+// Tag parsed chapters as front matter, body or back matter so copyright pages,
+// dedications, "Also by" lists, next-book excerpts and newsletter sign-ups can
+// be kept away from the model.
+
+// EPUB 3 landmark / EPUB 2 guide types. `null` means "front or back, by position".
+const LANDMARK_MATTER = {
+  bodymatter: 'body',
+  text: 'body',
+  start: 'body',
+  cover: 'front',
+  'title-page': 'front',
+  titlepage: 'front',
+  halftitlepage: 'front',
+  frontmatter: 'front',
+  'copyright-page': 'front',
+  dedication: 'front',
+  epigraph: 'front',
+  foreword: 'front',
+  loi: 'front',
+  lot: 'front',
+  backmatter: 'back',
+  acknowledgements: 'back',
+  acknowledgments: 'back',
+  afterword: 'back',
+  colophon: 'back',
+  bibliography: 'back',
+  index: 'back',
+  notes: 'back',
+  endnotes: 'back',
+  rearnotes: 'back',
+  toc: null,
+};
+
+// Titles (or opening lines) of non-story sections
+const NON_BODY_TITLE_PATTERN = /^(?:copyright|title page|half[- ]title|dedication|epigraph|(?:table of )?contents|praise for\b|acknowledge?ments?|author'?s note|a note from the author|afterword|about (?:the (?:author|publisher)|me)\b|(?:also|other books|more books|books) by\b|also available\b|newsletter|free (?:book|download|story)\b|thank you for reading|a (?:sneak )?peek\b|sneak peek|excerpt\b|preview\b|bonus (?:content|chapter|scene)|coming soon|get your free\b|join (?:my|the) (?:mailing list|newsletter|reader)|please (?:leave|consider) a review|reviews? (?:help|matter))/i;
+
+// Sections after which everything else is back matter (e.g. the first chapter of the next book)
+const TRAILING_TITLE_PATTERN = /^(?:about (?:the author|me)\b|(?:also|other books|more books|books) by\b|thank you for reading|a (?:sneak )?peek\b|sneak peek|excerpt\b|preview\b|coming soon)/i;
+
+const COPYRIGHT_PATTERN = /all rights reserved|\bISBN(?:-1[03])?:?\s*[\d-]{10,}|(?:copyright|©)\s*(?:©\s*)?(?:19|20)\d{2}/i;
+const NEWSLETTER_PATTERN = /\b(?:sign(?:ing)? up|subscribe|join)\b.{0,60}\b(?:newsletter|mailing list|reader (?:group|list|club))\b/i;
+const REVIEW_PATTERN = /\b(?:leave|write|post) (?:a|an honest) review\b/i;
+const CONTENTS_LINE_PATTERN = /^(?:chapter|part|book|prologue|epilogue|interlude)\b|^\d+\.?\s|^[ivxlcdm]+\.\s/i;
+
+// Only short sections are judged by their content
+const MAX_MATTER_CHARS = 4000;
+const MAX_TITLE_PAGE_CHARS = 300;
+// A line of at least four words ending a sentence; title pages have none
+const PROSE_LINE_PATTERN = /^(?:\S+\s+){3,}\S*[.!?…]["”’)]?$/;
+// Trailing sections only count once this much of the book has gone by
+const TRAILING_MIN_POSITION = 0.5;
+
+function openingLine(text) {
+  const line = text.replace(/^[>\s]+/, '').split('\n')[0];
+  return line.length <= 80 ? line : '';
+}
+
+/**
+ * Whether a short leading section looks like a title page rather than a short
+ * opening scene: no sentences of prose, or the author's name on it.
+ */
+function looksLikeTitlePage(text, book) {
+  const lines = text.split(/\n+/).map(line => line.trim()).filter(Boolean);
+  if (!lines.some(line => PROSE_LINE_PATTERN.test(line))) return true;
+  const author = book?.creator && book.creator !== 'Unknown Author' ? book.creator.toLowerCase() : '';
+  return Boolean(author) && text.toLowerCase().includes(author);
+}
+
+/**
+ * Reason a chapter looks like front/back matter from its landmark, title or
+ * content, or null when it looks like story text.
+ */
+function detectMatter(chapter, isLeading, book) {
+  const landmark = chapter.landmark && LANDMARK_MATTER[chapter.landmark];
+  if (landmark === 'body') return null;
+  if (chapter.landmark && landmark !== undefined) return `landmark: ${chapter.landmark}`;
+
+  const title = (chapter.title || '').trim();
+  if (NON_BODY_TITLE_PATTERN.test(title)) return `title: ${title}`;
+  const firstLine = openingLine(chapter.text);
+  if (NON_BODY_TITLE_PATTERN.test(firstLine)) return `heading: ${firstLine}`;
+
+  if (chapter.text.length > MAX_MATTER_CHARS) return null;
+  if (COPYRIGHT_PATTERN.test(chapter.text)) return 'copyright notice';
+  if (NEWSLETTER_PATTERN.test(chapter.text)) return 'newsletter sign-up';
+  if (REVIEW_PATTERN.test(chapter.text)) return 'review request';
+
+  const lines = chapter.text.split(/\n+/).filter(Boolean);
+  if (lines.length >= 5 && lines.filter(line => line.length <= 60 && CONTENTS_LINE_PATTERN.test(line)).length / lines.length >= 0.6) {
+    return 'table of contents';
+  }
+  if (isLeading && chapter.text.length <= MAX_TITLE_PAGE_CHARS && looksLikeTitlePage(chapter.text, book)) return 'title page';
+  return null;
+}
+
+/**
+ * Tag each chapter with `matter: 'front' | 'body' | 'back'` (plus a
+ * `matterReason` for non-body chapters).
+ *
+ * Flagged chapters before the first story chapter are front matter and those
+ * after the last are back matter; a flagged chapter between story chapters is
+ * kept as body unless its landmark says otherwise. Once an "About the author",
+ * "Also by" or excerpt section appears in the second half of the book,
+ * everything after it is back matter too.
+ *
+ * @param {Array<{title: string, text: string, landmark?: string}>} chapters
+ * @param {Object|null} [book=null] - Parsed book metadata; the author's name marks a title page
+ * @returns {Array<Object>} New chapter objects with `matter` set
+ */
+export function classifyChapters(chapters, book = null) {
+  if (!chapters?.length) return chapters || [];
+
+  const totalChars = chapters.reduce((sum, ch) => sum + ch.text.length, 0) || 1;
+  const reasons = [];
+  let seenBody = false;
+  let trailingFrom = -1;
+  let charsBefore = 0;
+
+  chapters.forEach((chapter, i) => {
+    const reason = detectMatter(chapter, !seenBody, book);
+    reasons.push(reason);
+    if (!reason) seenBody = true;
+
+    const heading = [chapter.title || '', openingLine(chapter.text)];
+    if (trailingFrom === -1 && seenBody && charsBefore / totalChars >= TRAILING_MIN_POSITION
+      && heading.some(text => TRAILING_TITLE_PATTERN.test(text.trim()))) {
+      trailingFrom = i;
+    }
+    charsBefore += chapter.text.length;
+  });
+
+  if (trailingFrom !== -1) {
+    for (let i = trailingFrom + 1; i < chapters.length; i++) {
+      reasons[i] ||= `after "${chapters[trailingFrom].title || 'back matter'}"`;
+    }
+  }
+
+  const firstBody = reasons.findIndex(reason => !reason);
+  const lastBody = reasons.findLastIndex(reason => !reason);
+
+  // Nothing looks like story text: keep everything rather than drop the book
+  if (firstBody === -1) {
+    return chapters.map(ch => ({ ...ch, matter: 'body' }));
+  }
+
+  return chapters.map((chapter, i) => {
+    const reason = reasons[i];
+    const landmark = chapter.landmark && LANDMARK_MATTER[chapter.landmark];
+    let matter = 'body';
+    if (reason && i < firstBody) matter = 'front';
+    else if (reason && i > lastBody) matter = 'back';
+    else if (reason && landmark) matter = landmark;
+
+    return matter === 'body'
+      ? { ...chapter, matter }
+      : { ...chapter, matter, matterReason: reason };
+  });
+}
+
+/**
+ * Split classified chapters into the ones sent for analysis and the ones left out.
+ * @param {Array<Object>} chapters - Output of classifyChapters
+ * @param {boolean} [includeFrontBackMatter=false] - Keep every chapter
+ * @returns {{ included: Array<Object>, excluded: Array<Object> }}
+ */
+export function selectBodyChapters(chapters, includeFrontBackMatter = false) {
+  if (!chapters?.length || includeFrontBackMatter) {
+    return { included: chapters || [], excluded: [] };
+  }
+  return {
+    included: chapters.filter(ch => !ch.matter || ch.matter === 'body'),
+    excluded: chapters.filter(ch => ch.matter && ch.matter !== 'body'),
+  };
+}
@@ -0,0 +1,641 @@
+import fs from 'fs/promises';
+import path from 'path';
+import logger from '../utils/logger.js';
+import { htmlToText } from '../utils/htmlToText.js';
+
+// ---------------------------------------------------------------------------
+// PalmDB / MOBI format constants
+// ---------------------------------------------------------------------------
+
+const PALMDB_HEADER_LENGTH = 78;
+const PALMDOC_HEADER_LENGTH = 16;
+const NULL_INDEX = 0xFFFFFFFF;
+
+const COMPRESSION_NONE = 1;
+const COMPRESSION_PALMDOC = 2;
+const COMPRESSION_HUFFCDIC = 17480; // 'DH'
+
+const ENCODING_CP1252 = 1252;
+const ENCODING_UTF8 = 65001;
+
+const EXTH_AUTHOR = 100;
+const EXTH_PUBLISHER = 101;
+const EXTH_DESCRIPTION = 103;
+const EXTH_ISBN = 104;
+const EXTH_SUBJECT = 105;
+const EXTH_PUBLISHED = 106;
+const EXTH_KF8_BOUNDARY = 121;
+const EXTH_COVER_OFFSET = 201;
+const EXTH_UPDATED_TITLE = 503;
+const EXTH_LANGUAGE = 524;
+
+// EXTH records whose payload is a big-endian integer rather than a string
+const NUMERIC_EXTH_TYPES = new Set([EXTH_KF8_BOUNDARY, EXTH_COVER_OFFSET]);
+
+// ---------------------------------------------------------------------------
+// Container parsing
+// ---------------------------------------------------------------------------
+
+/**
+ * Split a PalmDB file into its records.
+ * @param {Buffer} buffer - Whole file contents
+ * @returns {Array<Buffer>} Record buffers in file order
+ */
+function readPalmDbRecords(buffer) {
+  if (buffer.length < PALMDB_HEADER_LENGTH) {
+    throw new Error('File is too small to be a MOBI book');
+  }
+
+  const type = buffer.toString('latin1', 60, 68);
+  if (type !== 'BOOKMOBI' && type !== 'TEXtREAd') {
+    throw new Error(`Unsupported PalmDB type "${type}"`);
+  }
+
+  const recordCount = buffer.readUInt16BE(76);
+  const offsets = [];
+  for (let i = 0; i < recordCount; i++) {
+    offsets.push(buffer.readUInt32BE(PALMDB_HEADER_LENGTH + i * 8));
+  }
+  offsets.push(buffer.length);
+
+  return offsets.slice(0, -1).map((start, i) => buffer.subarray(start, offsets[i + 1]));
+}
+
+/**
+ * Read the EXTH metadata block that follows the MOBI header.
+ * @param {Buffer} record0 - First record of the book section
+ * @param {number} offset - Offset of the EXTH block within record0
+ * @returns {Map<number, Array<Buffer|number>>} Record values grouped by EXTH type
+ */
+function readExth(record0, offset) {
+  const exth = new Map();
+  if (record0.toString('latin1', offset, offset + 4) !== 'EXTH') return exth;
+
+  const count = record0.readUInt32BE(offset + 8);
+  let pos = offset + 12;
+  for (let i = 0; i < count && pos + 8 <= record0.length; i++) {
+    const type = record0.readUInt32BE(pos);
+    const length = record0.readUInt32BE(pos + 4);
+    if (length < 8) break;
+
+    const data = record0.subarray(pos + 8, pos + length);
+    const value = NUMERIC_EXTH_TYPES.has(type) && data.length >= 4 ? data.readUInt32BE(0) : data;
+    if (!exth.has(type)) exth.set(type, []);
+    exth.get(type).push(value);
+    pos += length;
+  }
+  return exth;
+}
+
+/**
+ * Parse the PalmDOC + MOBI headers found in a section's first record.
+ * @param {Buffer} record0
+ * @returns {Object} Header fields needed to decode the text
+ */
+function readMobiHeader(record0) {
+  const header = {
+    compression: record0.readUInt16BE(0),
+    textLength: record0.readUInt32BE(4),
+    textRecordCount: record0.readUInt16BE(8),
+    encryption: record0.readUInt16BE(12),
+    encoding: ENCODING_CP1252,
+    version: 0,
+    fullName: null,
+    firstImageIndex: NULL_INDEX,
+    huffRecordOffset: 0,
+    huffRecordCount: 0,
+    extraDataFlags: 0,
+    fdstIndex: NULL_INDEX,
+    exth: new Map(),
+  };
+
+  // Plain PalmDOC (TEXtREAd) files stop after the 16-byte header
+  if (record0.toString('latin1', 16, 20) !== 'MOBI') return header;
+
+  const headerLength = record0.readUInt32BE(20);
+  const field = (offset) => (offset + 4 <= PALMDOC_HEADER_LENGTH + headerLength && offset + 4 <= record0.length
+    ? record0.readUInt32BE(offset)
+    : NULL_INDEX);
+
+  header.encoding = field(28);
+  header.version = field(36);
+  header.firstImageIndex = field(108);
+  header.huffRecordOffset = field(112);
+  header.huffRecordCount = field(116);
+
+  const fullNameOffset = field(84);
+  const fullNameLength = field(88);
+  if (fullNameOffset !== NULL_INDEX && fullNameOffset + fullNameLength <= record0.length) {
+    header.fullName = record0.subarray(fullNameOffset, fullNameOffset + fullNameLength);
+  }
+
+  // Extra record data flags only exist in headers long enough to hold them
+  if (PALMDOC_HEADER_LENGTH + headerLength >= 0xF4) {
+    header.extraDataFlags = record0.readUInt16BE(0xF2);
+  }
+  if (header.version >= 8) {
+    header.fdstIndex = field(0xC0);
+  }
+
+  const exthFlags = field(128);
+  if (exthFlags !== NULL_INDEX && (exthFlags & 0x40)) {
+    header.exth = readExth(record0, PALMDOC_HEADER_LENGTH + headerLength);
+  }
+
+  return header;
+}
+
+// ---------------------------------------------------------------------------
+// Decompression
+// ---------------------------------------------------------------------------
+
+/**
+ * Size of the trailing entries appended to a text record (multibyte overlap,
+ * TBS indexing data, etc.) that must be stripped before decompression.
+ * @param {Buffer} record
+ * @param {number} flags - Extra data flags from the MOBI header
+ * @returns {number} Number of bytes to drop from the end of the record
+ */
+function getTrailingEntriesSize(record, flags) {
+  const readBackwardVarLen = (end) => {
+    let value = 0;
+    let shift = 0;
+    let pos = end;
+    while (pos > 0) {
+      const byte = record[--pos];
+      value |= (byte & 0x7F) << shift;
+      shift += 7;
+      if ((byte & 0x80) || shift >= 28) break;
+    }
+    return value;
+  };
+
+  let size = 0;
+  for (let bits = flags >> 1; bits; bits >>= 1) {
+    if (bits & 1) size += readBackwardVarLen(record.length - size);
+  }
+  if (flags & 1) {
+    size += (record[record.length - size - 1] & 0x3) + 1;
+  }
+  return Math.min(size, record.length);
+}
+
+/**
+ * Decompress a PalmDOC (LZ77 variant) compressed record. A back-reference
+ * to before the start of the record means it is corrupt (or misread), and
+ * throws rather than filling the text with NUL characters.
+ * @param {Buffer} data
+ * @returns {Buffer}
+ */
+export function decompressPalmDoc(data) {
+  const out = [];
+  let i = 0;
+
+  while (i < data.length) {
+    const c = data[i++];
+
+    if (c >= 1 && c <= 8) {
+      // Next c bytes are literals
+      for (let j = 0; j < c && i < data.length; j++) out.push(data[i++]);
+    } else if (c < 0x80) {
+      out.push(c);
+    } else if (c >= 0xC0) {
+      // Space followed by a character
+      out.push(0x20, c ^ 0x80);
+    } else if (i < data.length) {
+      // Back-reference: 11-bit distance, 3-bit length
+      const pair = (c << 8) | data[i++];
+      const distance = (pair >> 3) & 0x7FF;
+      const length = (pair & 0x7) + 3;
+      if (distance === 0 || distance > out.length) {
+        throw new Error(`PalmDOC back-reference distance ${distance} out of range`);
+      }
+      for (let j = 0; j < length; j++) {
+        out.push(out[out.length - distance]);
+      }
+    }
+  }
+
+  return Buffer.from(out);
+}
+
+/**
+ * Build a HUFF/CDIC decompressor from the book's Huffman records.
+ * Code values are 32-bit unsigned, so arithmetic stays in doubles instead of
+ * bitwise operators (which would sign the result).
+ * @param {Array<Buffer>} huffRecords - HUFF record followed by its CDIC records
+ * @returns {(data: Buffer) => Buffer}
+ */
+function createHuffCdicDecoder(huffRecords) {
+  const [huff, ...cdics] = huffRecords;
+  if (!huff || huff.toString('latin1', 0, 4) !== 'HUFF') {
+    throw new Error('Invalid HUFF record');
+  }
+
+  const dict1Offset = huff.readUInt32BE(8);
+  const dict2Offset = huff.readUInt32BE(12);
+
+  const dict1 = [];
+  for (let i = 0; i < 256; i++) {
+    const v = huff.readUInt32BE(dict1Offset + i * 4);
+    const codeLength = v & 0x1F;
+    dict1.push({
+      codeLength,
+      terminal: (v & 0x80) !== 0,
+      maxCode: ((v >>> 8) + 1) * 2 ** (32 - codeLength) - 1,
+    });
+  }
+
+  const minCodes = [0];
+  const maxCodes = [0];
+  for (let codeLength = 1; codeLength <= 32; codeLength++) {
+    const base = dict2Offset + (codeLength - 1) * 8;
+    minCodes.push(huff.readUInt32BE(base) * 2 ** (32 - codeLength));
+    maxCodes.push((huff.readUInt32BE(base + 4) + 1) * 2 ** (32 - codeLength) - 1);
+  }
+
+  const dictionary = [];
+  for (const cdic of cdics) {
+    if (cdic.toString('latin1', 0, 4) !== 'CDIC') throw new Error('Invalid CDIC record');
+    const phraseCount = cdic.readUInt32BE(8);
+    const bits = cdic.readUInt32BE(12);
+    const n = Math.min(2 ** bits, phraseCount - dictionary.length);
+    for (let i = 0; i < n; i++) {
+      const offset = cdic.readUInt16BE(16 + i * 2);
+      const blen = cdic.readUInt16BE(16 + offset);
+      dictionary.push({
+        data: cdic.subarray(18 + offset, 18 + offset + (blen & 0x7FFF)),
+        expanded: (blen & 0x8000) !== 0,
+      });
+    }
+  }
+
+  const peek32 = (data, bitPos) => {
+    const byte = bitPos >>> 3;
+    let v = 0;
+    for (let k = 0; k < 5; k++) v = v * 256 + (data[byte + k] ?? 0);
+    return Math.floor(v / 2 ** (8 - (bitPos & 7))) % 2 ** 32;
+  };
+
+  function unpack(data, depth = 0) {
+    if (depth > 32) throw new Error('HUFF/CDIC dictionary recursion too deep');
+
+    const parts = [];
+    let bitsLeft = data.length * 8;
+    let bitPos = 0;
+
+    while (true) {
+      const code = peek32(data, bitPos);
+      let { codeLength, terminal, maxCode } = dict1[Math.floor(code / 2 ** 24)];
+      if (!terminal) {
+        while (codeLength < 32 && code < minCodes[codeLength]) codeLength++;
+        maxCode = maxCodes[codeLength];
+      }
+
+      bitPos += codeLength;
+      bitsLeft -= codeLength;
+      if (bitsLeft < 0) break;
+
+      const index = Math.floor((maxCode - code) / 2 ** (32 - codeLength));
+      const entry = dictionary[index];
+      if (!entry) throw new Error(`HUFF/CDIC code ${index} out of range`);
+      if (!entry.expanded) {
+        entry.data = unpack(entry.data, depth + 1);
+        entry.expanded = true;
+      }
+      parts.push(entry.data);
+    }
+
+    return Buffer.concat(parts);
+  }
+
+  return (data) => unpack(data);
+}
+
+/**
+ * Decompress and concatenate all text records of a book section.
+ * @param {Array<Buffer>} records - All PalmDB records
+ * @param {Object} header - Parsed MOBI header for the section
+ * @param {number} base - Index of the section's record0 (KF8 boundary or 0)
+ * @returns {Buffer} Raw markup bytes
+ */
+function readTextRecords(records, header, base) {
+  let decompress;
+  if (header.compression === COMPRESSION_NONE) {
+    decompress = (data) => data;
+  } else if (header.compression === COMPRESSION_PALMDOC) {
+    decompress = decompressPalmDoc;
+  } else if (header.compression === COMPRESSION_HUFFCDIC) {
+    const start = base + header.huffRecordOffset;
+    decompress = createHuffCdicDecoder(records.slice(start, start + header.huffRecordCount));
+  } else {
+    throw new Error(`Unsupported MOBI compression type ${header.compression}`);
+  }
+
+  const parts = [];
+  for (let i = 1; i <= header.textRecordCount; i++) {
+    const record = records[base + i];
+    if (!record) break;
+    const trailing = getTrailingEntriesSize(record, header.extraDataFlags);
+    parts.push(decompress(record.subarray(0, record.length - trailing)));
+  }
+
+  const raw = Buffer.concat(parts);
+  return raw.length > header.textLength ? raw.subarray(0, header.textLength) : raw;
+}
+
+// ---------------------------------------------------------------------------
+// Book loading
+// ---------------------------------------------------------------------------
+
+function decodeString(buffer, encoding) {
+  if (!buffer) return '';
+  const label = encoding === ENCODING_UTF8 ? 'utf-8' : 'windows-1252';
+  return new TextDecoder(label).decode(buffer).replace(/\0+$/, '').trim();
+}
+
+/**
+ * Load a MOBI/AZW/AZW3 file and locate the section to read text from.
+ * Combination files carry both a MOBI 6 and a KF8 section; the MOBI 6 part is
+ * preferred because its filepos table of contents gives reliable chapter titles.
+ * @param {string} filePath
+ * @returns {Promise<Object>} Records, active header, section base and KF8 flag
+ */
+async function loadMobiBook(filePath) {
+  const buffer = await fs.readFile(filePath);
+  const records = readPalmDbRecords(buffer);
+  const header = readMobiHeader(records[0]);
+
+  if (header.encryption !== 0) {
+    throw new Error('This book is DRM-protected. Only DRM-free MOBI/AZW3 files are supported');
+  }
+
+  if (header.version >= 8) {
+    return { records, header, base: 0, isKf8: true };
+  }
+
+  const boundary = header.exth.get(EXTH_KF8_BOUNDARY)?.[0];
+  if (header.textRecordCount === 0 && typeof boundary === 'number' && boundary !== NULL_INDEX && records[boundary]) {
+    return { records, header: readMobiHeader(records[boundary]), base: boundary, isKf8: true, mobi6Header: header };
+  }
+
+  return { records, header, base: 0, isKf8: false };
+}
+
+/**
+ * Build an EPUB-style metadata object from the EXTH records.
+ */
+function buildMetadata(header, filePath) {
+  const strings = (type) => (header.exth.get(type) || [])
+    .filter(Buffer.isBuffer)
+    .map(b => decodeString(b, header.encoding))
+    .filter(Boolean);
+
+  const authors = strings(EXTH_AUTHOR);
+  const title = strings(EXTH_UPDATED_TITLE)[0]
+    || decodeString(header.fullName, header.encoding)
+    || path.basename(filePath, path.extname(filePath));
+
+  return {
+    title,
+    creator: authors.length ? authors.join(', ') : 'Unknown Author',
+    publisher: strings(EXTH_PUBLISHER)[0] || '',
+    description: strings(EXTH_DESCRIPTION)[0] || '',
+    language: strings(EXTH_LANGUAGE)[0] || '',
+    subject: strings(EXTH_SUBJECT),
+    date: strings(EXTH_PUBLISHED)[0] || '',
+    ISBN: strings(EXTH_ISBN)[0] || '',
+  };
+}
+
+/**
+ * Record index of the cover image, or null if the book does not declare one.
+ */
+function getCoverRecordIndex(book) {
+  // Image indices in a combination file are relative to the MOBI 6 header
+  const header = book.mobi6Header || book.header;
+  const base = book.mobi6Header ? 0 : book.base;
+  const coverOffset = header.exth.get(EXTH_COVER_OFFSET)?.[0];
+  if (typeof coverOffset !== 'number' || coverOffset === NULL_INDEX) return null;
+  if (header.firstImageIndex === NULL_INDEX) return null;
+
+  const index = base + header.firstImageIndex + coverOffset;
+  return book.records[index]?.length ? index : null;
+}
+
+// ---------------------------------------------------------------------------
+// Chapter splitting
+// ---------------------------------------------------------------------------
+
+/**
+ * Reduce a markup fragment to plain text. MOBI 6 uses `<blockquote>` for
+ * indentation and centering, so quotes are not marked.
+ */
+function markupToText(html) {
+  return htmlToText(html, { markBlockquotes: false });
+}
+
+/**
+ * Reduce a markup fragment to a single-line title.
+ */
+function markupToTitle(html) {
+  return markupToText(html).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Read the table of contents links of a MOBI 6 book. The guide's "toc"
+ * reference points at the TOC page; its `<a filepos=...>` links give the byte
+ * offset and title of each chapter.
+ * @param {string} markup - Raw markup decoded as latin1 so indices equal byte offsets
+ * @param {number} encoding - Text encoding used to decode link titles
+ * @returns {{ entries: Array<{position: number, title: string}>, tocRange: Array<number>|null }}
+ */
+function readFileposToc(markup, encoding) {
+  const guideMatch = markup.match(/<reference\b[^>]*\btype\s*=\s*["']?toc["']?[^>]*>/i);
+  const tocStart = guideMatch ? parseInt(guideMatch[0].match(/filepos\s*=\s*["']?(\d+)/i)?.[1], 10) : NaN;
+
+  let tocRange = null;
+  let region = markup;
+  let regionStart = 0;
+  if (!isNaN(tocStart) && tocStart < markup.length) {
+    const nextBreak = markup.slice(tocStart + 1).search(/<mbp:pagebreak/i);
+    const tocEnd = nextBreak === -1 ? markup.length : tocStart + 1 + nextBreak;
+    tocRange = [tocStart, tocEnd];
+    region = markup.slice(tocStart, tocEnd);
+    regionStart = tocStart;
+  }
+
+  const entries = [];
+  const seen = new Set();
+  const linkPattern = /<a\b[^>]*\bfilepos\s*=\s*["']?(\d+)["']?[^>]*>([\s\S]*?)<\/a>/gi;
+  for (const match of region.matchAll(linkPattern)) {
+    const position = parseInt(match[1], 10);
+    const title = markupToTitle(decodeString(Buffer.from(match[2], 'latin1'), encoding));
+    // Without a guide reference, only titled links that point elsewhere count as TOC entries
+    if (!title || seen.has(position) || position >= markup.length) continue;
+    if (!tocRange && Math.abs(position - (regionStart + match.index)) < 2) continue;
+    seen.add(position);
+    entries.push({ position, title });
+  }
+
+  entries.sort((a, b) => a.position - b.position);
+  return { entries, tocRange };
+}
+
+/**
+ * Split MOBI 6 markup into chapters using the filepos TOC, falling back to
+ * `<mbp:pagebreak>` boundaries when the book has no usable TOC.
+ * @param {Buffer} raw - Decompressed markup bytes
+ * @param {number} encoding
+ * @returns {Array<{title: string, html: string}>}
+ */
+function splitMobi6Chapters(raw, encoding) {
+  const markup = raw.toString('latin1');
+  const decode = (start, end) => decodeString(raw.subarray(start, end), encoding);
+  const { entries, tocRange } = readFileposToc(markup, encoding);
+
+  const sections = [];
+  if (entries.length >= 2) {
+    const boundaries = entries.map(e => ({ start: e.position, title: e.title }));
+    if (boundaries[0].start > 0) boundaries.unshift({ start: 0, title: '' });
+
+    boundaries.forEach((b, i) => {
+      let end = boundaries[i + 1]?.start ?? markup.length;
+      // Keep the TOC page itself out of the chapter it would otherwise trail
+      if (tocRange && tocRange[0] >= b.start && tocRange[0] < end) end = tocRange[0];
+      sections.push({ title: b.title, html: decode(b.start, end) });
+    });
+    if (tocRange && tocRange[1] < markup.length) {
+      const last = boundaries[boundaries.length - 1];
+      if (tocRange[1] > last.start) sections.push({ title: '', html: decode(tocRange[1], markup.length) });
+    }
+  } else {
+    let start = 0;
+    for (const match of markup.matchAll(/<mbp:pagebreak\s*\/?>/gi)) {
+      sections.push({ title: '', html: decode(start, match.index) });
+      start = match.index + match[0].length;
+    }
+    sections.push({ title: '', html: decode(start, markup.length) });
+  }
+
+  return sections;
+}
+
+/**
+ * Split KF8 markup into chapters. Flow 0 holds the concatenated XHTML files of
+ * the original book, so each document start marks a chapter boundary. Titles
+ * come from the first heading or the document `<title>`.
+ * @param {Buffer} raw - Decompressed markup bytes
+ * @param {Object} book - Loaded book (records, header, base)
+ * @returns {Array<{title: string, html: string}>}
+ */
+function splitKf8Chapters(raw, book) {
+  let text = raw;
+  const { header, records, base } = book;
+  const fdst = header.fdstIndex !== NULL_INDEX ? records[base + header.fdstIndex] : null;
+  if (fdst && fdst.toString('latin1', 0, 4) === 'FDST' && fdst.readUInt32BE(8) > 0) {
+    const flowStart = fdst.readUInt32BE(12);
+    const flowEnd = fdst.readUInt32BE(16);
+    text = raw.subarray(flowStart, Math.min(flowEnd, raw.length));
+  }
+
+  const markup = decodeString(text, ENCODING_UTF8);
+  return markup
+    .split(/(?=<\?xml\b)|(?=<html\b)/i)
+    .filter(part => /<html\b/i.test(part) || part.trim())
+    .reduce((docs, part) => {
+      // "<?xml ...?>" and the following "<html" belong to the same document
+      if (docs.length && /^<\?xml\b[^>]*>\s*$/i.test(docs[docs.length - 1])) {
+        docs[docs.length - 1] += part;
+      } else {
+        docs.push(part);
+      }
+      return docs;
+    }, [])
+    .map((html) => {
+      const heading = html.match(/<h[1-3]\b[^>]*>([\s\S]*?)<\/h[1-3]>/i)?.[1];
+      const docTitle = html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i)?.[1];
+      const body = html.replace(/<head\b[\s\S]*?<\/head>/i, '');
+      return { title: markupToTitle(heading || docTitle || ''), html: body };
+    });
+}
+
+/**
+ * Turn raw sections into chapter objects, folding heading-only sections
+ * (e.g. a "Chapter Seven" page followed by a "Zooey's Story" page) into the
+ * next chapter's title.
+ */
+function buildChapters(sections) {
+  const chapters = [];
+  let pendingTitle = '';
+
+  for (const section of sections) {
+    const text = markupToText(section.html);
+    const title = section.title?.trim() || '';
+    const bodyText = title && text.toLowerCase().startsWith(title.toLowerCase())
+      ? text.slice(title.length).trim()
+      : text;
+
+    if (!bodyText) {
+      if (title) pendingTitle = pendingTitle ? `${pendingTitle}: ${title}` : title;
+      continue;
+    }
+
+    const fullTitle = [pendingTitle, title].filter(Boolean).join(': ');
+    chapters.push({ title: fullTitle || `Chapter ${chapters.length + 1}`, text });
+    pendingTitle = '';
+  }
+
+  return chapters;
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse a MOBI, AZW or AZW3 (KF8) file and extract text content.
+ * Handles PalmDOC and HUFF/CDIC compression and reads EXTH metadata.
+ * @param {string} filePath - Path to the book file
+ * @returns {Promise<Object>} Extracted text content and metadata
+ */
+export async function parseMobi(filePath) {
+  try {
+    const book = await loadMobiBook(filePath);
+    const raw = readTextRecords(book.records, book.header, book.base);
+
+    const sections = book.isKf8
+      ? splitKf8Chapters(raw, book)
+      : splitMobi6Chapters(raw, book.header.encoding);
+    const chapters = buildChapters(sections);
+    const fullText = chapters.map(ch => ch.text).join('\n\n');
+
+    const metadata = buildMetadata(book.mobi6Header || book.header, filePath);
+    const hasCover = getCoverRecordIndex(book) !== null;
+
+    logger.info(`${book.isKf8 ? 'KF8' : 'MOBI'} parsed: ${chapters.length} chapters, ${fullText.length} chars total`);
+
+    return {
+      text: fullText,
+      chapters,
+      metadata,
+      hasCover,
+    };
+  } catch (error) {
+    throw new Error(`MOBI parsing error: ${error.message}`);
+  }
+}
+
+/**
+ * Extract cover image from a MOBI/AZW3 file using the EXTH cover offset.
+ * @param {string} filePath - Path to the book file
+ * @returns {Promise<Buffer>} Cover image buffer
+ */
+export async function extractMobiCover(filePath) {
+  const book = await loadMobiBook(filePath);
+  const index = getCoverRecordIndex(book);
+  if (index === null) {
+    throw new Error('No cover found in MOBI');
+  }
+  return Buffer.from(book.records[index]);
+}
@@ -0,0 +1,86 @@
+import { MAX_FALLBACK_MODELS } from '../config/constants.js';
+import { getProvider } from './providers/index.js';
+
+// ---------------------------------------------------------------------------
+// Fallback models
+//
+// A run may list models to switch to when a step (a chunk summary, the
+// extraction or one character) fails with the selected model. Each entry can
+// name another provider (adapter and URL); API keys for those providers are
+// sent separately, keyed by provider URL, so stored job options never hold them.
+// ---------------------------------------------------------------------------
+
+// Local servers that run without a key
+const KEYLESS_PROVIDERS = new Set(['ollama']);
+
+function parseJsonField(value, field) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    const error = new Error(`${field} must be valid JSON`);
+    error.status = 400;
+    throw error;
+  }
+}
+
+function normalizeBaseUrl(url) {
+  return url.trim().replace(/\/+$/, '');
+}
+
+/**
+ * Read the fallback models sent with a request.
+ * @param {Array|string|null} fallbackModels - `[{ model, provider?, apiBaseUrl?, contextLength?,
+ *   maxCompletionTokens?, pricing? }]` or its JSON string, in the order to try them
+ * @param {Object|string|null} providerKeys - `{ [apiBaseUrl]: apiKey }` or its JSON string
+ * @param {{provider: string, apiKey: string, apiBaseUrl: string}} primary - The run's provider; entries
+ *   without a URL of their own use it and its key
+ * @returns {Array<Object>} Entries for analyzeBook's `fallbackModels`
+ * @throws {Error} status 400 when another provider's key is missing from `providerKeys` (Ollama runs without one)
+ */
+export function parseFallbackModels(fallbackModels, providerKeys, primary) {
+  const entries = parseJsonField(fallbackModels, 'fallbackModels') || [];
+  const keys = Object.fromEntries(Object.entries(parseJsonField(providerKeys, 'providerKeys') || {})
+    .map(([url, key]) => [normalizeBaseUrl(url), key]));
+  if (!Array.isArray(entries) || entries.some(entry => typeof entry?.model !== 'string' || !entry.model.trim())) {
+    const error = new Error('fallbackModels must be a JSON array of { model, apiBaseUrl? } entries');
+    error.status = 400;
+    throw error;
+  }
+  if (entries.length > MAX_FALLBACK_MODELS) {
+    const error = new Error(`At most ${MAX_FALLBACK_MODELS} fallback models can be used`);
+    error.status = 400;
+    throw error;
+  }
+
+  const primaryUrl = normalizeBaseUrl(primary.apiBaseUrl);
+  return entries.map((entry) => {
+    const apiBaseUrl = entry.apiBaseUrl ? normalizeBaseUrl(entry.apiBaseUrl) : primaryUrl;
+    const adapter = getProvider(entry.provider || (apiBaseUrl === primaryUrl ? primary.provider : undefined));
+    // The run's key only goes to the run's own endpoint
+    const apiKey = apiBaseUrl === primaryUrl ? primary.apiKey : (keys[apiBaseUrl] || null);
+    if (!apiKey && !KEYLESS_PROVIDERS.has(adapter.id)) {
+      const error = new Error(`providerKeys has no API key for ${apiBaseUrl} (fallback model ${entry.model.trim()})`);
+      error.status = 400;
+      throw error;
+    }
+    return {
+      provider: adapter.id,
+      model: entry.model.trim(),
+      apiBaseUrl,
+      apiKey,
+      contextLength: parseInt(entry.contextLength) || null,
+      maxCompletionTokens: parseInt(entry.maxCompletionTokens) || null,
+      pricing: entry.pricing || null,
+    };
+  });
+}
+
+/**
+ * Which model produced a step's output, as recorded in results.
+ * @param {{model: string, provider: string, apiBaseUrl: string}} ai
+ * @returns {{model: string, provider: string, apiBaseUrl: string}}
+ */
+export function describeModel(ai) {
+  return { model: ai.model, provider: ai.provider, apiBaseUrl: ai.apiBaseUrl };
+}
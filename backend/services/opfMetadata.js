@@ -0,0 +1,127 @@
+import fs from 'fs/promises';
+import { htmlToText, decodeHtmlEntities } from '../utils/htmlToText.js';
+
+// ---------------------------------------------------------------------------
+// OPF package metadata (EPUB content.opf or Calibre metadata.opf sidecar)
+// ---------------------------------------------------------------------------
+
+/**
+ * Decode an element's text content; Calibre stores descriptions as escaped HTML.
+ */
+function elementText(inner) {
+  const text = decodeHtmlEntities(inner.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1'));
+  return /<[a-z][\s\S]*>/i.test(text)
+    ? htmlToText(text, { markBlockquotes: false })
+    : text.replace(/\s+/g, ' ').trim();
+}
+
+function attribute(attrs, name) {
+  const value = attrs.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*["']([^"']*)["']`, 'i'))?.[1];
+  return value === undefined ? undefined : decodeHtmlEntities(value);
+}
+
+/**
+ * Parse the `<metadata>` block of an OPF document into the EPUB-style metadata
+ * shape used by the parsers, plus series information and identifiers.
+ *
+ * Series come from Calibre's `calibre:series` / `calibre:series_index` meta
+ * tags or the EPUB 3 `belongs-to-collection` / `group-position` properties.
+ *
+ * @param {string} xml - OPF document
+ * @returns {Object} `{ title, creator, publisher, description, language, subject, date, ISBN,
+ *   series, seriesIndex, identifiers }` with only the fields present in the document
+ */
+export function parseOpfMetadata(xml) {
+  const block = xml.match(/<(?:opf:)?metadata\b[^>]*>([\s\S]*?)<\/(?:opf:)?metadata>/i)?.[1];
+  if (!block) throw new Error('No <metadata> element found');
+
+  const elements = [...block.matchAll(/<(?:dc:)?(title|creator|publisher|description|language|subject|date|identifier)\b([^>]*)>([\s\S]*?)<\/(?:dc:)?\1>/gi)]
+    .map(([, name, attrs, inner]) => ({ name: name.toLowerCase(), attrs, text: elementText(inner) }))
+    .filter(el => el.text);
+  const all = (name) => elements.filter(el => el.name === name);
+  const first = (name) => all(name)[0]?.text;
+
+  const metas = [...block.matchAll(/<(?:opf:)?meta\b([^>]*?)(?:\/>|>([\s\S]*?)<\/(?:opf:)?meta>)/gi)]
+    .map(([, attrs, inner]) => ({
+      name: attribute(attrs, 'name'),
+      property: attribute(attrs, 'property'),
+      refines: attribute(attrs, 'refines'),
+      id: attribute(attrs, 'id'),
+      value: (attribute(attrs, 'content') ?? elementText(inner || '')).trim(),
+    }));
+
+  const metadata = {};
+  const set = (key, value) => { if (value !== undefined && value !== '' && !(Array.isArray(value) && !value.length)) metadata[key] = value; };
+
+  // Authors only (EPUB 2 opf:role / EPUB 3 refines role); fall back to every creator
+  const creators = all('creator');
+  const authors = creators.filter((el) => {
+    const role = attribute(el.attrs, 'opf:role')
+      || metas.find(m => m.property === 'role' && m.refines === `#${attribute(el.attrs, 'id')}`)?.value;
+    return !role || role === 'aut';
+  });
+  set('title', first('title'));
+  set('creator', (authors.length ? authors : creators).map(el => el.text).join(', '));
+  set('publisher', first('publisher'));
+  set('description', first('description'));
+  set('language', first('language'));
+  set('subject', [...new Set(all('subject').map(el => el.text))]);
+  set('date', first('date'));
+
+  // Identifiers keyed by scheme ("isbn", "uuid", "calibre", "mobi-asin", ...)
+  const identifiers = {};
+  for (const el of all('identifier')) {
+    let scheme = attribute(el.attrs, 'opf:scheme')?.toLowerCase();
+    let value = el.text;
+    const urn = value.match(/^urn:([a-z]+):(.+)$/i);
+    if (!scheme && urn) [, scheme, value] = urn;
+    scheme = (scheme || attribute(el.attrs, 'id') || 'id').toLowerCase();
+    identifiers[scheme] ??= value;
+  }
+  set('identifiers', Object.keys(identifiers).length ? identifiers : undefined);
+  set('ISBN', identifiers.isbn);
+
+  // Series
+  const calibreSeries = metas.find(m => m.name === 'calibre:series')?.value;
+  const refinement = (m, property) => metas.find(t => t.refines === `#${m.id}` && t.property === property)?.value;
+  const collection = metas.find(m => m.property === 'belongs-to-collection'
+    && (refinement(m, 'collection-type') ?? 'series') === 'series');
+  const seriesIndex = calibreSeries
+    ? metas.find(m => m.name === 'calibre:series_index')?.value
+    : collection && refinement(collection, 'group-position');
+  set('series', calibreSeries || collection?.value);
+  if (metadata.series && seriesIndex !== undefined && !Number.isNaN(parseFloat(seriesIndex))) {
+    metadata.seriesIndex = parseFloat(seriesIndex);
+  }
+
+  return metadata;
+}
+
+/**
+ * Read a Calibre `metadata.opf` sidecar file.
+ * @param {string} filePath
+ * @returns {Promise<Object>} Metadata as returned by parseOpfMetadata
+ */
+export async function readOpfFile(filePath) {
+  try {
+    return parseOpfMetadata(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`OPF parsing error: ${error.message}`);
+  }
+}
+
+/**
+ * Overlay sidecar metadata on the metadata read from the book itself.
+ * Fields present in the sidecar win; identifiers are merged.
+ * @param {Object} bookMetadata
+ * @param {Object|null} sidecar
+ * @returns {Object}
+ */
+export function mergeBookMetadata(bookMetadata = {}, sidecar = null) {
+  if (!sidecar) return bookMetadata;
+  return {
+    ...bookMetadata,
+    ...sidecar,
+    identifiers: { ...bookMetadata.identifiers, ...sidecar.identifiers },
+  };
+}
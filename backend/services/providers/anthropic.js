@@ -0,0 +1,125 @@
+import axios from 'axios';
+import { providerError, blockedError } from './errors.js';
+
+// ---------------------------------------------------------------------------
+// Anthropic Messages API
+// ---------------------------------------------------------------------------
+
+const ANTHROPIC_VERSION = '2023-06-01';
+const CONTEXT_LENGTH = 200000;
+const DEFAULT_MAX_OUTPUT_TOKENS = 8192;
+
+// The models endpoint reports no limits; output caps by model generation
+const MAX_OUTPUT_TOKENS = [
+  [/claude-3-(opus|sonnet|haiku)/, 4096],
+  [/claude-3-5/, 8192],
+  [/claude-3-7|sonnet-4|haiku-4/, 64000],
+  [/opus-4/, 32000],
+];
+
+// A forced tool call is how the answer arrives in schema mode
+const STOP_REASONS = { end_turn: 'stop', stop_sequence: 'stop', tool_use: 'stop', max_tokens: 'length' };
+
+// Error `type`s sent inside a stream, as the HTTP status they are sent with otherwise
+const ERROR_STATUSES = {
+  invalid_request_error: 400,
+  authentication_error: 401,
+  permission_error: 403,
+  not_found_error: 404,
+  request_too_large: 413,
+  rate_limit_error: 429,
+  api_error: 500,
+  overloaded_error: 529,
+};
+
+function headers(apiKey) {
+  return { 'x-api-key': apiKey, 'anthropic-version': ANTHROPIC_VERSION, 'Content-Type': 'application/json' };
+}
+
+function maxOutputTokens(model) {
+  return MAX_OUTPUT_TOKENS.find(([pattern]) => pattern.test(model))?.[1] || DEFAULT_MAX_OUTPUT_TOKENS;
+}
+
+/**
+ * A `json_schema` response format as a tool Claude must call; the tool's
+ * input is the JSON answer.
+ */
+function schemaTool({ name, schema }) {
+  return {
+    tools: [{ name, description: 'Record the answer. Its input is the complete JSON response.', input_schema: schema }],
+    tool_choice: { type: 'tool', name },
+  };
+}
+
+function blockText(block) {
+  if (block.type === 'tool_use') return JSON.stringify(block.input);
+  return block.text || '';
+}
+
+export default {
+  id: 'anthropic',
+  label: 'Anthropic',
+  defaultBaseUrl: 'https://api.anthropic.com/v1',
+  streamFormat: 'sse',
+
+  async listModels({ apiBaseUrl, apiKey, timeout }) {
+    const response = await axios.get(`${apiBaseUrl}/models`, { headers: headers(apiKey), params: { limit: 1000 }, timeout });
+    return (response.data.data || []).map(model => ({
+      id: model.id,
+      name: model.display_name || model.id,
+      context_length: CONTEXT_LENGTH,
+      max_completion_tokens: maxOutputTokens(model.id),
+    }));
+  },
+
+  chatRequest({ apiBaseUrl, apiKey, body }) {
+    const { model, messages, max_tokens: maxTokens, response_format: responseFormat } = body;
+    const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+    const turns = messages.filter(m => m.role !== 'system');
+    // No JSON mode: start the reply with "{" so Claude can only continue an object
+    const prefill = responseFormat?.type === 'json_object' && turns.at(-1)?.role === 'user' ? '{' : '';
+    const tool = responseFormat?.type === 'json_schema' ? schemaTool(responseFormat.json_schema) : null;
+
+    return {
+      url: `${apiBaseUrl}/messages`,
+      headers: headers(apiKey),
+      data: {
+        model,
+        max_tokens: Math.min(maxTokens || Infinity, maxOutputTokens(model)),
+        ...(system && { system }),
+        messages: prefill ? [...turns, { role: 'assistant', content: prefill }] : turns,
+        ...tool,
+        stream: true,
+      },
+      prefix: prefill,
+    };
+  },
+
+  parseEvent(data) {
+    switch (data.type) {
+      case 'message_start':
+        return { usage: { prompt_tokens: data.message?.usage?.input_tokens || 0 } };
+      case 'content_block_delta':
+        // Tool input streams as JSON fragments
+        return { content: data.delta?.type === 'input_json_delta' ? data.delta.partial_json : data.delta?.text };
+      case 'message_delta':
+        if (data.delta?.stop_reason === 'refusal') throw blockedError('refusal');
+        return {
+          finishReason: STOP_REASONS[data.delta?.stop_reason] || data.delta?.stop_reason || null,
+          usage: data.usage ? { completion_tokens: data.usage.output_tokens } : null,
+        };
+      case 'message':
+        // Unstreamed reply
+        if (data.stop_reason === 'refusal') throw blockedError('refusal');
+        return {
+          content: (data.content || []).map(blockText).join(''),
+          finishReason: STOP_REASONS[data.stop_reason] || data.stop_reason || null,
+          usage: data.usage ? { prompt_tokens: data.usage.input_tokens, completion_tokens: data.usage.output_tokens } : null,
+        };
+      case 'error':
+        throw providerError(data.error?.message || JSON.stringify(data.error), ERROR_STATUSES[data.error?.type]);
+      default:
+        return {};
+    }
+  },
+};
@@ -0,0 +1,21 @@
+/**
+ * Error for a failure reported inside a stream (after the HTTP 200), with the
+ * HTTP-style `status` it corresponds to so classifyAIError treats it like the
+ * same error sent as a response.
+ * @param {string} message
+ * @param {number|null} [status=null]
+ */
+export function providerError(message, status = null) {
+  const error = new Error(message);
+  if (Number.isInteger(status)) error.status = status;
+  return error;
+}
+
+/**
+ * Error for a response the provider withheld for safety reasons; the message
+ * is worded for classifyAIError's content-filter check.
+ * @param {string} reason - Provider's block or stop reason
+ */
+export function blockedError(reason) {
+  return new Error(`The response was blocked by the provider's safety filter (${reason})`);
+}
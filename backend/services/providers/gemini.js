@@ -0,0 +1,75 @@
+import axios from 'axios';
+import { providerError, blockedError } from './errors.js';
+
+// ---------------------------------------------------------------------------
+// Google Gemini API (generativelanguage.googleapis.com)
+// ---------------------------------------------------------------------------
+
+const FINISH_REASONS = { STOP: 'stop', MAX_TOKENS: 'length' };
+const BLOCKED_REASONS = ['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII'];
+
+function headers(apiKey) {
+  return { 'x-goog-api-key': apiKey, 'Content-Type': 'application/json' };
+}
+
+export default {
+  id: 'gemini',
+  label: 'Google Gemini',
+  defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+  streamFormat: 'sse',
+
+  async listModels({ apiBaseUrl, apiKey, timeout }) {
+    const response = await axios.get(`${apiBaseUrl}/models`, { headers: headers(apiKey), params: { pageSize: 1000 }, timeout });
+    return (response.data.models || [])
+      .filter(model => model.supportedGenerationMethods?.includes('generateContent'))
+      .map(model => ({
+        id: model.name.replace(/^models\//, ''),
+        name: model.displayName || model.name,
+        context_length: model.inputTokenLimit || 32768,
+        max_completion_tokens: model.outputTokenLimit || null,
+      }));
+  },
+
+  chatRequest({ apiBaseUrl, apiKey, body }) {
+    const { model, messages, max_tokens: maxTokens, response_format: responseFormat } = body;
+    const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+    const contents = messages
+      .filter(m => m.role !== 'system')
+      .map(m => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] }));
+
+    return {
+      url: `${apiBaseUrl}/models/${encodeURIComponent(model)}:streamGenerateContent?alt=sse`,
+      headers: headers(apiKey),
+      data: {
+        contents,
+        ...(system && { systemInstruction: { parts: [{ text: system }] } }),
+        generationConfig: {
+          ...(maxTokens && { maxOutputTokens: maxTokens }),
+          ...(responseFormat?.type === 'json_object' && { responseMimeType: 'application/json' }),
+          ...(responseFormat?.type === 'json_schema' && {
+            responseMimeType: 'application/json',
+            responseJsonSchema: responseFormat.json_schema.schema,
+          }),
+        },
+      },
+    };
+  },
+
+  parseEvent(data) {
+    if (data.error) throw providerError(data.error.message || JSON.stringify(data.error), data.error.code);
+    if (data.promptFeedback?.blockReason) throw blockedError(data.promptFeedback.blockReason);
+
+    const candidate = data.candidates?.[0];
+    const reason = candidate?.finishReason;
+    if (BLOCKED_REASONS.includes(reason)) throw blockedError(reason);
+
+    const meta = data.usageMetadata;
+    return {
+      // Thought summaries are not part of the answer
+      content: candidate?.content?.parts?.filter(part => !part.thought).map(part => part.text || '').join(''),
+      finishReason: reason ? (FINISH_REASONS[reason] || reason.toLowerCase()) : null,
+      // Thinking tokens are billed as output
+      usage: meta ? { prompt_tokens: meta.promptTokenCount || 0, completion_tokens: (meta.candidatesTokenCount || 0) + (meta.thoughtsTokenCount || 0) } : null,
+    };
+  },
+};
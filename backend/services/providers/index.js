@@ -0,0 +1,46 @@
+import openai from './openai.js';
+import anthropic from './anthropic.js';
+import gemini from './gemini.js';
+import ollama from './ollama.js';
+
+// ---------------------------------------------------------------------------
+// Provider adapters
+//
+// Each adapter translates the app's OpenAI-style chat body
+// (`{ model, messages, max_tokens?, response_format? }`) for one API.
+// `response_format` is `{ type: 'json_object' }` or
+// `{ type: 'json_schema', json_schema: { name, schema } }` (see responseSchemas.js).
+// Each adapter provides:
+//
+//   id, label, defaultBaseUrl
+//   streamFormat                 'sse' or 'ndjson'
+//   listModels({ apiBaseUrl, apiKey, timeout })
+//                                -> [{ id, name, context_length, max_completion_tokens, pricing? }]
+//   chatRequest({ apiBaseUrl, apiKey, body, contextLength })
+//                                -> { url, headers, data, prefix? } for a streamed request;
+//                                   `prefix` is reply text sent as a prefill
+//   parseEvent(data)             one parsed stream event (or an unstreamed reply)
+//                                -> { content?, finishReason?, usage? }, throwing
+//                                   on errors reported inside the stream
+//
+// `finishReason` uses OpenAI's values ('stop', 'length') and `usage` its
+// `{ prompt_tokens, completion_tokens }` shape; partial usage is merged.
+// ---------------------------------------------------------------------------
+
+export const PROVIDERS = { openai, anthropic, gemini, ollama };
+export const DEFAULT_PROVIDER = 'openai';
+
+/**
+ * Adapter for a provider id.
+ * @param {string} [id=DEFAULT_PROVIDER]
+ * @returns {Object}
+ */
+export function getProvider(id = DEFAULT_PROVIDER) {
+  const provider = PROVIDERS[id || DEFAULT_PROVIDER];
+  if (!provider) {
+    const error = new Error(`Unknown provider "${id}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+  return provider;
+}
@@ -0,0 +1,75 @@
+import axios from 'axios';
+import { providerError } from './errors.js';
+
+// ---------------------------------------------------------------------------
+// Ollama native API (/api/chat). Unlike its OpenAI-compatible /v1 endpoint it
+// reports each model's context length, and requests can set the context size.
+// ---------------------------------------------------------------------------
+
+const DEFAULT_CONTEXT_LENGTH = 4096;
+
+function headers(apiKey) {
+  // Ollama itself ignores the key; proxies in front of it may not
+  return apiKey ? { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' } : { 'Content-Type': 'application/json' };
+}
+
+/**
+ * Context length for a model: the `num_ctx` set in its Modelfile, else the
+ * length it was trained for.
+ */
+async function fetchContextLength(apiBaseUrl, apiKey, name, timeout) {
+  const { data } = await axios.post(`${apiBaseUrl}/api/show`, { model: name }, { headers: headers(apiKey), timeout });
+  const configured = /(?:^|\n)num_ctx\s+(\d+)/.exec(data.parameters || '');
+  if (configured) return parseInt(configured[1]);
+  const trained = Object.entries(data.model_info || {}).find(([key]) => key.endsWith('.context_length'));
+  return trained?.[1] || DEFAULT_CONTEXT_LENGTH;
+}
+
+export default {
+  id: 'ollama',
+  label: 'Ollama',
+  defaultBaseUrl: 'http://localhost:11434',
+  streamFormat: 'ndjson',
+
+  async listModels({ apiBaseUrl, apiKey, timeout }) {
+    const response = await axios.get(`${apiBaseUrl}/api/tags`, { headers: headers(apiKey), timeout });
+    return Promise.all((response.data.models || []).map(async model => ({
+      id: model.name,
+      name: model.name,
+      context_length: await fetchContextLength(apiBaseUrl, apiKey, model.name, timeout),
+      max_completion_tokens: null,
+      // Local models cost nothing per token
+      pricing: { prompt: '0', completion: '0' },
+    })));
+  },
+
+  chatRequest({ apiBaseUrl, apiKey, body, contextLength }) {
+    const { model, messages, max_tokens: maxTokens, response_format: responseFormat } = body;
+    return {
+      url: `${apiBaseUrl}/api/chat`,
+      headers: headers(apiKey),
+      data: {
+        model,
+        messages,
+        stream: true,
+        ...(responseFormat?.type === 'json_object' && { format: 'json' }),
+        // Ollama 0.5+ constrains the output to a JSON Schema given as `format`
+        ...(responseFormat?.type === 'json_schema' && { format: responseFormat.json_schema.schema }),
+        options: {
+          ...(maxTokens && { num_predict: maxTokens }),
+          // Ollama otherwise loads the model with a small default context and truncates the prompt
+          ...(contextLength && { num_ctx: contextLength }),
+        },
+      },
+    };
+  },
+
+  parseEvent(data) {
+    if (data.error) throw providerError(typeof data.error === 'string' ? data.error : JSON.stringify(data.error));
+    return {
+      content: data.message?.content,
+      finishReason: data.done ? (data.done_reason === 'length' ? 'length' : 'stop') : null,
+      usage: data.done ? { prompt_tokens: data.prompt_eval_count || 0, completion_tokens: data.eval_count || 0 } : null,
+    };
+  },
+};
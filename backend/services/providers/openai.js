@@ -0,0 +1,51 @@
+import axios from 'axios';
+import { providerError } from './errors.js';
+
+// ---------------------------------------------------------------------------
+// OpenAI-compatible APIs: OpenAI, OpenRouter, Groq, LM Studio, Ollama's /v1 ...
+// ---------------------------------------------------------------------------
+
+function headers(apiKey) {
+  return { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' };
+}
+
+export default {
+  id: 'openai',
+  label: 'OpenAI-compatible',
+  defaultBaseUrl: 'https://openrouter.ai/api/v1',
+  streamFormat: 'sse',
+
+  async listModels({ apiBaseUrl, apiKey, timeout }) {
+    const response = await axios.get(`${apiBaseUrl}/models`, { headers: headers(apiKey), timeout });
+    const models = response.data.data || response.data;
+    if (!Array.isArray(models)) throw new Error('Unexpected response format from models endpoint');
+
+    return models.map(model => ({
+      id: model.id,
+      name: model.name || model.id,
+      context_length: model.context_length || 4096,
+      max_completion_tokens: model.top_provider?.max_completion_tokens || null,
+      pricing: model.pricing,
+    }));
+  },
+
+  chatRequest({ apiBaseUrl, apiKey, body }) {
+    return {
+      url: `${apiBaseUrl}/chat/completions`,
+      headers: headers(apiKey),
+      // include_usage asks OpenAI-style servers for token counts in the last chunk
+      data: { ...body, stream: true, stream_options: { include_usage: true } },
+    };
+  },
+
+  parseEvent(data) {
+    // OpenRouter puts the HTTP-style status of a mid-stream failure in `code`
+    if (data.error) throw providerError(data.error.message || JSON.stringify(data.error), data.error.code);
+    const choice = data.choices?.[0];
+    return {
+      content: choice?.delta?.content ?? choice?.message?.content ?? choice?.text,
+      finishReason: choice?.finish_reason || null,
+      usage: data.usage || null,
+    };
+  },
+};
@@ -0,0 +1,128 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import logger from '../utils/logger.js';
+
+// ---------------------------------------------------------------------------
+// AI response cache
+//
+// <cacheDir>/<key>.json   { key, provider, apiBaseUrl, model, phase, createdAt, value }
+//
+// A key hashes the provider, endpoint, model, prompt and the parameters that
+// shape the response (see cacheKey), so a different book, prompt template or
+// schema never hits an old entry. Only results that passed validation are
+// stored. Entries are kept until they are cleared through the cache endpoints.
+// ---------------------------------------------------------------------------
+
+const KEY_PATTERN = /^[a-f0-9]{64}$/;
+
+/**
+ * Cache key of one request.
+ * @param {Object} request
+ * @param {string} request.provider
+ * @param {string} request.apiBaseUrl
+ * @param {string} request.model
+ * @param {string} request.prompt
+ * @param {Object} [request.params={}] - Anything else that changes the response (phase, schema, ...)
+ * @returns {string} Hex SHA-256
+ */
+export function cacheKey({ provider, apiBaseUrl, model, prompt, params = {} }) {
+  const promptHash = crypto.createHash('sha256').update(prompt).digest('hex');
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ provider, apiBaseUrl, model, promptHash, params }))
+    .digest('hex');
+}
+
+async function readEntry(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') logger.warn(`Could not read cache entry ${filePath}: ${error.message}`);
+    return undefined;
+  }
+}
+
+/**
+ * Response cache stored as one JSON file per entry in `dir`. Read and write
+ * failures are logged and treated as misses, so a broken cache never fails a run.
+ * @param {string} dir
+ */
+export function createResponseCache(dir) {
+  const fileFor = key => path.join(dir, `${key}.json`);
+
+  async function entryFiles() {
+    try {
+      return (await fs.readdir(dir)).filter(name => name.endsWith('.json') && KEY_PATTERN.test(name.slice(0, -5)));
+    } catch {
+      return [];
+    }
+  }
+
+  return {
+    /**
+     * @returns {Promise<any>} The cached value, or undefined on a miss
+     */
+    async get(key) {
+      if (!KEY_PATTERN.test(key)) return undefined;
+      return (await readEntry(fileFor(key)))?.value;
+    },
+
+    /**
+     * @param {string} key - cacheKey() result
+     * @param {any} value
+     * @param {Object} meta - `{ provider, apiBaseUrl, model, phase }`, shown when listing entries
+     */
+    async set(key, value, { provider, apiBaseUrl, model, phase }) {
+      const tmp = `${fileFor(key)}.${process.pid}.${Math.random().toString(36).substring(2, 8)}.tmp`;
+      try {
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(tmp, JSON.stringify({ key, provider, apiBaseUrl, model, phase, createdAt: Date.now(), value }));
+        await fs.rename(tmp, fileFor(key));
+      } catch (error) {
+        logger.warn(`Could not write cache entry ${key}: ${error.message}`);
+        await fs.rm(tmp, { force: true });
+      }
+    },
+
+    /**
+     * Entries without their values, newest first.
+     * @returns {Promise<Array<{key: string, provider: string, apiBaseUrl: string, model: string, phase: string, createdAt: number, size: number}>>}
+     *   `size` in bytes
+     */
+    async list() {
+      const entries = await Promise.all((await entryFiles()).map(async (name) => {
+        const filePath = path.join(dir, name);
+        const [entry, stats] = await Promise.all([readEntry(filePath), fs.stat(filePath).catch(() => null)]);
+        if (!entry || !stats) return null;
+        const { key, provider, apiBaseUrl, model, phase, createdAt } = entry;
+        return { key, provider, apiBaseUrl, model, phase, createdAt, size: stats.size };
+      }));
+      return entries.filter(Boolean).sort((a, b) => b.createdAt - a.createdAt);
+    },
+
+    /**
+     * Delete every entry, or those matching `filter`.
+     * @param {Object} [filter={}] - `{ model?, phase? }`
+     * @returns {Promise<number>} Entries removed
+     */
+    async clear({ model, phase } = {}) {
+      const entries = model || phase ? await this.list() : (await entryFiles()).map(name => ({ key: name.slice(0, -5) }));
+      const matching = entries.filter(entry => (!model || entry.model === model) && (!phase || entry.phase === phase));
+      await Promise.all(matching.map(entry => fs.rm(fileFor(entry.key), { force: true })));
+      return matching.length;
+    },
+
+    /**
+     * @returns {Promise<boolean>} Whether the entry existed
+     */
+    async remove(key) {
+      if (!KEY_PATTERN.test(key)) return false;
+      try {
+        await fs.rm(fileFor(key));
+        return true;
+      } catch {
+        return false;
+      }
+    },
+  };
+}
@@ -0,0 +1,168 @@
+// ---------------------------------------------------------------------------
+// JSON Schemas for the analysis responses
+//
+// Sent to providers that support structured output (see the adapters'
+// chatRequest) and checked locally against every response. All schemas meet
+// OpenAI's strict mode: every property is required and no others are allowed.
+// validateSchema covers the keywords used here: type, enum, required,
+// properties, additionalProperties, items, minItems, minLength. minLength is
+// checked locally only, since strict mode rejects it.
+// ---------------------------------------------------------------------------
+
+export const CHARACTER_ROLES = ['main_character', 'protagonist', 'love_interest', 'antagonist', 'supporting', 'mentor', 'rival'];
+
+const string = { type: 'string' };
+const nonEmptyString = { type: 'string', minLength: 1 };
+const stringList = { type: 'array', items: string };
+
+function object(properties) {
+  return { type: 'object', properties, required: Object.keys(properties), additionalProperties: false };
+}
+
+const worldEntry = object({
+  name: nonEmptyString,
+  description: string,
+  keywords: stringList,
+});
+
+export const EXTRACTION_SCHEMA = {
+  name: 'character_roster',
+  schema: object({
+    bookTitle: string,
+    characters: {
+      type: 'array',
+      minItems: 1,
+      items: object({
+        name: nonEmptyString,
+        aliases: stringList,
+        role: { type: 'string', enum: CHARACTER_ROLES },
+        briefDescription: string,
+      }),
+    },
+    worldInfo: object({
+      setting: string,
+      locations: { type: 'array', items: worldEntry },
+      factions: { type: 'array', items: worldEntry },
+      items: { type: 'array', items: worldEntry },
+      concepts: { type: 'array', items: worldEntry },
+    }),
+  }),
+};
+
+const namedNote = object({
+  name: nonEmptyString,
+  description: string,
+});
+
+export const CHUNK_NOTES_SCHEMA = {
+  name: 'chunk_notes',
+  schema: object({
+    characters: {
+      type: 'array',
+      items: object({
+        name: nonEmptyString,
+        aliases: stringList,
+        notes: stringList,
+      }),
+    },
+    locations: { type: 'array', items: namedNote },
+    items: { type: 'array', items: namedNote },
+    events: stringList,
+    quotes: {
+      type: 'array',
+      items: object({
+        speaker: nonEmptyString,
+        text: nonEmptyString,
+      }),
+    },
+  }),
+};
+
+export const CHARACTER_DETAIL_SCHEMA = {
+  name: 'character_profile',
+  schema: object({
+    name: nonEmptyString,
+    role: { type: 'string', enum: CHARACTER_ROLES },
+    background: nonEmptyString,
+    physicalDescription: string,
+    personality: nonEmptyString,
+    commonPhrases: stringList,
+    scenario: string,
+    firstMessages: { type: 'array', minItems: 1, items: nonEmptyString },
+    exampleDialogue: string,
+    tags: stringList,
+    canBePersona: { type: 'boolean' },
+  }),
+};
+
+const LOCAL_ONLY_KEYWORDS = ['minLength'];
+
+function withoutLocalKeywords(schema) {
+  if (Array.isArray(schema)) return schema.map(withoutLocalKeywords);
+  if (!schema || typeof schema !== 'object') return schema;
+  return Object.fromEntries(Object.entries(schema)
+    .filter(([key]) => !LOCAL_ONLY_KEYWORDS.includes(key))
+    .map(([key, value]) => [key, key === 'enum' ? value : withoutLocalKeywords(value)]));
+}
+
+/**
+ * `response_format` asking for JSON matching `definition` (one of the
+ * schemas above). Adapters translate it for their API.
+ */
+export function schemaResponseFormat({ name, schema }) {
+  return { type: 'json_schema', json_schema: { name, strict: true, schema: withoutLocalKeywords(schema) } };
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Check `value` against `schema`.
+ * @param {any} value
+ * @param {Object} schema
+ * @param {string} [path=''] - JSON Pointer of `value` within the response
+ * @returns {Array<string>} One message per violation, e.g. `/tags: expected array, got string`
+ */
+export function validateSchema(value, schema, path = '') {
+  const at = path || '/';
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [`${at}: expected ${schema.type}, got ${typeOf(value)}`];
+  }
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+  }
+  if (schema.minLength !== undefined && typeof value === 'string' && value.trim().length < schema.minLength) {
+    errors.push(`${at}: must not be empty`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${at}: needs at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}, got ${value.length}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}/${index}`)));
+    }
+  } else if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}/${key}: required property is missing`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (schema.properties?.[key]) {
+        errors.push(...validateSchema(item, schema.properties[key], `${path}/${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}/${key}: property is not allowed`);
+      }
+    }
+  }
+  return errors;
+}
@@ -0,0 +1,140 @@
+import { normalizeName } from './seriesMerger.js';
+
+// ---------------------------------------------------------------------------
+// Passage retrieval
+//
+// BM25 index over passages of the original chapters, so each Phase 2 prompt
+// for a long book can quote the parts of the book that mention that
+// character instead of relying on the chunk notes alone. Runs locally; no
+// embedding model or extra requests are needed.
+// ---------------------------------------------------------------------------
+
+const PASSAGE_TOKENS = 400;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Words in names that match too many passages on their own ("Old Tom", "Lady of the Lake")
+const NAME_STOPWORDS = new Set([
+  'the', 'of', 'and', 'a', 'an', 'old', 'young', 'little', 'big', 'great', 'mr', 'mrs', 'ms', 'miss',
+  'dr', 'sir', 'lady', 'lord', 'captain', 'capt', 'professor', 'prof', 'saint', 'st', 'king', 'queen',
+  'prince', 'princess', 'de', 'da', 'di', 'du', 'van', 'von', 'la', 'le',
+]);
+
+function words(text) {
+  return text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Split chapters (or plain text) into passages of whole paragraphs of up to
+ * about PASSAGE_TOKENS tokens, in reading order.
+ * @param {Array<{title: string, text: string}>|null} chapters
+ * @param {string} text - Used when there are no chapters
+ * @param {{count: (text: string) => number}} tokenizer
+ * @returns {Array<{index: number, chapter: string, text: string, tokens: number}>}
+ */
+export function splitPassages(chapters, text, tokenizer) {
+  const sources = chapters?.length ? chapters : [{ title: '', text }];
+  const passages = [];
+
+  for (const { title, text: chapterText } of sources) {
+    let paragraphs = [];
+    let tokens = 0;
+    const flush = () => {
+      if (!paragraphs.length) return;
+      passages.push({ index: passages.length, chapter: title || '', text: paragraphs.join('\n\n'), tokens });
+      paragraphs = [];
+      tokens = 0;
+    };
+
+    for (const paragraph of (chapterText || '').split(/\n\s*\n/)) {
+      const trimmed = paragraph.trim();
+      if (!trimmed) continue;
+      const paragraphTokens = tokenizer.count(trimmed);
+      if (tokens && tokens + paragraphTokens > PASSAGE_TOKENS) flush();
+      paragraphs.push(trimmed);
+      tokens += paragraphTokens;
+    }
+    flush();
+  }
+  return passages;
+}
+
+/**
+ * BM25 index over `passages` (splitPassages() result).
+ */
+export function createPassageIndex(passages) {
+  const termCounts = passages.map((passage) => {
+    const counts = new Map();
+    for (const word of words(passage.text)) counts.set(word, (counts.get(word) || 0) + 1);
+    return counts;
+  });
+  const lengths = termCounts.map(counts => [...counts.values()].reduce((sum, n) => sum + n, 0));
+  const averageLength = lengths.reduce((sum, n) => sum + n, 0) / (passages.length || 1);
+  const documentFrequency = new Map();
+  for (const counts of termCounts) {
+    for (const term of counts.keys()) documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+  }
+
+  const idf = (term) => {
+    const df = documentFrequency.get(term) || 0;
+    return Math.log(1 + (passages.length - df + 0.5) / (df + 0.5));
+  };
+
+  return {
+    passages,
+
+    /**
+     * Passages containing any of `terms`, best first.
+     * @param {Array<string>} terms - Lowercase words
+     * @returns {Array<{passage: Object, score: number}>}
+     */
+    search(terms) {
+      const unique = [...new Set(terms)];
+      const results = [];
+      termCounts.forEach((counts, i) => {
+        let score = 0;
+        for (const term of unique) {
+          const tf = counts.get(term);
+          if (!tf) continue;
+          score += idf(term) * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * lengths[i] / averageLength));
+        }
+        if (score > 0) results.push({ passage: passages[i], score });
+      });
+      return results.sort((a, b) => b.score - a.score || a.passage.index - b.passage.index);
+    },
+  };
+}
+
+/**
+ * Query words for a character: the words of their name and aliases, without
+ * honorifics and other words too common to pick them out (unless that is all
+ * the name has).
+ * @param {string} name
+ * @param {Array<string>} [aliases=[]]
+ * @returns {Array<string>}
+ */
+export function nameTerms(name, aliases = []) {
+  const terms = [...new Set([name, ...aliases].flatMap(value => words(normalizeName(value))))];
+  const distinctive = terms.filter(term => term.length > 1 && !NAME_STOPWORDS.has(term));
+  // "The King" has nothing better to search for
+  return distinctive.length ? distinctive : terms;
+}
+
+/**
+ * The passages that best match a character, up to `maxTokens`, in reading order.
+ * @param {Object} index - createPassageIndex() result
+ * @param {string} name
+ * @param {Array<string>} aliases
+ * @param {number} maxTokens
+ * @returns {Array<{index: number, chapter: string, text: string, tokens: number}>}
+ */
+export function findCharacterPassages(index, name, aliases, maxTokens) {
+  const selected = [];
+  let tokens = 0;
+  for (const { passage } of index.search(nameTerms(name, aliases))) {
+    if (tokens + passage.tokens > maxTokens) continue;
+    selected.push(passage);
+    tokens += passage.tokens;
+  }
+  return selected.sort((a, b) => a.index - b.index);
+}
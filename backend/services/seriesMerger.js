@@ -0,0 +1,234 @@
+// Combine the per-volume analyses of a book series into one character roster
+// and one world, keeping what each volume added to a character or entry.
+
+const NAME_PREFIX_PATTERN = /^(?:mr|mrs|ms|miss|dr|sir|lady|lord|captain|capt|professor|prof)\.?\s+/;
+const WORLD_CATEGORIES = ['locations', 'factions', 'items', 'concepts'];
+
+// Lower is more prominent (same order as the card generator)
+const ROLE_RANK = {
+  main_character: 0,
+  protagonist: 1,
+  love_interest: 2,
+  antagonist: 3,
+  supporting: 4,
+  mentor: 5,
+  rival: 6,
+};
+
+const MAX_MERGED_PHRASES = 8;
+const MAX_MERGED_GREETINGS = 6;
+const MAX_MERGED_DIALOGUE = 6;
+
+/**
+ * Lowercase a name and strip honorifics and punctuation for matching.
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeName(name) {
+  return (name || '')
+    .toLowerCase()
+    .replace(NAME_PREFIX_PATTERN, '')
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Find the entry for `name` in a list of named objects: an exact match on the
+ * normalized name, else the only entry whose name words contain (or are
+ * contained in) those of `name` — "Anna" matches "Anna Marsh" when no other
+ * Anna is known.
+ * @param {Array<{name: string}>} list
+ * @param {string} name
+ * @returns {Object|null}
+ */
+export function findByName(list, name) {
+  const target = normalizeName(name);
+  if (!target || !list?.length) return null;
+
+  const exact = list.find(item => normalizeName(item.name) === target);
+  if (exact) return exact;
+
+  const targetWords = target.split(' ');
+  const partial = list.filter((item) => {
+    const words = normalizeName(item.name).split(' ');
+    const [shorter, longer] = words.length < targetWords.length ? [words, targetWords] : [targetWords, words];
+    return shorter[0] && shorter.every(word => longer.includes(word));
+  });
+  return partial.length === 1 ? partial[0] : null;
+}
+
+/**
+ * Strings of `first` then `second`, without blanks or case-insensitive repeats.
+ * @returns {Array<string>} At most `limit` trimmed strings
+ */
+export function unionStrings(first = [], second = [], limit = Infinity) {
+  const seen = new Set();
+  const result = [];
+  for (const value of [...first, ...second]) {
+    const key = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    result.push(value.trim());
+  }
+  return result.slice(0, limit);
+}
+
+/**
+ * Join per-volume text, labelling each part once more than one volume contributed.
+ * @param {Array<{volume: string, text: string}>} sections
+ */
+function formatByVolume(sections) {
+  const parts = sections.filter(section => section.text);
+  if (parts.length <= 1) return parts[0]?.text || '';
+  return parts.map(section => `${section.volume}: ${section.text}`).join('\n\n');
+}
+
+/**
+ * The more prominent of two roles (see ROLE_RANK); `earlier` on a tie.
+ */
+export function moreProminentRole(earlier, later) {
+  return (ROLE_RANK[later] ?? 99) < (ROLE_RANK[earlier] ?? 99) ? later : earlier;
+}
+
+function startCharacter(character, volume) {
+  return {
+    ...character,
+    volumes: [volume],
+    arc: [{ volume, text: character.background || '' }],
+  };
+}
+
+/**
+ * Add a later volume's profile to a character seen earlier in the series.
+ * The background grows by one section per volume; appearance, personality,
+ * scenario and dialogue describe the character as of the latest volume.
+ */
+function mergeCharacter(earlier, later, volume) {
+  const arc = [...earlier.arc, { volume, text: later.background || '' }];
+  const name = later.name.length > earlier.name.length ? later.name : earlier.name;
+  return {
+    ...earlier,
+    name,
+    aliases: unionStrings(earlier.aliases, [earlier.name, later.name, ...(later.aliases || [])])
+      .filter(alias => normalizeName(alias) !== normalizeName(name)),
+    role: moreProminentRole(earlier.role, later.role),
+    background: formatByVolume(arc),
+    physicalDescription: later.physicalDescription || earlier.physicalDescription,
+    personality: later.personality || earlier.personality,
+    commonPhrases: unionStrings(later.commonPhrases, earlier.commonPhrases, MAX_MERGED_PHRASES),
+    scenario: later.scenario || earlier.scenario,
+    firstMessages: unionStrings(later.firstMessages, earlier.firstMessages, MAX_MERGED_GREETINGS),
+    exampleDialogue: later.exampleDialogue || earlier.exampleDialogue,
+    phraseCheck: [...(later.phraseCheck || []), ...(earlier.phraseCheck || [])],
+    bookDialogue: [...(later.bookDialogue || []), ...(earlier.bookDialogue || [])].slice(0, MAX_MERGED_DIALOGUE),
+    tags: unionStrings(earlier.tags, later.tags),
+    canBePersona: Boolean(earlier.canBePersona || later.canBePersona),
+    generatedBy: later.generatedBy || earlier.generatedBy,
+    volumes: [...earlier.volumes, volume],
+    arc,
+  };
+}
+
+/**
+ * Merge one category of world entries; each entry keeps its per-volume
+ * `history` so the description can be rebuilt as volumes are added.
+ */
+function mergeWorldEntries(earlier = [], later = [], volume) {
+  const merged = earlier.map(entry => ({ ...entry }));
+  for (const entry of later) {
+    if (!entry?.name) continue;
+    const existing = findByName(merged, entry.name);
+    if (!existing) {
+      merged.push({ ...entry, history: [{ volume, text: entry.description || '' }] });
+      continue;
+    }
+    existing.history = [...existing.history, { volume, text: entry.description || '' }];
+    existing.description = formatByVolume(existing.history);
+    existing.keywords = unionStrings(existing.keywords, entry.keywords);
+    existing.generatedBy = entry.generatedBy || existing.generatedBy;
+  }
+  return merged;
+}
+
+/**
+ * Fold one volume's analysis into the series so far.
+ *
+ * Characters are matched by name (see findByName); a returning character's
+ * background gains a section for the new volume and the rest of the profile
+ * is updated to the latest volume. World entries are matched the same way and
+ * gain a description section and keywords; the setting is taken from the
+ * latest volume, whose prompt already included the earlier one.
+ *
+ * @param {Object|null} series - Result of a previous call, or null for the first volume
+ * @param {Object} analysis - analyzeBook result for this volume
+ * @param {string} volume - Volume label used in merged text
+ * @returns {{ characters: Array<Object>, worldInfo: Object, volumes: Array<string> }}
+ */
+export function mergeVolumeAnalysis(series, analysis, volume) {
+  const characters = (series?.characters || []).map(ch => ({ ...ch }));
+  for (const character of analysis.characters || []) {
+    const index = characters.indexOf(findByName(characters, character.name));
+    if (index === -1) characters.push(startCharacter(character, volume));
+    else characters[index] = mergeCharacter(characters[index], character, volume);
+  }
+
+  const previousWorld = series?.worldInfo || {};
+  const world = analysis.worldInfo || {};
+  const worldInfo = {
+    setting: world.setting || previousWorld.setting || '',
+    generatedBy: world.generatedBy || previousWorld.generatedBy,
+  };
+  for (const category of WORLD_CATEGORIES) {
+    worldInfo[category] = mergeWorldEntries(previousWorld[category], world[category], volume);
+  }
+
+  return {
+    characters,
+    worldInfo,
+    volumes: [...(series?.volumes || []), volume],
+  };
+}
+
+/**
+ * Longest shared leading words of the volume titles ("Side by Side" from
+ * "Side by Side: A Cozy..." and "Side by Side 2: ..."), or '' if none.
+ */
+function commonTitlePrefix(titles) {
+  if (titles.length < 2) return '';
+  const split = titles.map(title => title.split(/\s+/));
+  const prefix = [];
+  for (let i = 0; split.every(words => i < words.length); i++) {
+    const word = split[0][i].replace(/[:,\-–—]+$/, '');
+    if (!split.every(words => words[i].replace(/[:,\-–—]+$/, '').toLowerCase() === word.toLowerCase())) break;
+    prefix.push(word);
+    if (split.some(words => /[:,\-–—]$/.test(words[i]))) break;
+  }
+  return prefix.join(' ').replace(/[\s:,\-–—]+$/, '');
+}
+
+/**
+ * Book metadata for a whole series, in the shape generateCharacterCards and
+ * generateLorebook take: the series name as title, every author and tag, and
+ * a description listing the volumes.
+ * @param {Array<Object>} volumes - Per-volume metadata, in reading order
+ * @returns {Object}
+ */
+export function buildSeriesMetadata(volumes) {
+  const titles = volumes.map(meta => meta.title).filter(Boolean);
+  const series = volumes.find(meta => meta.series)?.series;
+  const creators = unionStrings(volumes.flatMap(meta => (meta.creator || '').split(/\s*,\s*/))
+    .filter(name => name && name !== 'Unknown Author'));
+
+  return {
+    title: series || commonTitlePrefix(titles) || titles[0] || 'Book Series',
+    creator: creators.join(', '),
+    series: series || undefined,
+    subject: unionStrings(volumes.flatMap(meta => meta.subject || [])),
+    language: volumes.find(meta => meta.language)?.language,
+    description: `Covers ${volumes.length} volumes:\n${volumes
+      .map((meta, i) => `${i + 1}. ${meta.title || `Volume ${i + 1}`}`)
+      .join('\n')}`,
+    identifiers: {},
+  };
+}
@@ -0,0 +1,102 @@
+import logger from '../utils/logger.js';
+import { CHARS_PER_TOKEN, CLAUDE_TOKEN_RATIO } from '../config/constants.js';
+
+// ---------------------------------------------------------------------------
+// Token counting
+//
+// Local BPE tokenizers for the common model families, picked by model ID.
+// Vocabularies are large, so each one is loaded on first use and cached.
+// Models without a known tokenizer (or whose tokenizer fails to load) use the
+// character heuristic.
+// ---------------------------------------------------------------------------
+
+// CJK ideographs, kana and hangul: roughly one token per character
+const WIDE_CHAR_PATTERN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/g;
+
+/**
+ * Character-based estimate: CHARS_PER_TOKEN for most scripts, one token per
+ * CJK character.
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  const wide = text.match(WIDE_CHAR_PATTERN)?.length || 0;
+  return wide + Math.ceil((text.length - wide) / CHARS_PER_TOKEN);
+}
+
+const heuristicTokenizer = { name: 'heuristic', exact: false, count: estimateTokens };
+
+async function loadTiktoken(encoding) {
+  const { Tiktoken } = await import('js-tiktoken/lite');
+  const { default: ranks } = await import(`js-tiktoken/ranks/${encoding}`);
+  const encoder = new Tiktoken(ranks);
+  // Special-token text such as "<|endoftext|>" in a book is counted as plain text
+  return text => encoder.encode(text, [], []).length;
+}
+
+// SentencePiece encoders are quadratic-ish on very long inputs, so count per paragraph
+function byParagraph(countPiece) {
+  return text => text.split(/\n\n+/).reduce((sum, paragraph) => sum + countPiece(paragraph), 0);
+}
+
+const FAMILIES = [
+  {
+    name: 'o200k',
+    pattern: /gpt-4o|gpt-4\.1|gpt-4\.5|gpt-5|chatgpt|(^|\/)o\d(-|$)/i,
+    load: () => loadTiktoken('o200k_base'),
+  },
+  {
+    name: 'cl100k',
+    pattern: /gpt-4|gpt-3\.5|text-embedding/i,
+    load: () => loadTiktoken('cl100k_base'),
+  },
+  {
+    name: 'llama3',
+    pattern: /llama-?3/i,
+    load: async () => {
+      const { default: llama3Tokenizer } = await import('llama3-tokenizer-js');
+      return text => llama3Tokenizer.encode(text, { bos: false, eos: false }).length;
+    },
+  },
+  {
+    name: 'mistral',
+    pattern: /mistral|mixtral|ministral|codestral|llama-?2/i,
+    load: async () => {
+      const { default: mistralTokenizer } = await import('mistral-tokenizer-js');
+      return byParagraph(text => (text ? mistralTokenizer.encode(text, false).length : 0));
+    },
+  },
+  {
+    // Claude's tokenizer is not public: cl100k scaled up, erring on the high side
+    name: 'claude',
+    approximate: true,
+    pattern: /claude|anthropic/i,
+    load: async () => {
+      const countCl100k = await loadTiktoken('cl100k_base');
+      return text => Math.ceil(countCl100k(text) * CLAUDE_TOKEN_RATIO);
+    },
+  },
+];
+
+const loaded = new Map();
+
+/**
+ * Token counter for a model.
+ * @param {string} model
+ * @returns {Promise<{name: string, exact: boolean, count: (text: string) => number}>}
+ */
+export async function getTokenizer(model) {
+  const family = FAMILIES.find(f => f.pattern.test(model || ''));
+  if (!family) return heuristicTokenizer;
+
+  if (!loaded.has(family.name)) {
+    loaded.set(family.name, family.load()
+      .then(count => ({ name: family.name, exact: !family.approximate, count: text => (text ? count(text) : 0) }))
+      .catch((error) => {
+        logger.warn(`Could not load ${family.name} tokenizer, estimating tokens from length: ${error.message}`);
+        return heuristicTokenizer;
+      }));
+  }
+  return loaded.get(family.name);
+}
@@ -0,0 +1,222 @@
+import {
+  PROMPT_OVERHEAD_TOKENS,
+  ESTIMATED_SUMMARY_TOKENS,
+  ESTIMATED_EXTRACTION_TOKENS,
+  ESTIMATED_CHARACTER_TOKENS,
+  ESTIMATED_CHARACTER_COUNT,
+} from '../config/constants.js';
+
+// ---------------------------------------------------------------------------
+// Token usage and cost
+//
+// Breakdowns are keyed by pipeline phase: `summarize` (chunk summaries and
+// condensing), `extract` (Phase 1 roster) and `characters` (Phase 2 profiles).
+// Prices are OpenRouter-style USD per token.
+// ---------------------------------------------------------------------------
+
+export const USAGE_PHASES = ['summarize', 'extract', 'characters'];
+
+/**
+ * Read a model's `pricing` (OpenRouter sends per-token prices as strings).
+ * Accepts the object or its JSON string, as sent in form fields.
+ * @returns {{prompt: number, completion: number, request: number}|null} Null when unknown
+ */
+export function parsePricing(pricing) {
+  if (!pricing) return null;
+  if (typeof pricing === 'string') {
+    try {
+      pricing = JSON.parse(pricing);
+    } catch {
+      return null;
+    }
+  }
+  const prompt = Number(pricing.prompt);
+  const completion = Number(pricing.completion);
+  if (!Number.isFinite(prompt) || !Number.isFinite(completion)) return null;
+  return { prompt, completion, request: Number(pricing.request) || 0 };
+}
+
+function emptyPhase() {
+  return { requests: 0, cachedResponses: 0, promptTokens: 0, completionTokens: 0, cost: 0, estimated: false };
+}
+
+function priceOf(rates, { requests, promptTokens, completionTokens }) {
+  return promptTokens * rates.prompt + completionTokens * rates.completion + requests * rates.request;
+}
+
+function addTotal(phases, priced) {
+  const total = emptyPhase();
+  for (const phase of Object.values(phases)) {
+    total.requests += phase.requests;
+    total.cachedResponses += phase.cachedResponses || 0;
+    total.promptTokens += phase.promptTokens;
+    total.completionTokens += phase.completionTokens;
+    total.cost += phase.cost || 0;
+    total.estimated ||= phase.estimated;
+  }
+  if (!priced) total.cost = null;
+  return { phases, total, priced, currency: 'USD' };
+}
+
+/**
+ * Add up the `usage` of every completion in a run.
+ * @param {Object|string|null} pricing - Model pricing; costs are null when unknown
+ */
+export function createUsageTracker(pricing = null) {
+  const rates = parsePricing(pricing);
+  const phases = {};
+  let costReported = false;
+  let callsPriced = false;
+
+  return {
+    /**
+     * @param {string} phase
+     * @param {Object} usage - OpenAI-style `{ prompt_tokens, completion_tokens, cost? }`;
+     *   `estimated: true` marks counts made locally because the provider sent none
+     * @param {Object|string|null} [modelPricing=null] - Pricing of the model that made this call (e.g. a
+     *   fallback model); the tracker's `pricing` when not given
+     */
+    record(phase, usage, modelPricing = null) {
+      const entry = (phases[phase] ||= emptyPhase());
+      const promptTokens = usage?.prompt_tokens || 0;
+      const completionTokens = usage?.completion_tokens || 0;
+      entry.requests += 1;
+      entry.promptTokens += promptTokens;
+      entry.completionTokens += completionTokens;
+      entry.estimated ||= Boolean(usage?.estimated);
+      // OpenRouter reports the charged amount itself when usage accounting is on
+      if (typeof usage?.cost === 'number') {
+        entry.cost += usage.cost;
+        costReported = true;
+      } else {
+        const callRates = parsePricing(modelPricing) || rates;
+        if (callRates) {
+          entry.cost += priceOf(callRates, { requests: 1, promptTokens, completionTokens });
+          callsPriced = true;
+        }
+      }
+    },
+
+    /**
+     * Count a step answered from the response cache (no request, no cost).
+     * @param {string} phase
+     */
+    recordCached(phase) {
+      (phases[phase] ||= emptyPhase()).cachedResponses += 1;
+    },
+
+    /**
+     * @returns {{phases: Object, total: Object, priced: boolean, currency: string}}
+     */
+    summary() {
+      const priced = Boolean(rates) || costReported || callsPriced;
+      const ordered = {};
+      for (const name of [...USAGE_PHASES, ...Object.keys(phases)]) {
+        if (phases[name] && !ordered[name]) ordered[name] = { ...phases[name], cost: priced ? phases[name].cost : null };
+      }
+      return addTotal(ordered, priced);
+    },
+  };
+}
+
+/**
+ * Prices and typical output sizes behind estimateRunCost, returned by
+ * `/preview` so the client can show what an estimate assumes.
+ * @param {Object|string|null} pricing
+ */
+export function getCostModel(pricing) {
+  return {
+    rates: parsePricing(pricing),
+    promptOverheadTokens: PROMPT_OVERHEAD_TOKENS,
+    summaryTokens: ESTIMATED_SUMMARY_TOKENS,
+    extractionTokens: ESTIMATED_EXTRACTION_TOKENS,
+    characterTokens: ESTIMATED_CHARACTER_TOKENS,
+    characterCount: ESTIMATED_CHARACTER_COUNT,
+  };
+}
+
+/**
+ * Estimate the requests, tokens and cost of a run before it starts.
+ * Output lengths and the character count are typical values, so this is a
+ * ballpark figure; input sizes come from the tokenizer.
+ *
+ * @param {Object} input
+ * @param {number} input.bookTokens - Tokens in the text to analyze
+ * @param {number} input.chunkCount - Chunk summaries needed (0 when the book fits)
+ * @param {number} input.maxTokensForInput - Input budget for the analysis prompts
+ * @param {Object} costModel - getCostModel() result
+ */
+export function estimateRunCost({ bookTokens, chunkCount, maxTokensForInput }, costModel) {
+  const { rates, promptOverheadTokens, summaryTokens, extractionTokens, characterTokens, characterCount } = costModel;
+  const analyzedTokens = chunkCount > 0
+    ? Math.min(chunkCount * summaryTokens, maxTokensForInput)
+    : bookTokens;
+
+  const phases = {};
+  if (chunkCount > 0) {
+    phases.summarize = {
+      requests: chunkCount,
+      promptTokens: bookTokens + chunkCount * promptOverheadTokens,
+      completionTokens: chunkCount * summaryTokens,
+    };
+  }
+  phases.extract = {
+    requests: 1,
+    promptTokens: analyzedTokens + promptOverheadTokens,
+    completionTokens: extractionTokens,
+  };
+  // Profiles of a chunked book read the notes plus passages about the character, up to the input budget
+  const profileTokens = chunkCount > 0 ? maxTokensForInput : bookTokens;
+  phases.characters = {
+    requests: characterCount,
+    promptTokens: characterCount * (profileTokens + promptOverheadTokens),
+    completionTokens: characterCount * characterTokens,
+  };
+
+  for (const phase of Object.values(phases)) {
+    phase.cost = rates ? priceOf(rates, phase) : null;
+    phase.estimated = true;
+  }
+  return addTotal(phases, Boolean(rates));
+}
+
+/**
+ * Estimate the chunks, requests and cost of analyzing a selection of
+ * chapters, packed the same way as chunkByChapters in aiService. `/preview`
+ * returns it for the default selection and `/estimate` for the client's.
+ * @param {Array<number>} chapterTokens - Tokens in each selected chapter (the whole text as one when there are none)
+ * @param {{maxTokensForInput: number, tokensPerChunk: number}} limits
+ * @param {Object} costModel - getCostModel() result
+ * @returns {{estimatedTokens: number, fitsInContext: boolean, estimatedChunks: number, totalRequests: number,
+ *   costEstimate: Object}}
+ */
+export function estimateSelection(chapterTokens, { maxTokensForInput, tokensPerChunk }, costModel) {
+  const estimatedTokens = chapterTokens.reduce((sum, tokens) => sum + tokens, 0);
+  const fitsInContext = estimatedTokens <= maxTokensForInput;
+
+  let estimatedChunks = 0;
+  if (!fitsInContext) {
+    let currentSize = 0;
+    estimatedChunks = 1;
+    for (const tokens of chapterTokens) {
+      if (tokens > tokensPerChunk) {
+        if (currentSize > 0) estimatedChunks++;
+        estimatedChunks += Math.ceil(tokens / tokensPerChunk);
+        currentSize = 0;
+      } else if (currentSize + tokens > tokensPerChunk) {
+        estimatedChunks++;
+        currentSize = tokens;
+      } else {
+        currentSize += tokens;
+      }
+    }
+  }
+
+  return {
+    estimatedTokens,
+    fitsInContext,
+    estimatedChunks,
+    totalRequests: fitsInContext ? 1 : estimatedChunks + 1,
+    costEstimate: estimateRunCost({ bookTokens: estimatedTokens, chunkCount: estimatedChunks, maxTokensForInput }, costModel),
+  };
+}
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeBook } from '../services/aiService.js';
+import { startMockProvider, loadScenario } from './mockProvider.js';
+
+// analyzeBook against the mock provider's problem scenarios
+
+const TEXT = 'Eleanor climbed the lighthouse stairs while Marcus waited below. '.repeat(40);
+
+async function runScenario(name) {
+  const mock = await startMockProvider(await loadScenario(name));
+  const events = [];
+  try {
+    const analysis = await analyzeBook(TEXT, {
+      apiKey: 'test-key',
+      model: 'mock-model',
+      apiBaseUrl: mock.url,
+      contextLength: 100000,
+      sessionId: 'test',
+      updateProgress: (sessionId, message, details) => events.push({ message, ...details }),
+    });
+    return { analysis, requests: mock.requests, events };
+  } finally {
+    await mock.close();
+  }
+}
+
+const byName = (analysis, name) => analysis.characters.find(c => c.name === name);
+
+test('asks for structured output with a JSON Schema', async () => {
+  const { analysis, requests } = await runScenario('happy');
+  assert.deepEqual(requests.map(r => r.responseFormat), ['json_schema', 'json_schema', 'json_schema', 'json_schema']);
+  assert.equal(analysis.bookTitle, 'Mock Book');
+  assert.equal(analysis.characters.length, 3);
+});
+
+test('continues a roster cut off by the output limit', async () => {
+  const { analysis, requests } = await runScenario('truncated');
+  assert.deepEqual(requests.slice(0, 2).map(r => r.kind), ['extract', 'continue']);
+  assert.equal(analysis.characters.length, 3);
+  assert.equal(analysis.worldInfo.locations[0].name, 'Gull Point Lighthouse');
+});
+
+test('repairs unparseable and mistyped responses', async () => {
+  const { analysis, requests, events } = await runScenario('malformed');
+  assert.equal(requests.filter(r => r.kind === 'extract').length, 1, 'fenced JSON is parsed without a new request');
+
+  const repairs = requests.filter(r => r.kind === 'repair');
+  assert.deepEqual(repairs.map(r => r.name).sort(), ['Marcus Hale', 'Old Tom']);
+  const tomRepair = repairs.find(r => r.name === 'Old Tom').messages.at(-1).content;
+  assert.match(tomRepair, /\/tags: expected array, got string/);
+  assert.match(tomRepair, /\/canBePersona: expected boolean, got string/);
+  assert.match(repairs.find(r => r.name === 'Marcus Hale').messages.at(-1).content, /not valid JSON/);
+
+  assert.ok(Array.isArray(byName(analysis, 'Old Tom').tags));
+  assert.equal(typeof byName(analysis, 'Old Tom').canBePersona, 'boolean');
+  assert.ok(byName(analysis, 'Marcus Hale').background);
+  assert.equal(events.filter(e => e.type === 'retry' && e.phase === 'characters').length, 2);
+});
+
+test('retries rate limits and server errors', async () => {
+  const { analysis, requests, events } = await runScenario('rate-limit');
+  assert.equal(requests.filter(r => r.kind === 'extract').length, 3);
+  const retries = events.filter(e => e.type === 'retry' && e.phase === 'extract');
+  assert.equal(retries.length, 2);
+  assert.match(retries[0].error, /Rate limited/);
+  assert.match(retries[1].error, /server error \(503/);
+  assert.equal(analysis.characters.length, 3);
+});
+
+test('starts no more profiles once one fails for good', async () => {
+  const mock = await startMockProvider(await loadScenario('fatal-character'));
+  // Each profile task starts by looking for a saved profile
+  const started = [];
+  const checkpoint = {
+    load: async (key) => {
+      if (key.startsWith('character-')) started.push(key);
+      return null;
+    },
+    save: async () => {},
+  };
+  try {
+    await assert.rejects(analyzeBook(TEXT, {
+      apiKey: 'test-key',
+      model: 'mock-model',
+      apiBaseUrl: mock.url,
+      contextLength: 100000,
+      checkpoint,
+    }), /API key/i);
+    // Ada Pike waited for a free slot, which opened when Eleanor's request was rejected
+    assert.deepEqual(started, ['character-1-eleanor-vance', 'character-2-marcus-hale', 'character-3-old-tom']);
+  } finally {
+    await mock.close();
+  }
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveAliases } from '../services/aliasResolver.js';
+
+const entry = (name, role = 'supporting', aliases = []) => ({ name, role, aliases, briefDescription: `About ${name}.` });
+
+test('merges nicknames, short forms and roster aliases into the fullest name', () => {
+  const { characters, merges } = resolveAliases([
+    entry('Liz', 'main_character'),
+    entry('Elizabeth'),
+    entry('Elizabeth Bennet', 'supporting', ['Miss Bennet']),
+    entry('Miss Bennet'),
+    entry('Mr. Darcy', 'love_interest'),
+  ]);
+
+  assert.deepEqual(characters.map(c => c.name), ['Elizabeth Bennet', 'Mr. Darcy']);
+  const elizabeth = characters[0];
+  assert.equal(elizabeth.role, 'main_character');
+  assert.equal(elizabeth.briefDescription, 'About Elizabeth Bennet.');
+  assert.deepEqual(elizabeth.aliases.sort(), ['Elizabeth', 'Liz', 'Miss Bennet']);
+  assert.deepEqual(merges, [{ name: 'Elizabeth Bennet', duplicates: ['Liz', 'Elizabeth', 'Miss Bennet'] }]);
+});
+
+test('keeps names claimed by more than one character apart', () => {
+  const { characters } = resolveAliases([
+    entry('Jane Bennet', 'supporting', ['Miss Bennet']),
+    entry('Elizabeth Bennet', 'main_character', ['Miss Bennet']),
+    entry('Miss Bennet'),
+    entry('Mr. Bennet'),
+    entry('Mrs. Bennet'),
+  ]);
+  assert.equal(characters.length, 5);
+});
+
+test('links names from the chunk notes and the text', () => {
+  const text = 'Thomas Crane, whom everyone called Old Tom, mended nets by the harbor.';
+  const { characters } = resolveAliases(
+    [entry('Thomas Crane', 'mentor'), entry('Old Tom'), entry('Nell'), entry('Eleanor Vance', 'main_character')],
+    { text, notes: [{ name: 'Eleanor Vance', aliases: ['Nell', 'the keeper'] }] },
+  );
+  assert.deepEqual(characters.map(c => [c.name, c.aliases]), [
+    ['Thomas Crane', ['Old Tom']],
+    ['Eleanor Vance', ['Nell']],
+  ]);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createChatCompletion } from '../services/chatCompletion.js';
+
+/**
+ * Serve `body` in two writes split `at` bytes in, with a pause between them
+ * so they arrive as separate chunks.
+ */
+async function serveSplit(contentType, body, at) {
+  const bytes = Buffer.from(body, 'utf8');
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      res.writeHead(200, { 'Content-Type': contentType });
+      res.write(bytes.subarray(0, at));
+      setTimeout(() => res.end(bytes.subarray(at)), 20);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/v1`,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+const request = url => ({ apiBaseUrl: url, apiKey: 'test-key', body: { model: 'mock-model', messages: [] } });
+
+test('keeps multi-byte characters split across stream chunks', async () => {
+  const event = `data: ${JSON.stringify({ choices: [{ index: 0, delta: { content: 'Café “naïve”' }, finish_reason: 'stop' }] })}\n\ndata: [DONE]\n\n`;
+  // Inside the two bytes of "é"
+  const server = await serveSplit('text/event-stream', event, Buffer.from(event.split('é')[0]).length + 1);
+  try {
+    const { content } = await createChatCompletion(request(server.url));
+    assert.equal(content, 'Café “naïve”');
+  } finally {
+    await server.close();
+  }
+});
+
+test('keeps multi-byte characters split across chunks of a non-streamed reply', async () => {
+  const reply = JSON.stringify({ choices: [{ index: 0, message: { content: '“Tschüss”' }, finish_reason: 'stop' }] });
+  const server = await serveSplit('application/json', reply, Buffer.from(reply.split('ü')[0]).length + 1);
+  try {
+    const { content } = await createChatCompletion(request(server.url));
+    assert.equal(content, '“Tschüss”');
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeChunkNotes, renderChunkNotes } from '../services/chunkNotes.js';
+
+const notes = (fields) => ({ characters: [], locations: [], items: [], events: [], quotes: [], ...fields });
+const wordCount = { count: text => text.split(/\s+/).length };
+
+const PARTS = [
+  notes({
+    characters: [{ name: 'Elizabeth Bennet', aliases: ['Lizzy'], notes: ['Second of five sisters.'] }],
+    locations: [{ name: 'Longbourn', description: 'The Bennet family home.' }],
+    events: ['The Bennets hear that Netherfield is let.'],
+    quotes: [{ speaker: 'Lizzy', text: 'I could easily forgive his pride.' }],
+  }),
+  notes({
+    characters: [
+      { name: 'Lizzy', aliases: [], notes: ['Quick-witted.', 'Second of five sisters.'] },
+      { name: 'Mr. Darcy', aliases: ['Darcy'], notes: ['Proud.'] },
+    ],
+    locations: [{ name: 'longbourn', description: 'Near Meryton.' }],
+    events: ['Darcy slights Elizabeth at the assembly.'],
+    quotes: [{ speaker: 'Elizabeth Bennet', text: 'I could easily forgive his pride.' }],
+  }),
+];
+
+test('merges characters and places across chunks by name and alias', () => {
+  const merged = mergeChunkNotes(PARTS);
+
+  assert.deepEqual(merged.characters.map(c => c.name), ['Elizabeth Bennet', 'Mr. Darcy']);
+  const elizabeth = merged.characters[0];
+  assert.deepEqual(elizabeth.aliases, ['Lizzy']);
+  assert.deepEqual(elizabeth.notes, ['Second of five sisters.', 'Quick-witted.']);
+  assert.deepEqual(elizabeth.chunks, [1, 2]);
+
+  assert.equal(merged.locations.length, 1);
+  assert.deepEqual(merged.locations[0].notes, ['The Bennet family home.', 'Near Meryton.']);
+  assert.deepEqual(merged.events.map(e => e.chunk), [1, 2]);
+  assert.deepEqual(merged.quotes, [{ chunk: 1, speaker: 'Elizabeth Bennet', text: 'I could easily forgive his pride.' }]);
+});
+
+test('renders fewer details per entry until the notes fit', () => {
+  const merged = mergeChunkNotes(PARTS);
+  const full = renderChunkNotes(merged, 1000, wordCount);
+  assert.match(full.text, /- Elizabeth Bennet \(also called Lizzy\), in 2 of 2 parts: Second of five sisters\. Quick-witted\./);
+  assert.match(full.text, /Part 2: Darcy slights Elizabeth at the assembly\./);
+
+  const fitted = renderChunkNotes(merged, full.tokens - 1, wordCount);
+  assert.ok(fitted.tokens < full.tokens);
+  assert.match(fitted.text, /in 2 of 2 parts: Second of five sisters\.\n/);
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runWithConcurrency } from '../utils/concurrency.js';
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('keeps the results in task order', async () => {
+  const results = await runWithConcurrency([30, 10, 20].map(ms => async () => {
+    await delay(ms);
+    return ms;
+  }), 2);
+  assert.deepEqual(results, [30, 10, 20]);
+});
+
+test('starts no more tasks after one fails', async () => {
+  const started = [];
+  const tasks = Array.from({ length: 10 }, (_, i) => async () => {
+    started.push(i);
+    if (i === 0) throw new Error('Invalid API key');
+    await delay(20);
+    return i;
+  });
+
+  await assert.rejects(runWithConcurrency(tasks, 2), /Invalid API key/);
+  await delay(100);
+  // The failing task and the one running beside it
+  assert.deepEqual(started, [0, 1]);
+});
+
+test('starts no more tasks once cancelled', async () => {
+  const controller = new AbortController();
+  let started = 0;
+  const tasks = Array.from({ length: 5 }, () => async () => {
+    started++;
+    controller.abort();
+  });
+  await assert.rejects(runWithConcurrency(tasks, 1, controller.signal), { code: 'ERR_CANCELLED' });
+  assert.equal(started, 1);
+});
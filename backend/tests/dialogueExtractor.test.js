@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractDialogue, applyBookDialogue } from '../services/dialogueExtractor.js';
+
+const CHARACTERS = [
+  { name: 'Elizabeth Bennet', aliases: ['Lizzy'] },
+  { name: 'Mr. Darcy', aliases: [] },
+  { name: 'Jane Bennet', aliases: [] },
+];
+
+const CHAPTERS = [
+  {
+    title: 'One',
+    text: [
+      '“I could easily forgive his pride,” said Elizabeth, “if he had not mortified mine.”',
+      'Darcy turned from the window. “You mistake me entirely, Miss Bennet.”',
+      '“Do I?” she said.',
+      '“Nobody asked you,” Lizzy whispered.',
+      'The music started again.',
+      '“What a lovely evening,” I said to Jane.',
+      '“It is,” Jane answered. “The loveliest of the season!”',
+    ].join('\n'),
+  },
+];
+
+test('extracts quoted lines and credits them to the speaker named by the narration', () => {
+  const lines = extractDialogue(CHAPTERS, '', CHARACTERS);
+
+  assert.deepEqual(lines.map(line => [line.speaker, line.text]), [
+    ['Elizabeth Bennet', 'I could easily forgive his pride, if he had not mortified mine.'],
+    ['Mr. Darcy', 'You mistake me entirely, Miss Bennet.'],
+    [null, 'Do I?'],
+    ['Elizabeth Bennet', 'Nobody asked you.'],
+    [null, 'What a lovely evening.'],
+    ['Jane Bennet', 'It is. The loveliest of the season!'],
+  ]);
+  assert.equal(lines[4].narrator, true);
+  assert.equal(lines[1].replyTo, lines[0].text);
+  // Narration between the lines ends the exchange
+  assert.equal(lines[4].replyTo, null);
+});
+
+test('fills in speakers from the chunk notes', () => {
+  const lines = extractDialogue(CHAPTERS, '', CHARACTERS, [{ speaker: 'Lizzy', text: 'Do I?' }]);
+  assert.equal(lines[2].speaker, 'Elizabeth Bennet');
+});
+
+test('verifies phrases against the dialogue, replaces the rest with real lines and drops what is left', () => {
+  const lines = extractDialogue(CHAPTERS, '', CHARACTERS);
+  const [elizabeth, jane] = applyBookDialogue([
+    { name: 'Elizabeth Bennet', commonPhrases: ['forgive his pride', 'How droll!', 'Indeed.', 'Quite so.'] },
+    { name: 'Jane Bennet', commonPhrases: ['What a lovely evening'] },
+  ], lines);
+
+  assert.deepEqual(elizabeth.phraseCheck.map(check => check.status), ['verified', 'replaced', 'replaced', 'unverified']);
+  assert.deepEqual(elizabeth.commonPhrases, [
+    'forgive his pride',
+    'I could easily forgive his pride, if he had not mortified mine.',
+    'Nobody asked you.',
+  ]);
+  assert.deepEqual(elizabeth.phraseCheck[3], { text: 'Quite so.', status: 'unverified' });
+  assert.equal(elizabeth.bookDialogue[0].text, 'I could easily forgive his pride, if he had not mortified mine.');
+  assert.equal(elizabeth.bookDialogue.length, 2);
+
+  // The narrator's line does not verify a phrase for anyone else
+  assert.equal(jane.phraseCheck[0].status, 'replaced');
+  assert.deepEqual(jane.bookDialogue[0], {
+    text: 'It is. The loveliest of the season!',
+    chapter: 'One',
+    replyTo: 'What a lovely evening.',
+  });
+});
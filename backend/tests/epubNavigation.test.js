@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitSpineByToc } from '../services/epubNavigation.js';
+
+const paragraphs = (prefix) => Array.from({ length: 3 }, (_, i) => `<p>${prefix} paragraph ${i + 1} of a longer chapter.</p>`).join('');
+
+test('splits a document at the element whose id is the TOC anchor, not at a data-id', () => {
+  const html = `<html><body><div data-id="two">${paragraphs('First')}</div>`
+    + `<h2 id="two">Chapter Two</h2>${paragraphs('Second')}</body></html>`;
+  const toc = [
+    { title: 'Chapter One', level: 0, file: 'text.xhtml', fragment: '' },
+    { title: 'Chapter Two', level: 0, file: 'text.xhtml', fragment: 'two' },
+  ];
+
+  const chapters = splitSpineByToc([{ href: 'text.xhtml', html }], toc);
+  assert.deepEqual(chapters.map(ch => ch.title), ['Chapter One', 'Chapter Two']);
+  assert.match(chapters[0].text, /First paragraph 3/);
+  assert.doesNotMatch(chapters[1].text, /First paragraph/);
+});
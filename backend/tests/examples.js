@@ -0,0 +1,30 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Books and cards in the repository's Examples/ folder
+
+export const EXAMPLES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../Examples');
+
+function walk(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .flatMap(entry => (entry.isDirectory() ? walk(path.join(dir, entry.name)) : [path.join(dir, entry.name)]))
+    .sort();
+}
+
+/**
+ * Example files with one of `extensions` (e.g. ['.epub']).
+ * @returns {Array<string>} Absolute paths
+ */
+export function exampleFiles(extensions) {
+  return walk(EXAMPLES_DIR).filter(file => extensions.includes(path.extname(file).toLowerCase()));
+}
+
+/**
+ * The cover image stored next to a book (Calibre layout), or null.
+ * @returns {Buffer|null}
+ */
+export function exampleCover(bookPath) {
+  const cover = path.join(path.dirname(bookPath), `${path.basename(bookPath, path.extname(bookPath))}.jpg`);
+  return fs.existsSync(cover) ? fs.readFileSync(cover) : null;
+}
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { parseEpub } from '../services/fileParser.js';
+import { exampleFiles } from './examples.js';
+
+const books = exampleFiles(['.epub', '.mobi', '.azw3']);
+
+test('Examples/ contains books to test with', () => {
+  assert.ok(books.length > 0);
+});
+
+for (const book of books) {
+  test(`parses ${path.basename(book)}`, async () => {
+    const parsed = await parseEpub(book);
+
+    assert.ok(parsed.metadata.title, 'title is read');
+    assert.ok(parsed.chapters.length > 1, 'split into chapters');
+    for (const chapter of parsed.chapters) {
+      assert.equal(typeof chapter.text, 'string');
+      assert.ok(['front', 'body', 'back'].includes(chapter.matter), `chapter "${chapter.title}" is tagged`);
+    }
+
+    const body = parsed.chapters.filter(ch => ch.matter === 'body');
+    assert.ok(body.length > parsed.chapters.length / 2, 'most chapters are body text');
+    assert.ok(body.every(ch => ch.text.trim().length > 0), 'body chapters have text');
+    assert.ok(parsed.text.length > 100000, 'whole book text is kept');
+    assert.doesNotMatch(parsed.text, /<\/?(p|div|span|br)\b/i, 'no HTML left in the text');
+  });
+}
+
+test('EPUB and MOBI editions of a book give the same text', async () => {
+  const pairs = books
+    .filter(book => book.endsWith('.epub'))
+    .map(epub => [epub, books.find(other => other === epub.replace(/\.epub$/, '.mobi'))])
+    .filter(([, mobi]) => mobi);
+  assert.ok(pairs.length > 0, 'Examples/ has a book in both formats');
+
+  for (const [epub, mobi] of pairs) {
+    const [fromEpub, fromMobi] = await Promise.all([parseEpub(epub), parseEpub(mobi)]);
+    assert.equal(fromMobi.metadata.title, fromEpub.metadata.title);
+    const ratio = fromMobi.text.length / fromEpub.text.length;
+    assert.ok(ratio > 0.95 && ratio < 1.05, `${path.basename(mobi)}: text length within 5% of the EPUB (${ratio.toFixed(3)})`);
+  }
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildGroundingReport } from '../services/groundingReport.js';
+
+const filler = 'The tide came in over the rocks and the gulls circled the harbour. '.repeat(30);
+
+const CHAPTERS = [
+  {
+    title: 'One',
+    text: `${filler}\n\nEleanor Vance climbed the lighthouse stairs every night to trim the lamp. `
+      + 'Her grey eyes never left the water.\n\n'
+      + `${filler}`,
+  },
+  {
+    title: 'Two',
+    text: `${filler}\n\nThe Gull Point Lighthouse stood on a spit of black rock, its lantern room ringed with brass.`,
+  },
+];
+
+const CHARACTERS = [{
+  name: 'Eleanor Vance',
+  aliases: ['Nell'],
+  background: 'Eleanor climbs the lighthouse stairs each night to trim the lamp. She once sailed to Lisbon as a cook aboard a whaler.',
+  physicalDescription: '{{char}} has green eyes. She is kind.',
+}];
+
+const LOREBOOK = {
+  entries: [
+    {
+      uid: 1,
+      name: 'Gull Point Lighthouse',
+      comment: 'Location',
+      content: '[Location: Gull Point Lighthouse]\nA lighthouse on a spit of black rock with a brass lantern room.',
+    },
+    { uid: 2, name: 'Eleanor Vance', comment: 'Character', content: '[Character: Eleanor Vance]\nRepeats the profile.' },
+  ],
+};
+
+test('labels each claim and cites the passage that supports or contradicts it', () => {
+  const report = buildGroundingReport(CHARACTERS, LOREBOOK, { chapters: CHAPTERS });
+  const [eleanor] = report.characters;
+
+  assert.deepEqual(eleanor.claims.map(claim => [claim.field, claim.status]), [
+    ['background', 'supported'],
+    ['background', 'unsupported'],
+    ['physicalDescription', 'contradicted'],
+  ]);
+  assert.equal(eleanor.claims[0].citation.chapter, 'One');
+  assert.match(eleanor.claims[0].citation.text, /trim the lamp/);
+  assert.equal(eleanor.claims[1].citation, null);
+  assert.equal(eleanor.claims[2].citation.text, 'Her grey eyes never left the water.');
+  // Too vague to check
+  assert.ok(!eleanor.claims.some(claim => claim.text === 'She is kind.'));
+
+  // Character entries repeat the profiles
+  assert.deepEqual(report.lorebook.map(entry => [entry.name, entry.claims.map(claim => claim.status)]), [
+    ['Gull Point Lighthouse', ['supported']],
+  ]);
+  assert.deepEqual(report.summary, { claims: 4, supported: 2, unsupported: 1, contradicted: 1 });
+});
+
+test('checks against plain text when there are no chapters', () => {
+  const report = buildGroundingReport(CHARACTERS, { entries: [] }, { text: CHAPTERS[0].text });
+  assert.equal(report.characters[0].claims[0].status, 'supported');
+  assert.equal(report.characters[0].claims[0].citation.chapter, '');
+});
+
+test('compares numbers only as an age or height', () => {
+  const chapters = [{
+    title: 'One',
+    text: `${filler}\n\nTen years later, Eleanor Vance came back to the lighthouse. Eleanor was forty-two years old that winter.`,
+  }];
+  const report = buildGroundingReport([{
+    name: 'Eleanor Vance',
+    background: 'Eleanor spent three years at sea before the lighthouse. Eleanor is thirty years old.',
+  }], { entries: [] }, { chapters });
+
+  const [atSea, age] = report.characters[0].claims;
+  assert.notEqual(atSea.status, 'contradicted');
+  assert.equal(age.status, 'contradicted');
+  assert.equal(age.citation.text, 'Eleanor was forty-two years old that winter.');
+});
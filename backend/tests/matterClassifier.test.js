@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyChapters } from '../services/matterClassifier.js';
+
+const story = 'The tide came in over the rocks and the gulls circled the harbour. '.repeat(80);
+
+test('keeps a short opening scene that precedes the first long chapter', () => {
+  const chapters = classifyChapters([
+    { title: '', text: 'Our Own Way\n\nMisty Vixen' },
+    { title: 'Prologue', text: 'The lamp went out at midnight. Nobody in the village ever found out why.' },
+    { title: 'Chapter One', text: story },
+  ], { title: 'Our Own Way', creator: 'Misty Vixen' });
+
+  assert.deepEqual(chapters.map(ch => ch.matter), ['front', 'body', 'body']);
+  assert.equal(chapters[0].matterReason, 'title page');
+});
+
+test('treats a short leading section naming the author as a title page', () => {
+  const chapters = classifyChapters([
+    { title: '', text: 'A cozy romance by Misty Vixen. Book one of the series.' },
+    { title: 'Chapter One', text: story },
+  ], { title: 'Our Own Way', creator: 'Misty Vixen' });
+
+  assert.deepEqual(chapters.map(ch => ch.matter), ['front', 'body']);
+});
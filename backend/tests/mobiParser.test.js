@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decompressPalmDoc } from '../services/mobiParser.js';
+
+// Back-reference: 0x80 | 11-bit distance | 3-bit length - 3
+const backReference = (distance, length) => {
+  const pair = 0x8000 | (distance << 3) | (length - 3);
+  return [pair >> 8, pair & 0xFF];
+};
+
+test('decompresses literals, space pairs and back-references', () => {
+  const data = Buffer.from([...Buffer.from('abc'), ...backReference(3, 4), 0xC4, 0x02, 0x21, 0x3F]);
+  // 0xC4 is " D"; 0x02 copies the next two bytes as they are
+  assert.equal(decompressPalmDoc(data).toString('latin1'), 'abcabca D!?');
+});
+
+test('rejects a back-reference to before the start of the record', () => {
+  assert.throws(() => decompressPalmDoc(Buffer.from([...Buffer.from('ab'), ...backReference(5, 3)])), /distance 5 out of range/);
+  assert.throws(() => decompressPalmDoc(Buffer.from([...Buffer.from('ab'), ...backReference(0, 3)])), /distance 0 out of range/);
+});
@@ -0,0 +1,144 @@
+import http from 'http';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// ---------------------------------------------------------------------------
+// Mock OpenAI-compatible provider
+//
+// Replays the responses of a fixture scenario (tests/fixtures/*.json) as
+// streamed chat completions, so the pipeline can be exercised without
+// network access. A scenario maps each kind of request to the responses
+// given in turn (the last one repeats):
+//
+//   summarize    notes on one chunk of a long book
+//   extract      the Phase 1 roster
+//   character    a Phase 2 profile; "character:<name>" overrides it per character
+//   continue     continuation of a truncated response
+//   repair       a corrected response after schema violations
+//
+// A response is `{ content, finishReason? }` (object content is sent as
+// JSON; "{{name}}" becomes the character's name) or an error
+// `{ status, error, headers? }`, either sent after `delayMs` when given.
+// `extends` names a scenario to take unlisted kinds from.
+//
+// Run directly to serve a scenario for manual testing:
+//   node tests/mockProvider.js [scenario=happy] [port=4010]
+// ---------------------------------------------------------------------------
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const STREAM_CHUNKS = 3;
+
+/**
+ * Read a scenario, merging in the one it extends.
+ * @param {string} name - File name in tests/fixtures without `.json`
+ * @returns {Promise<Object>} `{ kind: [responses] }`
+ */
+export async function loadScenario(name) {
+  const scenario = JSON.parse(await fs.readFile(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+  const base = scenario.extends ? await loadScenario(scenario.extends) : {};
+  return { ...base, ...scenario.responses };
+}
+
+/**
+ * What a chat request asks for, from the app's prompt wording.
+ * @returns {{kind: string, name: string|null}}
+ */
+function classifyRequest(messages) {
+  const first = messages[0]?.content || '';
+  const last = messages.at(-1)?.content || '';
+  const name = first.match(/^Name: (.*)$/m)?.[1] || null;
+
+  if (messages.length > 1 && last.startsWith('Your JSON response was cut off')) return { kind: 'continue', name };
+  if (messages.length > 1 && last.startsWith('Your JSON response does not match')) return { kind: 'repair', name };
+  if (first.startsWith('Take notes')) return { kind: 'summarize', name };
+  if (first.startsWith('Analyze this book')) return { kind: 'extract', name };
+  if (name) return { kind: 'character', name };
+  return { kind: 'unknown', name };
+}
+
+function renderContent(content, name) {
+  const text = typeof content === 'string' ? content : JSON.stringify(content);
+  return name ? text.replaceAll('{{name}}', name) : text;
+}
+
+function sendStream(res, model, content, finishReason, promptChars) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+  const send = data => res.write(`data: ${JSON.stringify(data)}\n\n`);
+  const size = Math.ceil(content.length / STREAM_CHUNKS) || 1;
+  for (let i = 0; i < content.length; i += size) {
+    send({ model, choices: [{ index: 0, delta: { content: content.slice(i, i + size) }, finish_reason: null }] });
+  }
+  send({ model, choices: [{ index: 0, delta: {}, finish_reason: finishReason }] });
+  send({ model, choices: [], usage: { prompt_tokens: Math.ceil(promptChars / 4), completion_tokens: Math.ceil(content.length / 4) } });
+  res.end('data: [DONE]\n\n');
+}
+
+/**
+ * Start the mock provider on `port` (a free one by default).
+ * @param {Object} scenario - loadScenario() result
+ * @param {Object} [options]
+ * @param {number} [options.port=0]
+ * @returns {Promise<{url: string, requests: Array<Object>, close: () => Promise<void>}>}
+ *   `url` is the API base URL; `requests` logs `{ kind, name, model, responseFormat, maxTokens, messages }` per chat request
+ */
+export async function startMockProvider(scenario, { port = 0 } = {}) {
+  const requests = [];
+  const served = new Map();
+
+  const nextResponse = (kind, name) => {
+    const key = name && scenario[`${kind}:${name}`] ? `${kind}:${name}` : kind;
+    const responses = scenario[key];
+    if (!responses?.length) return { status: 500, error: `No fixture response for "${key}"` };
+    const index = served.get(key) || 0;
+    served.set(key, index + 1);
+    return responses[Math.min(index, responses.length - 1)];
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const json = (status, data, headers = {}) => {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(data));
+      };
+
+      if (req.method === 'GET' && req.url === '/v1/models') {
+        json(200, { data: [{ id: 'mock-model', name: 'Mock model', context_length: 128000, pricing: { prompt: '0.000001', completion: '0.000002' } }] });
+        return;
+      }
+      if (req.method !== 'POST' || req.url !== '/v1/chat/completions') {
+        json(404, { error: { message: `Not found: ${req.method} ${req.url}` } });
+        return;
+      }
+
+      const { model, messages, response_format: responseFormat, max_tokens: maxTokens } = JSON.parse(body);
+      const { kind, name } = classifyRequest(messages);
+      requests.push({ kind, name, model, responseFormat: responseFormat?.type || null, maxTokens, messages });
+
+      const response = nextResponse(kind, name);
+      setTimeout(() => {
+        if (response.status) {
+          json(response.status, { error: { message: response.error || 'Mock error' } }, response.headers);
+          return;
+        }
+        const promptChars = messages.reduce((sum, m) => sum + m.content.length, 0);
+        sendStream(res, model, renderContent(response.content, name), response.finishReason || 'stop', promptChars);
+      }, response.delayMs || 0);
+    });
+  });
+
+  await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/v1`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const [scenarioName = 'happy', port = '4010'] = process.argv.slice(2);
+  const mock = await startMockProvider(await loadScenario(scenarioName), { port: Number(port) });
+  console.log(`Mock provider serving "${scenarioName}" at ${mock.url}`);
+}
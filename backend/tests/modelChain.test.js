@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFallbackModels } from '../services/modelChain.js';
+
+const PRIMARY = { provider: 'openai', apiKey: 'primary-key', apiBaseUrl: 'https://api.openai.com/v1/' };
+
+test('sends the run\'s key only to its own endpoint', () => {
+  const [same, other, local] = parseFallbackModels([
+    { model: 'gpt-small' },
+    { model: 'claude', provider: 'anthropic', apiBaseUrl: 'https://api.anthropic.com/v1' },
+    { model: 'llama3', provider: 'ollama', apiBaseUrl: 'http://localhost:11434' },
+  ], { 'https://api.anthropic.com/v1/': 'anthropic-key' }, PRIMARY);
+
+  assert.equal(same.apiKey, 'primary-key');
+  assert.equal(other.apiKey, 'anthropic-key');
+  assert.equal(local.apiKey, null);
+});
+
+test('rejects a fallback on another endpoint without its key', () => {
+  assert.throws(
+    () => parseFallbackModels([{ model: 'gpt-4o', apiBaseUrl: 'https://openrouter.ai/api/v1' }], {}, PRIMARY),
+    error => error.status === 400 && /openrouter\.ai/.test(error.message),
+  );
+});
@@ -0,0 +1,122 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { parseEpub } from '../services/fileParser.js';
+import { analyzeBook } from '../services/aiService.js';
+import { generateCharacterCards, generateLorebook } from '../services/cardGenerator.js';
+import { buildGroundingReport } from '../services/groundingReport.js';
+import { createUsageTracker } from '../services/usageTracker.js';
+import { getTokenizer } from '../services/tokenizer.js';
+import { generateCharacterCardPng, extractCharacterFromPng } from '../utils/pngMetadata.js';
+import { startMockProvider, loadScenario } from './mockProvider.js';
+import { exampleFiles, exampleCover } from './examples.js';
+import fs from 'fs/promises';
+import os from 'os';
+
+// Book file -> analysis -> cards, lorebook, grounding report and PNG, with the mock provider
+// answering every request from the "happy" scenario
+
+const ROSTER = ['Eleanor Vance', 'Marcus Hale', 'Old Tom'];
+let mock;
+
+before(async () => {
+  mock = await startMockProvider(await loadScenario('happy'));
+});
+
+after(() => mock.close());
+
+function analyze(parsed, options = {}) {
+  return analyzeBook(parsed.text, {
+    apiKey: 'test-key',
+    model: 'mock-model',
+    apiBaseUrl: mock.url,
+    contextLength: 1000000,
+    chapters: parsed.chapters,
+    ...options,
+  });
+}
+
+for (const book of exampleFiles(['.epub'])) {
+  test(`turns ${path.basename(book)} into cards and a lorebook`, async () => {
+    const parsed = await parseEpub(book);
+    const analysis = await analyze(parsed);
+
+    assert.deepEqual(analysis.characters.map(c => c.name).sort(), [...ROSTER].sort());
+    const generatedBy = { model: 'mock-model', provider: 'openai', apiBaseUrl: mock.url };
+    for (const character of analysis.characters) {
+      assert.deepEqual(character.generatedBy, generatedBy);
+      // Every phrase the model wrote is checked against the book's dialogue
+      assert.deepEqual(character.phraseCheck.map(check => check.text), ['Mind the tide.', "Weather's turning."]);
+    }
+
+    const cards = generateCharacterCards(analysis.characters, null, parsed.metadata);
+    // Every profile is persona-capable; persona cards are made for the top two characters
+    assert.equal(cards.filter(card => !card.isPersona).length, ROSTER.length);
+    assert.equal(cards.filter(card => card.isPersona).length, 2);
+    for (const card of cards) {
+      assert.equal(card.spec, 'chara_card_v2');
+      assert.ok(card.data.first_mes.trim());
+      assert.ok(card.data.tags.includes('slice of life'));
+      assert.deepEqual(card.data.extensions.generated_by, generatedBy);
+      assert.ok(card.data.mes_example.endsWith('{{char}}: *laughs* "Only on days ending in y."'));
+    }
+
+    const lorebook = generateLorebook(analysis.worldInfo, analysis.characters, parsed.metadata);
+    assert.equal(lorebook.name, parsed.metadata.title);
+    // Setting, one entry per world category, one per character
+    assert.equal(lorebook.entries.length, 1 + 4 + ROSTER.length);
+    const lighthouse = lorebook.entries.find(entry => entry.name === 'Gull Point Lighthouse');
+    assert.ok(lighthouse.key.includes('lighthouse'));
+    assert.deepEqual(lighthouse.extensions.generated_by, generatedBy);
+    // Roster aliases become activation keys
+    const tom = lorebook.entries.find(entry => entry.name === 'Old Tom');
+    assert.ok(tom.key.includes('Tom'));
+
+    // Every profile and world entry is checked against the book
+    const grounding = buildGroundingReport(analysis.characters, lorebook, { chapters: parsed.chapters });
+    assert.deepEqual(grounding.characters.map(report => report.name), analysis.characters.map(c => c.name));
+    assert.equal(grounding.lorebook.length, 1 + 4);
+    const claims = [...grounding.characters, ...grounding.lorebook].flatMap(report => report.claims);
+    assert.equal(grounding.summary.claims, claims.length);
+    assert.ok(claims.every(claim => ['supported', 'unsupported', 'contradicted'].includes(claim.status)));
+
+    const png = await generateCharacterCardPng(cards[0], exampleCover(book).toString('base64'));
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'chatbotmaker-test-'));
+    try {
+      await fs.writeFile(path.join(dir, 'card.png'), png);
+      assert.deepEqual(await extractCharacterFromPng(path.join(dir, 'card.png')), cards[0]);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+}
+
+test('takes notes on a book that does not fit the context window in chunks', async () => {
+  const [book] = exampleFiles(['.epub']);
+  const parsed = await parseEpub(book);
+  mock.requests.length = 0;
+  const usage = createUsageTracker({ prompt: '0.000001', completion: '0.000002' });
+
+  const analysis = await analyze(parsed, { contextLength: 60000, usage });
+
+  const kinds = mock.requests.map(r => r.kind);
+  const chunks = kinds.filter(kind => kind === 'summarize').length;
+  assert.ok(chunks > 1, `notes taken in ${chunks} chunks`);
+  assert.equal(kinds.indexOf('extract'), chunks, 'the roster is extracted from the notes');
+  assert.equal(analysis.characters.length, ROSTER.length);
+  // The merged notes, not the book, are what Phase 1 reads
+  const extraction = mock.requests.find(r => r.kind === 'extract').messages[0].content;
+  assert.ok(extraction.includes(`- Eleanor Vance (also called Nell), in ${chunks} of ${chunks} parts: Keeps the Gull Point lighthouse.`));
+  assert.equal(extraction.split('The sea always tells you first.').length, 2, 'repeated quotes appear once');
+  // Profiles read shorter notes plus retrieved passages, and leave room for the response
+  const tokenizer = await getTokenizer('mock-model');
+  for (const request of mock.requests.filter(r => r.kind === 'character')) {
+    assert.match(request.messages[0].content, /^Notes on the whole book:\n/m);
+    assert.ok(tokenizer.count(request.messages[0].content) + request.maxTokens <= 60000, `${request.name} fits the context`);
+  }
+
+  const { phases, total } = usage.summary();
+  assert.equal(phases.summarize.requests, chunks);
+  assert.equal(total.requests, mock.requests.length);
+  assert.ok(total.cost > 0);
+});
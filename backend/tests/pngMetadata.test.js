@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { extractCharacterFromPng, embedCharacterInPng, generateCharacterCardPng } from '../utils/pngMetadata.js';
+import { EXAMPLES_DIR, exampleFiles, exampleCover } from './examples.js';
+
+async function withTempFile(buffer, fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'chatbotmaker-test-'));
+  const file = path.join(dir, 'card.png');
+  try {
+    await fs.writeFile(file, buffer);
+    return await fn(file);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+const card = {
+  spec: 'chara_card_v2',
+  spec_version: '2.0',
+  data: {
+    name: 'Zoë “Quill” Ångström',
+    description: 'Writes in 日本語 and emoji 🌊.',
+    first_mes: '*waves* "Hello, {{user}}!"',
+    tags: ['test'],
+    extensions: { generated_by: { model: 'mock-model', provider: 'openai', apiBaseUrl: 'http://127.0.0.1/v1' } },
+  },
+};
+
+test('reads the character from the example card', async () => {
+  const data = await extractCharacterFromPng(path.join(EXAMPLES_DIR, 'main_karael-the-angel-99f1341bd86e_spec_v2.png'));
+  assert.equal(data.spec, 'chara_card_v2');
+  assert.equal(data.data.name, 'Karael');
+});
+
+test('embeds and extracts a card in an existing PNG', async () => {
+  const png = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#336699' } }).png().toBuffer();
+  const embedded = await embedCharacterInPng(png, card);
+  const extracted = await withTempFile(embedded, extractCharacterFromPng);
+  assert.deepEqual(extracted, card);
+});
+
+test('generates a 512x768 card from a JPEG cover and reads it back', async () => {
+  const [book] = exampleFiles(['.epub']);
+  const cover = exampleCover(book);
+  assert.ok(cover, 'the example book has a cover');
+
+  const png = await generateCharacterCardPng(card, cover.toString('base64'));
+  const { format, width, height } = await sharp(png).metadata();
+  assert.deepEqual({ format, width, height }, { format: 'png', width: 512, height: 768 });
+  assert.deepEqual(await withTempFile(png, extractCharacterFromPng), card);
+});
@@ -0,0 +1,72 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { analyzeBook } from '../services/aiService.js';
+import { createResponseCache } from '../services/responseCache.js';
+import { createUsageTracker } from '../services/usageTracker.js';
+import { startMockProvider, loadScenario } from './mockProvider.js';
+
+// Reusing AI responses across runs of the same book
+
+const TEXT = 'Eleanor climbed the lighthouse stairs while Marcus waited below. '.repeat(40);
+
+let mock;
+let cacheDir;
+
+before(async () => {
+  mock = await startMockProvider(await loadScenario('happy'));
+  cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'response-cache-'));
+});
+
+after(async () => {
+  await mock.close();
+  await fs.rm(cacheDir, { recursive: true, force: true });
+});
+
+async function run(cache, options = {}) {
+  const sent = mock.requests.length;
+  const usage = createUsageTracker();
+  const analysis = await analyzeBook(TEXT, {
+    apiKey: 'test-key',
+    model: 'mock-model',
+    apiBaseUrl: mock.url,
+    contextLength: 100000,
+    cache,
+    usage,
+    ...options,
+  });
+  return { analysis, requests: mock.requests.length - sent, usage: usage.summary() };
+}
+
+test('reuses cached responses until a refresh is asked for', async () => {
+  const cache = createResponseCache(cacheDir);
+  const first = await run(cache);
+  assert.equal(first.requests, 4);
+  assert.equal((await cache.list()).length, 4);
+
+  const second = await run(cache);
+  assert.equal(second.requests, 0);
+  assert.equal(second.usage.total.cachedResponses, 4);
+  assert.deepEqual(second.analysis.characters.map(c => c.name), first.analysis.characters.map(c => c.name));
+  assert.deepEqual(second.analysis.characters[0].generatedBy, first.analysis.characters[0].generatedBy);
+
+  const refreshed = await run(cache, { refreshCache: true });
+  assert.equal(refreshed.requests, 4);
+  assert.equal((await cache.list()).length, 4, 'fresh responses replace the cached ones');
+});
+
+test('keys entries by model', async () => {
+  const cache = createResponseCache(cacheDir);
+  await run(cache);
+  const other = await run(cache, { model: 'other-model' });
+  assert.equal(other.requests, 4);
+
+  const entries = await cache.list();
+  assert.deepEqual([...new Set(entries.map(e => e.model))].sort(), ['mock-model', 'other-model']);
+  assert.equal(await cache.clear({ model: 'other-model' }), 4);
+  assert.equal(await cache.remove(entries.find(e => e.model === 'mock-model').key), true);
+  assert.equal(await cache.clear(), 3);
+  assert.deepEqual(await cache.list(), []);
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitPassages, createPassageIndex, findCharacterPassages, nameTerms } from '../services/retrieval.js';
+
+const wordCount = { count: text => text.split(/\s+/).length };
+const filler = 'The tide came in over the rocks and the gulls circled the harbour. '.repeat(30);
+
+const CHAPTERS = [
+  { title: 'One', text: `${filler}\n\nLizzy laughed at the letter and read it twice.\n\n${filler}` },
+  { title: 'Two', text: `${filler}\n\nMr. Darcy stood by the window. Elizabeth Bennet did not look at him.` },
+  { title: 'Three', text: `${filler}\n\n${filler}` },
+];
+
+test('splits chapters into passages of whole paragraphs', () => {
+  const passages = splitPassages(CHAPTERS, '', wordCount);
+  assert.ok(passages.length > CHAPTERS.length);
+  assert.deepEqual(passages.map(p => p.index), passages.map((_, i) => i));
+  assert.ok(passages.every(p => p.tokens <= 400 || !p.text.includes('\n\n')));
+  assert.ok(passages.some(p => p.chapter === 'Two' && p.text.includes('Mr. Darcy stood by the window.')));
+});
+
+test('finds the passages that mention a character or an alias, in reading order', () => {
+  const index = createPassageIndex(splitPassages(CHAPTERS, '', wordCount));
+  const passages = findCharacterPassages(index, 'Elizabeth Bennet', ['Lizzy'], 1000);
+
+  assert.deepEqual(passages.map(p => p.chapter), ['One', 'Two']);
+  assert.match(passages[0].text, /Lizzy laughed/);
+  // Within a tight budget, the passage with her full name ranks first
+  assert.deepEqual(findCharacterPassages(index, 'Elizabeth Bennet', ['Lizzy'], 15).map(p => p.chapter), ['Two']);
+});
+
+test('leaves honorifics and common words out of the query', () => {
+  assert.deepEqual(nameTerms('Mr. Darcy'), ['darcy']);
+  assert.deepEqual(nameTerms('Old Tom', ['Captain Tom']), ['tom']);
+  assert.deepEqual(nameTerms('The King'), ['the', 'king']);
+});
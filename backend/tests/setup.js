@@ -0,0 +1,3 @@
+// Loaded before every test file (see the `test` script): keep the pipeline's
+// logging out of the test report
+process.env.LOG_LEVEL ||= 'error';
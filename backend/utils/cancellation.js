@@ -0,0 +1,76 @@
+// In-memory registry of AbortControllers for in-flight processing, keyed by
+// progress session id, so POST /cancel can stop a running request.
+const controllers = new Map();
+
+/**
+ * Error thrown once a run has been cancelled. Carries `status` 499 so routes
+ * can pass it straight to `res.status()`.
+ */
+export function createCancelledError() {
+  const error = new Error('Processing was cancelled');
+  error.code = 'ERR_CANCELLED';
+  error.status = 499;
+  return error;
+}
+
+export function isCancelledError(error) {
+  return error?.code === 'ERR_CANCELLED';
+}
+
+/**
+ * Throw the cancelled error if `signal` has been aborted.
+ * @param {AbortSignal|null} signal
+ */
+export function throwIfCancelled(signal) {
+  if (signal?.aborted) throw createCancelledError();
+}
+
+/**
+ * Wait `ms`, rejecting with the cancelled error as soon as `signal` aborts.
+ * @param {number} ms
+ * @param {AbortSignal|null} [signal=null]
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createCancelledError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createCancelledError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Create and remember the controller for a session's run.
+ * @param {string} sessionId
+ * @returns {AbortController}
+ */
+export function registerCancellation(sessionId) {
+  const controller = new AbortController();
+  controllers.set(sessionId, controller);
+  return controller;
+}
+
+/**
+ * Abort a session's run.
+ * @returns {boolean} Whether a running session was found
+ */
+export function cancelSession(sessionId) {
+  const controller = controllers.get(sessionId);
+  if (!controller) return false;
+  controller.abort();
+  return true;
+}
+
+export function releaseCancellation(sessionId) {
+  controllers.delete(sessionId);
+}
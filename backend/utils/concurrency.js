@@ -0,0 +1,37 @@
+import { throwIfCancelled } from './cancellation.js';
+
+/**
+ * Run async tasks with a concurrency limit, preserving result order.
+ * No further tasks are started once `signal` is aborted or a task has thrown:
+ * the run has failed by then, and each task left is a paid request. The
+ * first error is rethrown after the tasks already running have settled.
+ * @param {Array<() => Promise<*>>} tasks
+ * @param {number} concurrency
+ * @param {AbortSignal|null} [signal=null]
+ * @returns {Promise<Array<*>>}
+ */
+export async function runWithConcurrency(tasks, concurrency, signal = null) {
+  const results = new Array(tasks.length);
+  let nextIndex = 0;
+  let failure = null;
+
+  async function worker() {
+    while (nextIndex < tasks.length && !failure && !signal?.aborted) {
+      const index = nextIndex++;
+      try {
+        results[index] = await tasks[index]();
+      } catch (error) {
+        failure ??= { error };
+      }
+    }
+  }
+
+  const workers = Array.from(
+    { length: Math.min(concurrency, tasks.length) },
+    () => worker(),
+  );
+  await Promise.all(workers);
+  if (failure) throw failure.error;
+  throwIfCancelled(signal);
+  return results;
+}
@@ -0,0 +1,209 @@
+// Convert (X)HTML book content to plain text while keeping its structure:
+// paragraphs are separated by blank lines, block quotes are prefixed with "> ",
+// and scene breaks are normalized to a "* * *" paragraph.
+
+export const SCENE_BREAK = '* * *';
+
+const NAMED_ENTITIES = {
+  nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+  hellip: '…', mdash: '—', ndash: '–', minus: '−', bull: '•', middot: '·',
+  lsquo: '‘', rsquo: '’', sbquo: '‚', ldquo: '“', rdquo: '”', bdquo: '„',
+  laquo: '«', raquo: '»', lsaquo: '‹', rsaquo: '›', prime: '′', Prime: '″',
+  copy: '©', reg: '®', trade: '™', sect: '§', para: '¶', deg: '°', dagger: '†', Dagger: '‡',
+  times: '×', divide: '÷', frac12: '½', frac14: '¼', frac34: '¾', sup2: '²', sup3: '³',
+  cent: '¢', pound: '£', euro: '€', yen: '¥', iexcl: '¡', iquest: '¿',
+  shy: '­', zwnj: '‌', zwj: '‍', ensp: ' ', emsp: ' ', thinsp: ' ',
+  agrave: 'à', aacute: 'á', acirc: 'â', atilde: 'ã', auml: 'ä', aring: 'å', aelig: 'æ',
+  ccedil: 'ç', egrave: 'è', eacute: 'é', ecirc: 'ê', euml: 'ë',
+  igrave: 'ì', iacute: 'í', icirc: 'î', iuml: 'ï', ntilde: 'ñ',
+  ograve: 'ò', oacute: 'ó', ocirc: 'ô', otilde: 'õ', ouml: 'ö', oslash: 'ø', oelig: 'œ',
+  ugrave: 'ù', uacute: 'ú', ucirc: 'û', uuml: 'ü', yacute: 'ý', yuml: 'ÿ', szlig: 'ß',
+  Agrave: 'À', Aacute: 'Á', Acirc: 'Â', Atilde: 'Ã', Auml: 'Ä', Aring: 'Å', AElig: 'Æ',
+  Ccedil: 'Ç', Egrave: 'È', Eacute: 'É', Ecirc: 'Ê', Euml: 'Ë',
+  Igrave: 'Ì', Iacute: 'Í', Icirc: 'Î', Iuml: 'Ï', Ntilde: 'Ñ',
+  Ograve: 'Ò', Oacute: 'Ó', Ocirc: 'Ô', Otilde: 'Õ', Ouml: 'Ö', Oslash: 'Ø', OElig: 'Œ',
+  Ugrave: 'Ù', Uacute: 'Ú', Ucirc: 'Û', Uuml: 'Ü', Yacute: 'Ý',
+};
+
+// Elements whose content never belongs in the book text
+const DROPPED_ELEMENTS = new Set(['script', 'style', 'head', 'title', 'noscript', 'template', 'svg', 'math', 'object', 'iframe']);
+
+// Footnote/endnote containers and note references (EPUB 3 semantics and ARIA roles)
+const NOTE_TYPE_PATTERN = /\b(?:epub:type|role)\s*=\s*["'][^"']*\b(?:doc-)?(?:footnotes?|endnotes?|rearnotes?|noteref|notes|doc-backlink)\b/i;
+const NOTE_CLASS_PATTERN = /\bclass\s*=\s*["'][^"']*\b(?:footnote|endnote|noteref|fnref)s?\b/i;
+
+const BLOCK_ELEMENTS = new Set([
+  'p', 'div', 'section', 'article', 'aside', 'header', 'footer', 'main', 'nav', 'body', 'html',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'figure', 'figcaption',
+  'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'table', 'thead', 'tbody', 'tfoot', 'tr', 'td', 'th',
+  'address', 'center', 'caption', 'hgroup', 'mbp:pagebreak',
+]);
+
+const VOID_ELEMENTS = new Set(['br', 'hr', 'img', 'meta', 'link', 'input', 'wbr', 'col', 'area', 'base', 'source', 'image']);
+
+// Paragraphs that are nothing but a dinkus ("* * *", "***", "#", "~~~", "• • •", "❧")
+const SCENE_BREAK_TEXT_PATTERN = /^(?:[*#~•·◆◇❖❧⁂§=_-]\s*){1,7}$/;
+const SCENE_BREAK_CLASS_PATTERN = /\bclass\s*=\s*["'][^"']*\b(?:scene-?break|section-?break|dinkus|ornament|separator|transition|space-?break)\b/i;
+
+/**
+ * Decode HTML character references (named and numeric).
+ * Unknown named references are left untouched.
+ * @param {string} text
+ * @returns {string}
+ */
+export function decodeHtmlEntities(text) {
+  if (!text || !text.includes('&')) return text || '';
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : '';
+    }
+    return NAMED_ENTITIES[ref] ?? NAMED_ENTITIES[ref.toLowerCase()] ?? match;
+  });
+}
+
+function isNoteElement(tagName, attrs) {
+  if (NOTE_TYPE_PATTERN.test(attrs)) return true;
+  if (NOTE_CLASS_PATTERN.test(attrs) && (tagName === 'a' || tagName === 'sup' || tagName === 'aside' || tagName === 'div' || tagName === 'section' || tagName === 'span')) {
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Convert HTML to structured plain text.
+ * @param {string} html
+ * @param {Object} [options]
+ * @param {boolean} [options.markBlockquotes=true] - Prefix quoted paragraphs with "> ".
+ *   MOBI 6 markup uses `<blockquote>` for indentation, so callers can turn this off.
+ * @returns {string} Paragraphs separated by blank lines
+ */
+export function htmlToText(html, { markBlockquotes = true } = {}) {
+  if (!html) return '';
+
+  const paragraphs = [];
+  let buffer = '';
+  let quoteDepth = 0;
+  const openBlocks = [];
+  let preDepth = 0;
+  let skipTag = null;
+  let skipDepth = 0;
+  let pendingSceneBreak = false;
+  let supStart = -1;
+
+  const pushParagraph = (text) => {
+    if (text === SCENE_BREAK) {
+      pendingSceneBreak = paragraphs.length > 0;
+      return;
+    }
+    if (pendingSceneBreak) {
+      paragraphs.push(SCENE_BREAK);
+      pendingSceneBreak = false;
+    }
+    paragraphs.push(text);
+  };
+
+  const flush = () => {
+    const lines = buffer
+      .replace(/[­​‌‍﻿]/g, '')
+      .split('\n')
+      .map(line => (preDepth > 0 ? line.replace(/\s+$/, '') : line.replace(/[^\S\n]+/g, ' ').trim()))
+      .filter((line, i, all) => line || (i > 0 && i < all.length - 1));
+    buffer = '';
+    supStart = -1;
+
+    const text = lines.join('\n').trim();
+    if (!text) return;
+
+    if (SCENE_BREAK_TEXT_PATTERN.test(text)) {
+      pushParagraph(SCENE_BREAK);
+      return;
+    }
+
+    // Text sitting directly in a <blockquote> (no paragraph inside it) is how
+    // converters such as Calibre indent headings, so only nested blocks are quoted
+    const quoted = markBlockquotes && quoteDepth > 0 && openBlocks[openBlocks.length - 1] !== 'blockquote';
+    const prefix = quoted ? '> '.repeat(quoteDepth) : '';
+    pushParagraph(prefix ? text.split('\n').map(line => prefix + line).join('\n') : text);
+  };
+
+  const tokenPattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<!DOCTYPE[^>]*>|<\?[\s\S]*?\?>|<(\/?)([a-zA-Z][\w:.-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|([^<]+)|</g;
+
+  for (const match of html.matchAll(tokenPattern)) {
+    const [token, cdata, closing, rawTagName, attrs = '', textNode] = match;
+    const tagName = rawTagName?.toLowerCase();
+
+    // Inside a dropped element: only track nesting of the same tag
+    if (skipTag) {
+      if (tagName === skipTag && !attrs.trim().endsWith('/')) {
+        skipDepth += closing ? -1 : 1;
+        if (skipDepth === 0) skipTag = null;
+      }
+      continue;
+    }
+
+    if (textNode !== undefined || cdata !== undefined || token === '<') {
+      const text = decodeHtmlEntities(cdata ?? textNode ?? token);
+      buffer += preDepth > 0 ? text : text.replace(/\s+/g, ' ');
+      continue;
+    }
+    if (!tagName) continue; // comment, doctype, processing instruction
+
+    const selfClosing = attrs.trim().endsWith('/') || VOID_ELEMENTS.has(tagName);
+
+    if (!closing && (DROPPED_ELEMENTS.has(tagName) || isNoteElement(tagName, attrs))) {
+      if (!selfClosing) {
+        skipTag = tagName;
+        skipDepth = 1;
+      }
+      continue;
+    }
+
+    if (tagName === 'br') {
+      if (!closing) buffer += '\n';
+      continue;
+    }
+    if (tagName === 'hr') {
+      flush();
+      pushParagraph(SCENE_BREAK);
+      continue;
+    }
+
+    // Bare numeric superscripts are footnote markers ("text<sup>3</sup>")
+    if (tagName === 'sup') {
+      if (!closing) {
+        supStart = buffer.length;
+      } else if (supStart !== -1) {
+        if (/^\s*[[(]?\s*(?:\d{1,3}|[*†‡])\s*[\])]?\s*$/.test(buffer.slice(supStart))) {
+          buffer = buffer.slice(0, supStart);
+        }
+        supStart = -1;
+      }
+      continue;
+    }
+
+    if (!BLOCK_ELEMENTS.has(tagName)) continue;
+
+    flush();
+    if (closing) {
+      const openIndex = openBlocks.lastIndexOf(tagName);
+      if (openIndex !== -1) openBlocks.length = openIndex;
+      if (tagName === 'blockquote') quoteDepth = Math.max(0, quoteDepth - 1);
+      if (tagName === 'pre') preDepth = Math.max(0, preDepth - 1);
+    } else if (selfClosing) {
+      // Empty blocks styled as scene breaks (e.g. <p class="scene-break"/>)
+      if (SCENE_BREAK_CLASS_PATTERN.test(attrs)) pushParagraph(SCENE_BREAK);
+    } else {
+      openBlocks.push(tagName);
+      if (tagName === 'blockquote') quoteDepth++;
+      if (tagName === 'pre') preDepth++;
+      if (SCENE_BREAK_CLASS_PATTERN.test(attrs)) {
+        // Non-empty content (an ornament) gets normalized by flush()
+        pendingSceneBreak = paragraphs.length > 0;
+      }
+    }
+  }
+  flush();
+
+  return paragraphs.join('\n\n');
+}
@@ -1,9 +1,11 @@
 import logger from './logger.js';
 
-// Simple in-memory progress tracker
+// In-memory progress tracker: an event history per session plus live subscribers
+// (the SSE endpoint), so a client that reconnects can replay what it missed.
 const progressStore = new Map();
 const TTL_MS = 60 * 60 * 1000; // 1 hour
 const CLEANUP_INTERVAL_MS = 10 * 60 * 1000; // 10 minutes
+const MAX_EVENTS_PER_SESSION = 500;
 
 function cleanupExpiredProgress() {
   const now = Date.now();
@@ -19,28 +21,117 @@ if (typeof cleanupInterval.unref === 'function') {
   cleanupInterval.unref();
 }
 
-export function updateProgress(sessionId, message) {
-  const now = Date.now();
-  progressStore.set(sessionId, {
-    value: { message, timestamp: now },
-    createdAt: now,
-  });
+function getEntry(sessionId, create = false) {
+  let entry = progressStore.get(sessionId);
+  if (entry && (Date.now() - entry.createdAt) > TTL_MS) {
+    progressStore.delete(sessionId);
+    entry = null;
+  }
+  if (!entry && create) {
+    entry = { createdAt: Date.now(), events: [], nextId: 1, finished: false, listeners: new Set() };
+    progressStore.set(sessionId, entry);
+  }
+  return entry || null;
+}
+
+function emit(entry, event) {
+  for (const listener of entry.listeners) {
+    try {
+      listener(event);
+    } catch (error) {
+      logger.error('Progress listener failed:', error.message);
+    }
+  }
+}
+
+/**
+ * Record a progress event for a session.
+ *
+ * `details` adds structured fields to the event, e.g. `{ phase: 'summarize',
+ * chunk: { current, total } }`, `{ type: 'retry' }`, `{ type: 'warning' }` or
+ * `{ type: 'tokens', key, tokens, tokensPerSecond }`. Token events for the
+ * same `key` replace each other in the history so a long stream does not
+ * crowd out the other steps.
+ *
+ * @param {string} sessionId
+ * @param {string} message - Human-readable status line
+ * @param {Object} [details={}]
+ */
+export function updateProgress(sessionId, message, details = {}) {
+  if (!sessionId) return;
+  const entry = getEntry(sessionId, true);
+  const event = { type: 'info', ...details, id: entry.nextId++, message, timestamp: Date.now() };
+
+  if (event.type === 'tokens') {
+    entry.events = entry.events.filter(e => !(e.type === 'tokens' && e.key === event.key));
+  }
+  entry.events.push(event);
+  if (entry.events.length > MAX_EVENTS_PER_SESSION) {
+    entry.events.splice(0, entry.events.length - MAX_EVENTS_PER_SESSION);
+  }
+
   logger.debug(`[Progress ${sessionId}]: ${message}`);
+  emit(entry, event);
+}
+
+/**
+ * Record the final event of a session ('complete', 'error' or 'cancelled') and tell
+ * subscribers the stream is over. The history is kept until it expires so a
+ * late reconnect still sees the outcome.
+ * @param {string} sessionId
+ * @param {'complete'|'error'|'cancelled'} status
+ * @param {string} message
+ */
+export function finishProgress(sessionId, status, message) {
+  if (!sessionId) return;
+  updateProgress(sessionId, message, { type: status, phase: status });
+  const entry = getEntry(sessionId);
+  entry.finished = true;
+  emit(entry, null);
+  entry.listeners.clear();
 }
 
+/**
+ * Latest progress message for a session (polling endpoint).
+ * @returns {{message: string, timestamp: number}|null}
+ */
 export function getProgress(sessionId) {
-  const entry = progressStore.get(sessionId);
-  if (!entry) return null;
+  const entry = getEntry(sessionId);
+  const last = entry?.events[entry.events.length - 1];
+  return last ? { message: last.message, timestamp: last.timestamp } : null;
+}
 
-  if ((Date.now() - entry.createdAt) > TTL_MS) {
-    progressStore.delete(sessionId);
-    return null;
-  }
+/**
+ * Events recorded after `afterId` (0 for the full history).
+ * @returns {Array<Object>}
+ */
+export function getProgressEvents(sessionId, afterId = 0) {
+  return getEntry(sessionId)?.events.filter(e => e.id > afterId) || [];
+}
 
-  return entry.value;
+/**
+ * Replay events after `afterId`, then call `listener` with each new event and
+ * with `null` once the session has finished. A session that does not exist yet
+ * (the client subscribes before its upload arrives) is created.
+ * @param {string} sessionId
+ * @param {number} afterId
+ * @param {Function} listener - `(event|null) => void`
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeProgress(sessionId, afterId, listener) {
+  const entry = getEntry(sessionId, true);
+  for (const event of entry.events.filter(e => e.id > afterId)) listener(event);
+  if (entry.finished) {
+    listener(null);
+    return () => {};
+  }
+  entry.listeners.add(listener);
+  return () => entry.listeners.delete(listener);
 }
 
 export function clearProgress(sessionId) {
+  const entry = progressStore.get(sessionId);
+  if (entry) emit(entry, null);
   progressStore.delete(sessionId);
 }
 
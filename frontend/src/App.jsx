@@ -1,30 +1,67 @@
 import { useState, useEffect, useCallback, useRef } from 'react'
 import axios from 'axios'
 import FileUpload from './components/FileUpload'
+import SeriesUpload from './components/SeriesUpload'
 import TextSummary from './components/TextSummary'
 import Results from './components/Results'
 import ModelSelector from './components/ModelSelector'
+import FallbackModels from './components/FallbackModels'
 import ErrorBoundary from './components/ErrorBoundary'
-import useProgressPolling from './hooks/useProgressPolling'
-import { isModelFree } from './utils/modelUtils'
+import ProgressTimeline from './components/ProgressTimeline'
+import useProgressEvents from './hooks/useProgressEvents'
+import { isModelFree, buildFallbackFields } from './utils/modelUtils'
+import { PROVIDERS, DEFAULT_PROVIDER, getProvider, isDefaultBaseUrl } from './utils/providers'
 import './App.css'
 
 const MODEL_FETCH_DEBOUNCE_MS = 500
 const CONFIG_SAVED_FLASH_MS = 2000
 const TEST_STATUS_FLASH_MS = 5000
 const FETCH_ERROR_FLASH_MS = 5000
-const REQUEST_TIMEOUT_MS = 300000
 const DEFAULT_CONTEXT_LENGTH = 200000
+const JOB_POLL_INTERVAL_MS = 3000
+const ACTIVE_JOB_KEY = 'active_job_id'
+const FALLBACK_MODELS_KEY = 'ai_fallback_models'
+// Keys of fallback providers, by URL; like the main key, only stored by Save
+const FALLBACK_KEYS_KEY = 'ai_fallback_keys'
+// Single books run as background jobs; the other modes answer in one request
+const JOBS_ENDPOINT = '/api/process/jobs'
+const PROCESS_ENDPOINTS = {
+  series: '/api/process/series',
+  summary: '/api/process/summary'
+}
+
+function readStoredJson(key, fallback) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || fallback
+  } catch {
+    return fallback
+  }
+}
 
 function App() {
+  const [provider, setProvider] = useState(() => {
+    return getProvider(localStorage.getItem('ai_provider') || DEFAULT_PROVIDER).id
+  })
   const [apiBaseUrl, setApiBaseUrl] = useState(() => {
-    return localStorage.getItem('ai_api_base_url') || 'https://openrouter.ai/api/v1'
+    return localStorage.getItem('ai_api_base_url') || getProvider(provider).defaultBaseUrl
   })
   const [apiKey, setApiKey] = useState(() => {
     return localStorage.getItem('ai_api_key') || localStorage.getItem('openrouter_api_key') || ''
   })
   const [configSaved, setConfigSaved] = useState(false)
   const [selectedModel, setSelectedModel] = useState('google/gemini-flash-1.5-8b')
+  const [fallbackModels, setFallbackModels] = useState(() => {
+    return readStoredJson(FALLBACK_MODELS_KEY, []).map(({ apiKey, ...entry }) => entry)
+  })
+  const [fallbackKeys, setFallbackKeys] = useState(() => {
+    const keys = readStoredJson(FALLBACK_KEYS_KEY, {})
+    // Entries saved by earlier versions held their key
+    for (const { apiBaseUrl, apiKey } of readStoredJson(FALLBACK_MODELS_KEY, [])) {
+      if (apiBaseUrl && apiKey && !keys[apiBaseUrl]) keys[apiBaseUrl] = apiKey
+    }
+    return keys
+  })
+  const [refreshCache, setRefreshCache] = useState(false)
   const [models, setModels] = useState([])
   const [loading, setLoading] = useState(false)
   const [loadingModels, setLoadingModels] = useState(false)
@@ -32,29 +69,59 @@ function App() {
   const [results, setResults] = useState(null)
   const [mode, setMode] = useState('file')
   const [progressMessage, setProgressMessage] = useState('')
+  const [progressEvents, setProgressEvents] = useState([])
   const [testStatus, setTestStatus] = useState(null)
   const [fetchError, setFetchError] = useState('')
   const [elapsedSeconds, setElapsedSeconds] = useState(0)
+  const [pausedJob, setPausedJob] = useState(null)
+  const [cancelling, setCancelling] = useState(false)
   const fetchErrorTimeoutRef = useRef(null)
+  const jobPollRef = useRef(null)
+  // Session or job id of the run in progress, for the Cancel button
+  const activeRunRef = useRef(null)
+
+  const onProgressEvent = useCallback((event) => {
+    setProgressMessage(event.message)
+    setProgressEvents(prev => (
+      // A token count replaces the previous count for the same request
+      event.type === 'tokens'
+        ? [...prev.filter(e => !(e.type === 'tokens' && e.key === event.key)), event]
+        : [...prev, event]
+    ))
+  }, [])
+  const { start: startProgress, stop: stopProgress } = useProgressEvents(onProgressEvent)
 
-  const onProgressMessage = useCallback((msg) => setProgressMessage(msg), [])
-  const { start: startPolling, stop: stopPolling } = useProgressPolling(onProgressMessage)
+  useEffect(() => {
+    localStorage.setItem(FALLBACK_MODELS_KEY, JSON.stringify(fallbackModels))
+  }, [fallbackModels])
 
   const handleSaveConfig = () => {
     if (apiKey.trim() && apiBaseUrl.trim()) {
+      localStorage.setItem('ai_provider', provider)
       localStorage.setItem('ai_api_key', apiKey)
       localStorage.setItem('ai_api_base_url', apiBaseUrl)
       localStorage.removeItem('openrouter_api_key')
+      const usedKeys = Object.entries(fallbackKeys).filter(([url]) => fallbackModels.some(f => f.apiBaseUrl === url))
+      localStorage.setItem(FALLBACK_KEYS_KEY, JSON.stringify(Object.fromEntries(usedKeys)))
       setConfigSaved(true)
       setTimeout(() => setConfigSaved(false), CONFIG_SAVED_FLASH_MS)
     }
   }
 
+  const handleProviderChange = (id) => {
+    setProvider(id)
+    // Keep a custom endpoint; swap one provider's default URL for the other's
+    if (!apiBaseUrl.trim() || isDefaultBaseUrl(apiBaseUrl)) {
+      setApiBaseUrl(getProvider(id).defaultBaseUrl)
+    }
+  }
+
   const handleTestConnection = async () => {
     if (!apiKey.trim() || !apiBaseUrl.trim()) return
     setTestStatus('testing')
     try {
       const response = await axios.post('/api/process/test-connection', {
+        provider,
         apiBaseUrl: apiBaseUrl.trim(),
         apiKey: apiKey.trim()
       })
@@ -69,7 +136,7 @@ function App() {
     setTimeout(() => setTestStatus(null), TEST_STATUS_FLASH_MS)
   }
 
-  // Fetch available models when API key or base URL changes
+  // Fetch available models when the provider, API key or base URL changes
   useEffect(() => {
     const fetchModels = async () => {
       if (!apiKey.trim() || !apiBaseUrl.trim()) {
@@ -87,7 +154,8 @@ function App() {
         const response = await axios.get('/api/process/models', {
           headers: {
             'x-api-key': apiKey,
-            'x-api-base-url': apiBaseUrl.trim()
+            'x-api-base-url': apiBaseUrl.trim(),
+            'x-provider': provider
           }
         })
         const sortedModels = response.data.models.sort((a, b) => {
@@ -105,7 +173,12 @@ function App() {
         setFetchError('')
 
         const firstFree = sortedModels.find(isModelFree)
-        if (firstFree) setSelectedModel(firstFree.id)
+        if (firstFree) {
+          setSelectedModel(firstFree.id)
+        } else if (sortedModels.length) {
+          // Native providers have no free models; keep a valid selection
+          setSelectedModel(current => (sortedModels.some(m => m.id === current) ? current : sortedModels[0].id))
+        }
       } catch (err) {
         console.warn('Failed to fetch models', err)
         setModels([])
@@ -124,7 +197,7 @@ function App() {
 
     const debounce = setTimeout(fetchModels, MODEL_FETCH_DEBOUNCE_MS)
     return () => clearTimeout(debounce)
-  }, [apiKey, apiBaseUrl])
+  }, [provider, apiKey, apiBaseUrl])
 
   useEffect(() => {
     return () => {
@@ -134,10 +207,115 @@ function App() {
     }
   }, [])
 
+  const stopJobPolling = () => {
+    if (jobPollRef.current) {
+      clearTimeout(jobPollRef.current)
+      jobPollRef.current = null
+    }
+  }
+
+  // Follow a background job until it completes, fails or is interrupted
+  const watchJob = (jobId) => {
+    stopJobPolling()
+    activeRunRef.current = jobId
+    localStorage.setItem(ACTIVE_JOB_KEY, jobId)
+    startProgress(jobId)
+
+    const poll = async () => {
+      try {
+        const { data: job } = await axios.get(`${JOBS_ENDPOINT}/${encodeURIComponent(jobId)}`)
+        if (job.status === 'completed') {
+          localStorage.removeItem(ACTIVE_JOB_KEY)
+          stopProgress()
+          setResults(job.result)
+          setLoading(false)
+          return
+        }
+        if (job.status === 'cancelled') {
+          localStorage.removeItem(ACTIVE_JOB_KEY)
+          stopProgress()
+          setError('Processing was cancelled')
+          setLoading(false)
+          return
+        }
+        if (job.status === 'failed' || job.status === 'interrupted') {
+          stopProgress()
+          setPausedJob(job)
+          setLoading(false)
+          return
+        }
+      } catch (err) {
+        if (err.response?.status === 404) {
+          localStorage.removeItem(ACTIVE_JOB_KEY)
+          stopProgress()
+          setError('The processing job no longer exists')
+          setLoading(false)
+          return
+        }
+        // Server may be restarting — keep polling
+      }
+      jobPollRef.current = setTimeout(poll, JOB_POLL_INTERVAL_MS)
+    }
+    poll()
+  }
+
+  // Reattach to a job left running when the tab was closed or the app restarted
+  useEffect(() => {
+    const jobId = localStorage.getItem(ACTIVE_JOB_KEY)
+    if (jobId) {
+      setLoading(true)
+      setProgressMessage('Reconnecting to processing job...')
+      watchJob(jobId)
+    }
+    return stopJobPolling
+  }, [])
+
+  const handleResumeJob = async () => {
+    if (!apiKey.trim()) {
+      setError('Please enter your API key')
+      return
+    }
+    setError('')
+    try {
+      const { providerKeys } = buildFallbackFields(fallbackModels, models, fallbackKeys)
+      await axios.post(`${JOBS_ENDPOINT}/${encodeURIComponent(pausedJob.id)}/resume`, { apiKey, providerKeys })
+      setPausedJob(null)
+      setProgressEvents([])
+      setProgressMessage('Resuming from the last completed step...')
+      setLoading(true)
+      watchJob(pausedJob.id)
+    } catch (err) {
+      setError(err.response?.data?.error || err.message)
+    }
+  }
+
+  const handleDiscardJob = async () => {
+    try {
+      await axios.delete(`${JOBS_ENDPOINT}/${encodeURIComponent(pausedJob.id)}`)
+    } catch (err) {
+      console.warn('Failed to delete job', err)
+    }
+    localStorage.removeItem(ACTIVE_JOB_KEY)
+    setPausedJob(null)
+  }
+
+  const handleCancel = async () => {
+    if (!activeRunRef.current) return
+    setCancelling(true)
+    try {
+      await axios.post(`/api/process/cancel/${encodeURIComponent(activeRunRef.current)}`)
+      setProgressMessage('Cancelling...')
+    } catch (err) {
+      setCancelling(false)
+      console.warn('Failed to cancel', err)
+    }
+  }
+
   // Elapsed timer while loading
   useEffect(() => {
     if (!loading) {
       setElapsedSeconds(0)
+      setCancelling(false)
       return
     }
     const timer = setInterval(() => setElapsedSeconds(s => s + 1), 1000)
@@ -153,9 +331,12 @@ function App() {
     setLoading(true)
     setError('')
     setResults(null)
+    setPausedJob(null)
+    setProgressEvents([])
     setProgressMessage('Uploading file...')
 
     try {
+      formData.append('provider', provider)
       formData.append('apiKey', apiKey)
       formData.append('apiBaseUrl', apiBaseUrl.trim())
       formData.append('model', selectedModel)
@@ -166,40 +347,58 @@ function App() {
       if (selectedModelData?.max_completion_tokens) {
         formData.append('maxCompletionTokens', selectedModelData.max_completion_tokens)
       }
+      if (selectedModelData?.pricing) {
+        formData.append('pricing', JSON.stringify(selectedModelData.pricing))
+      }
+      if (fallbackModels.length) {
+        const fields = buildFallbackFields(fallbackModels, models, fallbackKeys)
+        formData.append('fallbackModels', JSON.stringify(fields.fallbackModels))
+        formData.append('providerKeys', JSON.stringify(fields.providerKeys))
+      }
+      if (refreshCache) formData.append('refreshCache', 'true')
+
+      const onUploadProgress = (progressEvent) => {
+        const pct = Math.round((progressEvent.loaded * 100) / progressEvent.total)
+        setProgressMessage(`Uploading file... ${pct}%`)
+        if (pct === 100) setProgressMessage('Upload complete. Processing book...')
+      }
+
+      if (mode === 'file') {
+        const { data } = await axios.post(JOBS_ENDPOINT, formData, {
+          headers: { 'Content-Type': 'multipart/form-data' },
+          onUploadProgress
+        })
+        setProgressMessage('Upload complete. Processing book...')
+        watchJob(data.jobId)
+        return
+      }
 
-      const endpoint = mode === 'file' ? '/api/process/file' : '/api/process/summary'
+      const endpoint = PROCESS_ENDPOINTS[mode]
       const sessionId = `session_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`
       formData.append('sessionId', sessionId)
+      activeRunRef.current = sessionId
+      startProgress(sessionId)
 
       const response = await axios.post(endpoint, formData, {
         headers: { 'Content-Type': 'multipart/form-data' },
-        timeout: REQUEST_TIMEOUT_MS,
-        onUploadProgress: (progressEvent) => {
-          const pct = Math.round((progressEvent.loaded * 100) / progressEvent.total)
-          setProgressMessage(`Uploading file... ${pct}%`)
-          if (pct === 100) {
-            setProgressMessage('Upload complete. Processing book...')
-            startPolling(sessionId)
-          }
-        }
+        onUploadProgress
       })
 
-      stopPolling()
+      stopProgress()
 
       if (!response.data) throw new Error('No data received from server')
       if (!response.data.characters || !Array.isArray(response.data.characters)) {
         throw new Error('Invalid response format: missing characters array')
       }
 
-      setProgressMessage('Processing complete! Loading results...')
       setResults(response.data)
       setLoading(false)
+      setProgressMessage('')
     } catch (err) {
-      stopPolling()
+      stopProgress()
       const errorMessage = err.response?.data?.error || err.message || 'An error occurred'
       setError(errorMessage)
       setLoading(false)
-    } finally {
       setProgressMessage('')
     }
   }
@@ -217,16 +416,29 @@ function App() {
         <h3>AI Provider Configuration</h3>
 
         <div className="form-group">
-          <label className="form-label">Provider URL (OpenAI-compatible)</label>
+          <label className="form-label">Provider</label>
+          <select
+            value={provider}
+            onChange={(e) => handleProviderChange(e.target.value)}
+            className="full-width"
+          >
+            {PROVIDERS.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+          </select>
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Provider URL</label>
           <input
             type="text"
-            placeholder="https://openrouter.ai/api/v1"
+            placeholder={getProvider(provider).defaultBaseUrl}
             value={apiBaseUrl}
             onChange={(e) => setApiBaseUrl(e.target.value)}
             className="full-width"
           />
           <small>
-            Any OpenAI-compatible endpoint — OpenRouter, OpenAI, Ollama (http://localhost:11434/v1), LM Studio, Groq, etc.
+            {provider === 'openai'
+              ? 'Any OpenAI-compatible endpoint — OpenRouter, OpenAI, LM Studio, Groq, etc.'
+              : `${getProvider(provider).label} API endpoint. Change it only for a proxy or a remote host.`}
           </small>
         </div>
 
@@ -237,7 +449,7 @@ function App() {
           <div className="input-row">
             <input
               type="password"
-              placeholder="Enter your API key..."
+              placeholder={getProvider(provider).keyHint}
               value={apiKey}
               onChange={(e) => { setApiKey(e.target.value); setError('') }}
               className="flex-1"
@@ -290,6 +502,25 @@ function App() {
                   {' '}- Large books will be automatically chunked at chapter boundaries
                 </small>
               )}
+              <FallbackModels
+                models={models}
+                selectedModel={selectedModel}
+                fallbacks={fallbackModels}
+                onChange={setFallbackModels}
+                onProviderKey={(url, key) => setFallbackKeys(prev => ({ ...prev, [url]: key }))}
+                disabled={!apiKey.trim()}
+              />
+              <div className="checkbox-row refresh-cache">
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={refreshCache}
+                    onChange={(e) => setRefreshCache(e.target.checked)}
+                  />
+                  <span>Force refresh</span>
+                </label>
+                <small>Ask the model again instead of reusing responses cached from earlier runs of the same book</small>
+              </div>
             </>
           ) : (
             <div className="placeholder-box">
@@ -306,6 +537,12 @@ function App() {
         >
           Upload Book
         </button>
+        <button
+          className={`mode-btn-right ${mode === 'series' ? 'primary-btn active' : 'secondary-btn'}`}
+          onClick={() => setMode('series')}
+        >
+          Upload Series
+        </button>
         <button
           className={`mode-btn-right ${mode === 'summary' ? 'primary-btn active' : 'secondary-btn'}`}
           onClick={() => setMode('summary')}
@@ -316,12 +553,32 @@ function App() {
 
       {error && <div className="error">{error}</div>}
 
+      {!loading && pausedJob && (
+        <div className="card job-banner">
+          <p>
+            Processing <strong>{pausedJob.fileName}</strong> {pausedJob.status === 'failed' ? 'failed' : 'was interrupted'}
+            {pausedJob.error && <>: {pausedJob.error}</>}
+          </p>
+          <small>
+            {pausedJob.savedSteps?.length || 0} completed steps are saved and will not be sent to the AI again.
+          </small>
+          <div className="job-banner-actions">
+            <button className="primary-btn" onClick={handleResumeJob}>Resume</button>
+            <button className="secondary-btn" onClick={handleDiscardJob}>Discard</button>
+          </div>
+        </div>
+      )}
+
       {loading && (
         <div className="loading">
           <div className="spinner"></div>
           <p>{progressMessage || 'Processing... This may take a few minutes depending on book size.'}</p>
+          <ProgressTimeline events={progressEvents} />
           <small>Elapsed: {Math.floor(elapsedSeconds / 60)}:{String(elapsedSeconds % 60).padStart(2, '0')}</small>
-          <small>Please keep this tab open</small>
+          <small>{mode === 'file' ? 'Processing continues if you close this tab' : 'Please keep this tab open'}</small>
+          <button className="secondary-btn cancel-btn" onClick={handleCancel} disabled={cancelling}>
+            {cancelling ? 'Cancelling...' : 'Cancel'}
+          </button>
         </div>
       )}
 
@@ -344,11 +601,16 @@ function App() {
 
       {!loading && !results && (
         <>
-          {mode === 'file' ? (
-            <FileUpload onUpload={handleProcess} contextLength={selectedModelData?.context_length || DEFAULT_CONTEXT_LENGTH} />
-          ) : (
-            <TextSummary onSubmit={handleProcess} />
+          {mode === 'file' && (
+            <FileUpload
+              onUpload={handleProcess}
+              contextLength={selectedModelData?.context_length || DEFAULT_CONTEXT_LENGTH}
+              model={selectedModel}
+              pricing={selectedModelData?.pricing}
+            />
           )}
+          {mode === 'series' && <SeriesUpload onUpload={handleProcess} />}
+          {mode === 'summary' && <TextSummary onSubmit={handleProcess} />}
           <div className="ready-message">
             <small>Ready to process your book</small>
           </div>
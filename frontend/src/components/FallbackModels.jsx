@@ -0,0 +1,125 @@
+import { useState } from 'react'
+import ModelSelector from './ModelSelector'
+import { PROVIDERS, DEFAULT_PROVIDER, getProvider } from '../utils/providers'
+import './FallbackModels.css'
+
+const MAX_FALLBACK_MODELS = 5
+
+function providerLabel({ provider, apiBaseUrl }) {
+  let host = apiBaseUrl
+  try {
+    host = new URL(apiBaseUrl).host
+  } catch {
+    // Shown as typed
+  }
+  return provider && provider !== DEFAULT_PROVIDER ? `${getProvider(provider).label}, ${host}` : host
+}
+
+/**
+ * Ordered list of models to switch to when a step fails with the selected
+ * one. Entries are `{ model }` for the configured provider or
+ * `{ model, provider, apiBaseUrl }` for another one, whose key goes to
+ * `onProviderKey(apiBaseUrl, apiKey)` so it is not stored with the entries.
+ */
+function FallbackModels({ models, selectedModel, fallbacks, onChange, onProviderKey, disabled }) {
+  const [showOther, setShowOther] = useState(false)
+  const [other, setOther] = useState({ provider: DEFAULT_PROVIDER, apiBaseUrl: '', apiKey: '', model: '' })
+
+  const full = fallbacks.length >= MAX_FALLBACK_MODELS
+  const available = models.filter(m => m.id !== selectedModel && !fallbacks.some(f => !f.apiBaseUrl && f.model === m.id))
+
+  const move = (index, offset) => {
+    const next = [...fallbacks]
+    const [entry] = next.splice(index, 1)
+    next.splice(index + offset, 0, entry)
+    onChange(next)
+  }
+
+  const addOther = () => {
+    const apiBaseUrl = other.apiBaseUrl.trim() || getProvider(other.provider).defaultBaseUrl
+    if (other.apiKey.trim()) onProviderKey(apiBaseUrl, other.apiKey.trim())
+    onChange([...fallbacks, { model: other.model.trim(), provider: other.provider, apiBaseUrl }])
+    setOther({ ...other, model: '' })
+  }
+
+  return (
+    <div className="fallback-models">
+      <label className="form-label">Fallback models</label>
+      <small>
+        Tried in order when a step keeps failing with the selected model (overloaded, rate limited or unparseable responses).
+      </small>
+
+      {fallbacks.length > 0 && (
+        <ol className="fallback-list">
+          {fallbacks.map((entry, index) => (
+            <li key={`${entry.apiBaseUrl || ''}::${entry.model}`} className="fallback-item">
+              <span className="fallback-name">
+                {entry.model}
+                {entry.apiBaseUrl && <span className="fallback-provider"> · {providerLabel(entry)}</span>}
+              </span>
+              <button type="button" className="secondary-btn fallback-btn" onClick={() => move(index, -1)} disabled={index === 0} title="Move up">↑</button>
+              <button type="button" className="secondary-btn fallback-btn" onClick={() => move(index, 1)} disabled={index === fallbacks.length - 1} title="Move down">↓</button>
+              <button type="button" className="secondary-btn fallback-btn" onClick={() => onChange(fallbacks.filter((_, i) => i !== index))} title="Remove">✕</button>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {!full && (
+        <div className="fallback-add">
+          <ModelSelector
+            models={available}
+            selectedModel={null}
+            onSelectModel={(id) => onChange([...fallbacks, { model: id }])}
+            disabled={disabled || available.length === 0}
+            placeholder="Add a fallback model..."
+          />
+          <button type="button" className="link-btn" onClick={() => setShowOther(!showOther)}>
+            {showOther ? 'Hide other provider' : 'Add a model from another provider'}
+          </button>
+          {showOther && (
+            <div className="fallback-other">
+              <select
+                value={other.provider}
+                onChange={(e) => setOther({ ...other, provider: e.target.value })}
+              >
+                {PROVIDERS.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+              </select>
+              <input
+                type="text"
+                placeholder={`Provider URL (default ${getProvider(other.provider).defaultBaseUrl})`}
+                value={other.apiBaseUrl}
+                onChange={(e) => setOther({ ...other, apiBaseUrl: e.target.value })}
+              />
+              <input
+                type="password"
+                placeholder="API key (if required)"
+                value={other.apiKey}
+                onChange={(e) => setOther({ ...other, apiKey: e.target.value })}
+              />
+              <div className="input-row">
+                <input
+                  type="text"
+                  placeholder="Model ID"
+                  value={other.model}
+                  onChange={(e) => setOther({ ...other, model: e.target.value })}
+                  className="flex-1"
+                />
+                <button
+                  type="button"
+                  className="secondary-btn"
+                  onClick={addOther}
+                  disabled={!other.model.trim()}
+                >
+                  Add
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default FallbackModels
@@ -1,15 +1,20 @@
-import { useEffect, useRef, useState } from 'react'
+import { useEffect, useMemo, useRef, useState } from 'react'
 import axios from 'axios'
+import { SUPPORTED_BOOK_EXTENSIONS, isSupportedBookFile } from '../utils/fileUtils'
+import UsageBreakdown from './UsageBreakdown'
 import './FileUpload.css'
 
-function FileUpload({ onUpload, contextLength }) {
+function FileUpload({ onUpload, contextLength, model, pricing }) {
   const [file, setFile] = useState(null)
   const [coverImage, setCoverImage] = useState(null)
+  const [metadataFile, setMetadataFile] = useState(null)
   const [useCoverFromEpub, setUseCoverFromEpub] = useState(false)
+  const [selectedChapters, setSelectedChapters] = useState(new Set())
   const [dragActive, setDragActive] = useState(false)
   const [preview, setPreview] = useState(null)
   const [previewLoading, setPreviewLoading] = useState(false)
   const [previewError, setPreviewError] = useState('')
+  const [selectionEstimate, setSelectionEstimate] = useState(null)
   const controllerRef = useRef(null)
 
   useEffect(() => {
@@ -18,7 +23,7 @@ function FileUpload({ onUpload, contextLength }) {
     }
   }, [])
 
-  const fetchPreview = async (selectedFile) => {
+  const fetchPreview = async (selectedFile, opfFile = metadataFile) => {
     if (controllerRef.current) {
       controllerRef.current.abort()
       controllerRef.current = null
@@ -34,12 +39,19 @@ function FileUpload({ onUpload, contextLength }) {
     try {
       const formData = new FormData()
       formData.append('file', selectedFile)
+      if (opfFile) formData.append('metadataFile', opfFile)
       formData.append('contextLength', contextLength || 200000)
+      if (model) formData.append('model', model)
+      if (pricing) formData.append('pricing', JSON.stringify(pricing))
       const res = await axios.post('/api/process/preview', formData, {
         headers: { 'Content-Type': 'multipart/form-data' },
         signal: controller.signal
       })
       setPreview(res.data)
+      // Front/back matter starts unchecked
+      setSelectedChapters(new Set(
+        (res.data.chapters || []).filter(ch => ch.matter === 'body').map(ch => ch.index)
+      ))
     } catch (err) {
       if (err.code === 'ERR_CANCELED' || err.name === 'CanceledError') return
       setPreviewError(err.response?.data?.error || 'Failed to analyze file')
@@ -57,6 +69,55 @@ function FileUpload({ onUpload, contextLength }) {
     fetchPreview(f)
   }
 
+  // The backend estimates the chunks, requests and cost of the selected chapters
+  useEffect(() => {
+    if (!preview?.chapters?.length) return
+    const controller = new AbortController()
+    const chapterTokens = preview.chapters.filter(ch => selectedChapters.has(ch.index)).map(ch => ch.tokens)
+    axios.post('/api/process/estimate', { chapterTokens, contextLength: preview.contextLength, pricing }, {
+      signal: controller.signal
+    })
+      .then(res => setSelectionEstimate({ preview, result: res.data }))
+      .catch(() => {
+        // Canceled, or failed: the last estimate stays
+      })
+    return () => controller.abort()
+  }, [preview, selectedChapters, pricing])
+
+  const estimate = useMemo(() => {
+    if (!preview?.chapters?.length) return preview
+    const chapters = preview.chapters.filter(ch => selectedChapters.has(ch.index))
+    const textLength = chapters.reduce((sum, ch, i) => sum + ch.length + (i > 0 ? 2 : 0), 0)
+    // Until the first response for this file arrives, the preview's estimate for its default selection
+    const requests = selectionEstimate?.preview === preview ? selectionEstimate.result : {}
+    return { ...preview, ...requests, textLength, chapterCount: chapters.length }
+  }, [preview, selectedChapters, selectionEstimate])
+
+  const toggleChapter = (index) => {
+    setSelectedChapters(prev => {
+      const next = new Set(prev)
+      if (next.has(index)) next.delete(index)
+      else next.add(index)
+      return next
+    })
+  }
+
+  // Spoiler cutoff: every story chapter up to and including this one
+  const selectUpTo = (index) => {
+    setSelectedChapters(new Set(
+      preview.chapters.filter(ch => ch.index <= index && ch.matter === 'body').map(ch => ch.index)
+    ))
+  }
+
+  const selectAll = (checked) => {
+    setSelectedChapters(new Set(checked ? preview.chapters.map(ch => ch.index) : []))
+  }
+
+  const selectMetadataFile = (f) => {
+    setMetadataFile(f)
+    if (file) fetchPreview(file, f)
+  }
+
   const handleDrag = (e) => {
     e.preventDefault()
     e.stopPropagation()
@@ -70,7 +131,7 @@ function FileUpload({ onUpload, contextLength }) {
     setDragActive(false)
     if (e.dataTransfer.files?.[0]) {
       const droppedFile = e.dataTransfer.files[0]
-      if (droppedFile.name.endsWith('.epub') || droppedFile.name.endsWith('.mobi')) {
+      if (isSupportedBookFile(droppedFile.name)) {
         selectFile(droppedFile)
       }
     }
@@ -81,7 +142,11 @@ function FileUpload({ onUpload, contextLength }) {
     const formData = new FormData()
     formData.append('file', file)
     if (coverImage) formData.append('coverImage', coverImage)
+    if (metadataFile) formData.append('metadataFile', metadataFile)
     formData.append('useCoverFromEpub', useCoverFromEpub)
+    if (preview?.chapters?.length) {
+      formData.append('chapterIndices', JSON.stringify([...selectedChapters].sort((a, b) => a - b)))
+    }
     onUpload(formData)
   }
 
@@ -98,7 +163,7 @@ function FileUpload({ onUpload, contextLength }) {
         <input
           type="file"
           id="file-upload"
-          accept=".epub,.mobi"
+          accept={SUPPORTED_BOOK_EXTENSIONS.join(',')}
           onChange={(e) => e.target.files?.[0] && selectFile(e.target.files[0])}
           style={{ display: 'none' }}
         />
@@ -114,7 +179,7 @@ function FileUpload({ onUpload, contextLength }) {
               <>
                 <p>Drag and drop your book file here</p>
                 <p className="preview-label">or click to browse</p>
-                <p className="preview-label">DRM-Free .EPUB and .MOBI supported</p>
+                <p className="preview-label">DRM-Free EPUB, MOBI, AZW3, PDF, DOCX, FB2, TXT and Markdown supported</p>
               </>
             )}
           </div>
@@ -125,33 +190,97 @@ function FileUpload({ onUpload, contextLength }) {
         <>
           {previewLoading && <div className="preview-loading">Analyzing book...</div>}
           {previewError && <div className="preview-error">{previewError}</div>}
-          {preview && (
+          {estimate && (
             <div className="preview-stats">
+              {preview.bookMetadata?.title && (
+                <div className="book-metadata">
+                  <span className="preview-value">{preview.bookMetadata.title}</span>
+                  {preview.bookMetadata.creator && <span className="preview-label"> by {preview.bookMetadata.creator}</span>}
+                  {preview.bookMetadata.series && (
+                    <div className="preview-label">
+                      Series: {preview.bookMetadata.series}
+                      {preview.bookMetadata.seriesIndex != null && ` #${preview.bookMetadata.seriesIndex}`}
+                    </div>
+                  )}
+                  {preview.bookMetadata.tags?.length > 0 && (
+                    <div className="preview-label">Tags: {preview.bookMetadata.tags.join(', ')}</div>
+                  )}
+                </div>
+              )}
               <div className="preview-grid">
                 <div>
                   <span className="preview-label">Text size: </span>
-                  <span className="preview-value">{(preview.textLength / 1024).toFixed(0)} KB ({preview.estimatedTokens.toLocaleString()} tokens est.)</span>
+                  <span className="preview-value">{(estimate.textLength / 1024).toFixed(0)} KB ({estimate.estimatedTokens.toLocaleString()} tokens{preview.tokenizer?.exact ? `, ${preview.tokenizer.name}` : ' est.'})</span>
                 </div>
                 <div>
                   <span className="preview-label">Chapters: </span>
-                  <span className="preview-value">{preview.chapterCount}</span>
+                  <span className="preview-value">
+                    {estimate.chapterCount}{preview.chapters?.length > 0 && ` of ${preview.chapters.length}`}
+                  </span>
                 </div>
                 <div>
                   <span className="preview-label">Fits in context: </span>
-                  <span className={`preview-value ${preview.fitsInContext ? 'fits' : 'chunked'}`}>
-                    {preview.fitsInContext ? 'Yes' : 'No — will be chunked'}
+                  <span className={`preview-value ${estimate.fitsInContext ? 'fits' : 'chunked'}`}>
+                    {estimate.fitsInContext ? 'Yes' : 'No — will be chunked'}
                   </span>
                 </div>
                 <div>
                   <span className="preview-label">AI requests: </span>
                   <span className="preview-value">
-                    {preview.totalRequests}{!preview.fitsInContext && ` (${preview.estimatedChunks} summaries + 1 analysis)`}
+                    {estimate.totalRequests}{!estimate.fitsInContext && ` (${estimate.estimatedChunks} summaries + 1 analysis)`}
                   </span>
                 </div>
               </div>
+              <UsageBreakdown
+                usage={estimate.costEstimate}
+                title={`Estimated cost (assumes about ${preview.costModel?.characterCount} characters)`}
+              />
+              {preview.chapters?.length > 0 && (
+                <details className="chapter-select">
+                  <summary>
+                    Choose chapters
+                    {preview.excludedChapters?.length > 0 && ` (${preview.excludedChapters.length} front/back matter section${preview.excludedChapters.length === 1 ? '' : 's'} left out)`}
+                  </summary>
+                  <div className="chapter-select-actions">
+                    <button type="button" className="link-btn" onClick={() => selectAll(true)}>All</button>
+                    <button type="button" className="link-btn" onClick={() => selectAll(false)}>None</button>
+                  </div>
+                  <ul className="chapter-list">
+                    {preview.chapters.map(ch => (
+                      <li key={ch.index} style={{ paddingLeft: `${ch.level * 16}px` }}>
+                        <label className="checkbox-label">
+                          <input
+                            type="checkbox"
+                            checked={selectedChapters.has(ch.index)}
+                            onChange={() => toggleChapter(ch.index)}
+                          />
+                          <span className="preview-value">{ch.title || `Section ${ch.index + 1}`}</span>
+                          {ch.matter !== 'body' && <span className="chapter-matter">{ch.matter} matter</span>}
+                          <span className="preview-label chapter-size">{(ch.length / 1024).toFixed(0)} KB</span>
+                        </label>
+                        {ch.matter === 'body' && (
+                          <button type="button" className="link-btn" onClick={() => selectUpTo(ch.index)} title="Select every chapter up to this one">
+                            up to here
+                          </button>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                </details>
+              )}
             </div>
           )}
 
+          <div className="cover-section">
+            <label className="cover-section-label">Calibre Metadata (optional)</label>
+            <input
+              type="file"
+              accept=".opf"
+              onChange={(e) => e.target.files?.[0] && selectMetadataFile(e.target.files[0])}
+            />
+            {metadataFile && <p className="selected-cover">Selected: {metadataFile.name}</p>}
+          </div>
+
           <div className="cover-section">
             <label className="cover-section-label">Cover Image Options</label>
             <div className="checkbox-row">
@@ -176,7 +305,11 @@ function FileUpload({ onUpload, contextLength }) {
             </div>
           </div>
 
-          <button className="primary-btn process-btn" onClick={handleSubmit}>
+          <button
+            className="primary-btn process-btn"
+            onClick={handleSubmit}
+            disabled={preview?.chapters?.length > 0 && selectedChapters.size === 0}
+          >
             Process Book
           </button>
         </>
@@ -0,0 +1,90 @@
+import { useState } from 'react'
+import './GroundingReport.css'
+
+const STATUS_LABELS = {
+  contradicted: 'Contradicted',
+  unsupported: 'Unsupported',
+  supported: 'Supported'
+}
+
+const STATUS_ORDER = { contradicted: 0, unsupported: 1, supported: 2 }
+
+const FIELD_LABELS = {
+  background: 'Background',
+  physicalDescription: 'Appearance',
+  content: 'Entry'
+}
+
+function ClaimRow({ claim }) {
+  return (
+    <li className={`grounding-claim grounding-${claim.status}`}>
+      <div className="grounding-claim-header">
+        <span className={`grounding-badge grounding-badge-${claim.status}`}>{STATUS_LABELS[claim.status]}</span>
+        <span className="grounding-field">{FIELD_LABELS[claim.field] || claim.field}</span>
+      </div>
+      <p>{claim.text}</p>
+      {claim.citation && (
+        <blockquote>
+          {claim.citation.text}
+          {claim.citation.chapter && <cite>{claim.citation.chapter}</cite>}
+        </blockquote>
+      )}
+    </li>
+  )
+}
+
+/**
+ * Claims from the character profiles and lorebook entries checked against
+ * the book. Contradicted and unsupported claims are listed; supported ones
+ * (with the passage that backs them) on request.
+ */
+function GroundingReport({ report }) {
+  const [showSupported, setShowSupported] = useState(false)
+
+  if (!report?.summary?.claims) return null
+
+  const { summary } = report
+  const sections = [
+    ...report.characters.map(c => ({ key: `character-${c.name}`, title: c.name, claims: c.claims })),
+    ...report.lorebook.map(e => ({ key: `entry-${e.uid}`, title: `${e.name} (${e.category})`, claims: e.claims }))
+  ]
+
+  return (
+    <div className="grounding-report">
+      <p className="grounding-summary">
+        {summary.claims} claims checked against the book:{' '}
+        <span className="grounding-count-contradicted">{summary.contradicted} contradicted</span>,{' '}
+        <span className="grounding-count-unsupported">{summary.unsupported} unsupported</span>,{' '}
+        <span className="grounding-count-supported">{summary.supported} supported</span>
+      </p>
+      <label className="grounding-toggle">
+        <input
+          type="checkbox"
+          checked={showSupported}
+          onChange={(e) => setShowSupported(e.target.checked)}
+        />
+        Show supported claims
+      </label>
+      {sections.map((section) => {
+        const claims = section.claims
+          .filter(claim => showSupported || claim.status !== 'supported')
+          .sort((a, b) => STATUS_ORDER[a.status] - STATUS_ORDER[b.status])
+        if (!claims.length) return null
+        return (
+          <div key={section.key} className="grounding-section">
+            <h4>{section.title}</h4>
+            <ul>
+              {claims.map((claim, idx) => <ClaimRow key={idx} claim={claim} />)}
+            </ul>
+          </div>
+        )
+      })}
+      <small>
+        Claims are matched against the book's wording, so a detail the book only paraphrases can show as unsupported.
+        Contradictions are found for colours and numbers ("green eyes" where the book says "grey eyes").
+      </small>
+    </div>
+  )
+}
+
+export default GroundingReport
@@ -2,7 +2,7 @@ import { useState, useRef, useEffect } from 'react'
 import { isModelFree } from '../utils/modelUtils'
 import './ModelSelector.css'
 
-function ModelSelector({ models, selectedModel, onSelectModel, disabled }) {
+function ModelSelector({ models, selectedModel, onSelectModel, disabled, placeholder = 'Select a model' }) {
   const [isOpen, setIsOpen] = useState(false)
   const [search, setSearch] = useState('')
   const [showOnlyFree, setShowOnlyFree] = useState(true)
@@ -90,7 +90,7 @@ function ModelSelector({ models, selectedModel, onSelectModel, disabled }) {
               </span>
             </>
           ) : (
-            'Select a model'
+            placeholder
           )}
         </span>
         <span className={`model-selector-arrow ${isOpen ? 'open' : ''}`}>▼</span>
@@ -0,0 +1,88 @@
+import { useMemo } from 'react'
+import './ProgressTimeline.css'
+
+const PHASE_LABELS = {
+  parse: 'Reading book',
+  analyze: 'AI analysis',
+  summarize: 'Taking notes on chunks',
+  extract: 'Extracting characters and world',
+  characters: 'Character profiles',
+  generate: 'Building cards and lorebook',
+  complete: 'Done',
+  error: 'Failed',
+  cancelled: 'Cancelled'
+}
+
+/**
+ * Group progress events into steps, in the order their phase first appeared.
+ * In series mode each volume gets its own set of steps.
+ */
+function buildSteps(events) {
+  const steps = []
+  let current = null
+
+  for (const event of events) {
+    const phase = event.phase || current?.phase || 'analyze'
+    const key = `${event.volume?.current || ''}:${phase}`
+    if (!current || current.key !== key) {
+      current = steps.find(step => step.key === key)
+      if (!current) {
+        current = { key, phase, volume: event.volume, message: '', counter: null, done: new Set(), notes: [], streams: [] }
+        steps.push(current)
+      }
+    }
+
+    if (event.type === 'tokens') {
+      current.streams = [...current.streams.filter(s => s.key !== event.key), event]
+      continue
+    }
+    current.message = event.message
+    if (event.chunk) current.counter = `Chunk ${event.chunk.current} of ${event.chunk.total}`
+    if (event.character) {
+      if (event.status) current.done.add(event.character.name)
+      current.counter = `${current.done.size} of ${event.character.total} characters`
+      if (event.status) current.streams = current.streams.filter(s => s.character?.name !== event.character.name)
+    }
+    if (['retry', 'fallback', 'warning'].includes(event.type)) current.notes.push(event)
+  }
+
+  return { steps, activeKey: current?.key }
+}
+
+function stepStatus(step, activeKey) {
+  if (step.phase === 'error' || step.phase === 'cancelled') return 'error'
+  if (step.phase === 'complete' || step.key !== activeKey) return 'done'
+  return 'active'
+}
+
+function ProgressTimeline({ events }) {
+  const { steps, activeKey } = useMemo(() => buildSteps(events), [events])
+  if (!steps.length) return null
+
+  return (
+    <ol className="progress-timeline">
+      {steps.map((step) => {
+        const status = stepStatus(step, activeKey)
+        return (
+          <li key={step.key} className={`timeline-step ${status}`}>
+            <div className="timeline-title">
+              <span className="timeline-icon">{status === 'done' ? '✓' : status === 'error' ? '✗' : '•'}</span>
+              {step.volume && <span className="timeline-volume">Volume {step.volume.current}/{step.volume.total} · </span>}
+              {PHASE_LABELS[step.phase] || step.phase}
+              {step.counter && <span className="timeline-counter">{step.counter}</span>}
+            </div>
+            {status !== 'done' && <div className="timeline-message">{step.message}</div>}
+            {status === 'active' && step.streams.map(stream => (
+              <div key={stream.key} className="timeline-stream">{stream.message}</div>
+            ))}
+            {step.notes.map(note => (
+              <div key={note.id} className={`timeline-note ${note.type}`}>{note.message}</div>
+            ))}
+          </li>
+        )
+      })}
+    </ol>
+  )
+}
+
+export default ProgressTimeline
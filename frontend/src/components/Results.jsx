@@ -1,5 +1,7 @@
 import { useState } from 'react'
 import axios from 'axios'
+import UsageBreakdown from './UsageBreakdown'
+import GroundingReport from './GroundingReport'
 import './Results.css'
 
 function Results({ data }) {
@@ -34,6 +36,12 @@ function Results({ data }) {
     )
   }
 
+  // Claims the book does not back, per character name (see GroundingReport)
+  const ungroundedClaims = new Map((data.grounding?.characters || []).map(report => [
+    report.name,
+    report.claims.filter(claim => claim.status !== 'supported').length
+  ]))
+
   const downloadJSON = (jsonData, filename) => {
     const blob = new Blob([JSON.stringify(jsonData, null, 2)], { type: 'application/json' })
     const url = URL.createObjectURL(blob)
@@ -120,6 +128,13 @@ function Results({ data }) {
 
       <div className="card">
         <h2>{data.bookTitle || 'Your Book'}</h2>
+        {data.volumes?.length > 0 && (
+          <p className="series-volumes">
+            Merged from {data.volumes.length} volumes: {data.volumes.map(v => v.title).join(' → ')}
+          </p>
+        )}
+
+        <UsageBreakdown usage={data.usage} title="AI usage for this run" />
 
         <div className="download-section">
           <h3>Download All</h3>
@@ -149,6 +164,13 @@ function Results({ data }) {
         </div>
       </div>
 
+      {data.grounding?.summary?.claims > 0 && (
+        <div className="card">
+          <h3>Grounding Report</h3>
+          <GroundingReport report={data.grounding} />
+        </div>
+      )}
+
       <div className="card">
         <h3>Characters ({data.characters.length})</h3>
         <div className="character-grid">
@@ -172,6 +194,11 @@ function Results({ data }) {
               {char.canBePersona && !char.isPersona && (
                 <p className="persona-hint">Persona version available</p>
               )}
+              {!char.isPersona && ungroundedClaims.get(char.data.name) > 0 && (
+                <p className="grounding-hint">
+                  {ungroundedClaims.get(char.data.name)} claim(s) not found in the book
+                </p>
+              )}
               {char.data.alternate_greetings && char.data.alternate_greetings.length > 0 && (
                 <p className="greeting-count">
                   {char.data.alternate_greetings.length + 1} first message options
@@ -225,6 +252,12 @@ function Results({ data }) {
                       </div>
                     </div>
                   )}
+                  {char.data.extensions?.generated_by && (
+                    <div className="detail-section">
+                      <strong>Generated by:</strong>
+                      <p>{char.data.extensions.generated_by.model}</p>
+                    </div>
+                  )}
                   <div className="detail-section">
                     <strong>Description:</strong>
                     <pre className="description-pre">{char.data.description}</pre>
@@ -256,6 +289,9 @@ function Results({ data }) {
             <div key={idx} className="lorebook-entry">
               <strong>{entry.name}</strong>
               <p className="entry-keys">Keys: {entry.keys.join(', ')}</p>
+              {entry.extensions?.generated_by && (
+                <p className="entry-keys">Generated by: {entry.extensions.generated_by.model}</p>
+              )}
               <p>{entry.content ? entry.content.substring(0, 150) : 'No content available'}...</p>
             </div>
           ))}
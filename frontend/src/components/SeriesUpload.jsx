@@ -0,0 +1,149 @@
+import { useState } from 'react'
+import { SUPPORTED_BOOK_EXTENSIONS, isSupportedBookFile } from '../utils/fileUtils'
+import './FileUpload.css'
+
+const MAX_SERIES_VOLUMES = 10
+
+function SeriesUpload({ onUpload }) {
+  const [files, setFiles] = useState([])
+  const [metadataFiles, setMetadataFiles] = useState([])
+  const [coverImage, setCoverImage] = useState(null)
+  const [useCoverFromEpub, setUseCoverFromEpub] = useState(false)
+  const [dragActive, setDragActive] = useState(false)
+
+  const addFiles = (fileList) => {
+    const books = [...fileList].filter(f => isSupportedBookFile(f.name))
+    setFiles(prev => [...prev, ...books].slice(0, MAX_SERIES_VOLUMES))
+  }
+
+  const moveFile = (index, offset) => {
+    setFiles(prev => {
+      const next = [...prev]
+      const [moved] = next.splice(index, 1)
+      next.splice(index + offset, 0, moved)
+      return next
+    })
+  }
+
+  const removeFile = (index) => {
+    setFiles(prev => prev.filter((_, i) => i !== index))
+  }
+
+  const handleDrag = (e) => {
+    e.preventDefault()
+    e.stopPropagation()
+    if (e.type === 'dragenter' || e.type === 'dragover') setDragActive(true)
+    else if (e.type === 'dragleave') setDragActive(false)
+  }
+
+  const handleDrop = (e) => {
+    e.preventDefault()
+    e.stopPropagation()
+    setDragActive(false)
+    if (e.dataTransfer.files?.length) addFiles(e.dataTransfer.files)
+  }
+
+  const handleSubmit = () => {
+    if (files.length < 2) return
+    const formData = new FormData()
+    files.forEach(f => formData.append('files', f))
+    metadataFiles.forEach(f => formData.append('metadataFiles', f))
+    if (coverImage) formData.append('coverImage', coverImage)
+    formData.append('useCoverFromEpub', useCoverFromEpub)
+    onUpload(formData)
+  }
+
+  return (
+    <div className="card">
+      <h3>Upload Book Series</h3>
+      <div
+        className={`upload-area ${dragActive ? 'drag-active' : ''}`}
+        onDragEnter={handleDrag}
+        onDragLeave={handleDrag}
+        onDragOver={handleDrag}
+        onDrop={handleDrop}
+      >
+        <input
+          type="file"
+          id="series-upload"
+          multiple
+          accept={SUPPORTED_BOOK_EXTENSIONS.join(',')}
+          onChange={(e) => { addFiles(e.target.files || []); e.target.value = '' }}
+          style={{ display: 'none' }}
+        />
+        <label htmlFor="series-upload">
+          <div className="upload-content">
+            <div className="upload-icon">📚</div>
+            <p>Drag and drop every volume of the series here</p>
+            <p className="preview-label">or click to browse - up to {MAX_SERIES_VOLUMES} books</p>
+          </div>
+        </label>
+      </div>
+
+      {files.length > 0 && (
+        <>
+          <div className="preview-stats">
+            <p className="preview-label">
+              Volumes are analyzed in this order (or by series number when every book has one in its metadata)
+            </p>
+            <ol className="chapter-list">
+              {files.map((f, i) => (
+                <li key={`${f.name}-${i}`}>
+                  <span className="preview-value">{i + 1}. {f.name}</span>
+                  <span className="chapter-select-actions">
+                    <button type="button" className="link-btn" onClick={() => moveFile(i, -1)} disabled={i === 0}>up</button>
+                    <button type="button" className="link-btn" onClick={() => moveFile(i, 1)} disabled={i === files.length - 1}>down</button>
+                    <button type="button" className="link-btn" onClick={() => removeFile(i)}>remove</button>
+                  </span>
+                </li>
+              ))}
+            </ol>
+          </div>
+
+          <div className="cover-section">
+            <label className="cover-section-label">Calibre Metadata (optional, one .opf per book)</label>
+            <input
+              type="file"
+              accept=".opf"
+              multiple
+              onChange={(e) => setMetadataFiles([...(e.target.files || [])])}
+            />
+            {metadataFiles.length > 0 && (
+              <p className="selected-cover">Selected: {metadataFiles.map(f => f.name).join(', ')}</p>
+            )}
+          </div>
+
+          <div className="cover-section">
+            <label className="cover-section-label">Cover Image Options</label>
+            <div className="checkbox-row">
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={useCoverFromEpub}
+                  onChange={(e) => setUseCoverFromEpub(e.target.checked)}
+                />
+                <span>Extract cover from the first volume</span>
+              </label>
+            </div>
+            <div className="custom-cover">
+              <label className="custom-cover-label">Or upload custom cover image</label>
+              <input
+                type="file"
+                accept="image/*"
+                onChange={(e) => e.target.files?.[0] && setCoverImage(e.target.files[0])}
+                disabled={useCoverFromEpub}
+              />
+              {coverImage && <p className="selected-cover">Selected: {coverImage.name}</p>}
+            </div>
+          </div>
+
+          <button className="primary-btn process-btn" onClick={handleSubmit} disabled={files.length < 2}>
+            {files.length < 2 ? 'Add at least two books' : `Process ${files.length} Books`}
+          </button>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default SeriesUpload
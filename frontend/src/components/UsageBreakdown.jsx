@@ -0,0 +1,63 @@
+import './UsageBreakdown.css'
+
+const PHASE_LABELS = {
+  summarize: 'Chunk notes',
+  extract: 'Character roster',
+  characters: 'Character profiles'
+}
+
+function formatCost(cost) {
+  if (cost === null || cost === undefined) return '—'
+  if (cost === 0) return 'Free'
+  return `$${cost < 0.01 ? cost.toFixed(4) : cost.toFixed(2)}`
+}
+
+function UsageRow({ label, phase, className = '' }) {
+  const approx = phase.estimated ? '~' : ''
+  return (
+    <tr className={className}>
+      <td>{label}</td>
+      <td>{phase.requests}</td>
+      <td>{approx}{phase.promptTokens.toLocaleString()}</td>
+      <td>{approx}{phase.completionTokens.toLocaleString()}</td>
+      <td>{phase.cost ? approx : ''}{formatCost(phase.cost)}</td>
+    </tr>
+  )
+}
+
+/**
+ * Per-phase token and cost table, for an estimate (before a run) or the
+ * usage the provider reported (after). "~" marks estimated figures.
+ */
+function UsageBreakdown({ usage, title }) {
+  if (!usage?.phases || !Object.keys(usage.phases).length) return null
+
+  return (
+    <div className="usage-breakdown">
+      {title && <div className="usage-title">{title}</div>}
+      <table>
+        <thead>
+          <tr>
+            <th>Phase</th>
+            <th>Requests</th>
+            <th>Input tokens</th>
+            <th>Output tokens</th>
+            <th>Cost</th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(usage.phases).map(([name, phase]) => (
+            <UsageRow key={name} label={PHASE_LABELS[name] || name} phase={phase} />
+          ))}
+          <UsageRow label="Total" phase={usage.total} className="usage-total" />
+        </tbody>
+      </table>
+      {usage.total.cachedResponses > 0 && (
+        <small>{usage.total.cachedResponses} cached response{usage.total.cachedResponses === 1 ? '' : 's'} reused at no cost</small>
+      )}
+      {!usage.priced && <small>No pricing available for this model</small>}
+    </div>
+  )
+}
+
+export default UsageBreakdown
@@ -0,0 +1,42 @@
+import { useEffect, useRef, useCallback } from 'react';
+
+/**
+ * Custom hook for the backend's Server-Sent Events progress stream.
+ * The browser reconnects on its own and sends the last event id, so the
+ * backend replays anything missed in between. Closes on unmount.
+ *
+ * @param {Function} onEvent - Callback for each structured progress event
+ * @returns {{ start: (sessionId: string) => void, stop: () => void }}
+ */
+export default function useProgressEvents(onEvent) {
+  const sourceRef = useRef(null);
+
+  const stop = useCallback(() => {
+    if (sourceRef.current) {
+      sourceRef.current.close();
+      sourceRef.current = null;
+    }
+  }, []);
+
+  const start = useCallback((sessionId) => {
+    stop(); // close any existing stream
+    const source = new EventSource(`/api/process/progress/${encodeURIComponent(sessionId)}/events`);
+    source.addEventListener('progress', (e) => {
+      try {
+        onEvent(JSON.parse(e.data));
+      } catch {
+        // Ignore malformed events — progress is informational only
+      }
+    });
+    source.addEventListener('end', () => {
+      source.close();
+      if (sourceRef.current === source) sourceRef.current = null;
+    });
+    sourceRef.current = source;
+  }, [onEvent, stop]);
+
+  // Cleanup on unmount
+  useEffect(() => stop, [stop]);
+
+  return { start, stop };
+}
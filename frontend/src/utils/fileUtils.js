@@ -0,0 +1,13 @@
+// Book formats accepted by the backend parsers (see backend/config/constants.js)
+export const SUPPORTED_BOOK_EXTENSIONS = ['.epub', '.mobi', '.azw', '.azw3', '.pdf', '.txt', '.md', '.markdown', '.docx', '.fb2'];
+
+/**
+ * Check if a file name has a supported book extension.
+ * @param {string} fileName
+ * @returns {boolean}
+ */
+export function isSupportedBookFile(fileName) {
+  if (!fileName) return false;
+  const lower = fileName.toLowerCase();
+  return SUPPORTED_BOOK_EXTENSIONS.some(ext => lower.endsWith(ext));
+}
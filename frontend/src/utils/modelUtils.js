@@ -13,3 +13,30 @@ export function isModelFree(model) {
   const completionFree = p.completion === '0' || p.completion === 0;
   return (promptFree && completionFree) || hasFreeMarker;
 }
+
+/**
+ * Request fields for the fallback models: `fallbackModels` (with context
+ * size, output limit and pricing from the model list for the configured
+ * provider) and `providerKeys` for fallbacks on other providers.
+ * @param {Array<Object>} fallbacks - `{ model, provider?, apiBaseUrl? }` entries
+ * @param {Array<Object>} models - Models of the configured provider
+ * @param {Object} [keys={}] - API keys of other providers, by URL
+ * @returns {{fallbackModels: Array<Object>, providerKeys: Object}}
+ */
+export function buildFallbackFields(fallbacks, models, keys = {}) {
+  const providerKeys = {};
+  const fallbackModels = fallbacks.map(({ model, provider, apiBaseUrl }) => {
+    if (apiBaseUrl) {
+      if (keys[apiBaseUrl]) providerKeys[apiBaseUrl] = keys[apiBaseUrl];
+      return { model, provider, apiBaseUrl };
+    }
+    const data = models.find(m => m.id === model);
+    return {
+      model,
+      contextLength: data?.context_length,
+      maxCompletionTokens: data?.max_completion_tokens,
+      pricing: data?.pricing
+    };
+  });
+  return { fallbackModels, providerKeys };
+}
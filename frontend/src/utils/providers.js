@@ -0,0 +1,30 @@
+/**
+ * Provider APIs the backend has adapters for (see backend/services/providers).
+ * `keyHint` is the API key field's placeholder.
+ */
+export const PROVIDERS = [
+  { id: 'openai', label: 'OpenAI-compatible', defaultBaseUrl: 'https://openrouter.ai/api/v1', keyHint: 'Enter your API key...' },
+  { id: 'anthropic', label: 'Anthropic', defaultBaseUrl: 'https://api.anthropic.com/v1', keyHint: 'sk-ant-...' },
+  { id: 'gemini', label: 'Google Gemini', defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta', keyHint: 'Enter your Gemini API key...' },
+  { id: 'ollama', label: 'Ollama', defaultBaseUrl: 'http://localhost:11434', keyHint: 'Any value (Ollama does not check keys)' }
+];
+
+export const DEFAULT_PROVIDER = 'openai';
+
+/**
+ * @param {string} id
+ * @returns {Object} The provider, or the default one for an unknown id
+ */
+export function getProvider(id) {
+  return PROVIDERS.find(p => p.id === id) || PROVIDERS.find(p => p.id === DEFAULT_PROVIDER);
+}
+
+/**
+ * Whether `url` is some provider's default URL (so switching provider may
+ * replace it without losing a custom endpoint).
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isDefaultBaseUrl(url) {
+  return PROVIDERS.some(p => p.defaultBaseUrl === url.trim());
+}